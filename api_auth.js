@@ -0,0 +1,245 @@
+// api_auth.js
+// API key authentication for the HTTP server. Keys look like mk_<prefix>_<secret> and are sent as
+// "Authorization: Bearer <key>" or X-API-Key (browsers: Basic auth with the key as password).
+// Only their SHA-256 hash is stored (api_keys table).
+//
+// Scopes: read (project data, job status), enqueue (queue scrapes/translations), admin (everything).
+// ADMIN_API_TOKEN keeps working as a built-in admin credential, e.g. to create the first key.
+// Requests per key and minute are counted in Redis, with an in-process fallback while Redis is down.
+
+const crypto = require('crypto');
+const SupabaseService = require('./supabase-service.js');
+const { getRedisConnection, isRedisReady } = require('./redis_client');
+const { safeCompare } = require('./webhook_helper.js');
+require('dotenv').config();
+
+const API_AUTH_ENABLED = process.env.API_AUTH_ENABLED !== 'false';
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_RATE_LIMIT_PER_MINUTE ?? '60') || 0; // 0 = unlimited
+const KEY_CACHE_TTL = 60 * 1000; // Revocations take effect within a minute
+const RATE_LIMIT_PREFIX = 'api-rate';
+const SCOPES = ['read', 'enqueue', 'admin'];
+
+// ADMIN_API_TOKEN is ignored while it is the .env.example placeholder or too short to be a real secret
+const ADMIN_TOKEN_PLACEHOLDER = 'generate_a_long_random_string';
+const ADMIN_TOKEN_MIN_LENGTH = 24;
+
+const keyCache = new Map(); // key hash -> { apiKey, fetchedAt }
+const localWindows = new Map(); // `${keyId}:${minute}` -> request count
+let supabaseService = null;
+let adminTokenWarned = false;
+
+function getSupabaseService() {
+  if (!supabaseService) supabaseService = new SupabaseService();
+  return supabaseService;
+}
+
+/**
+ * The configured ADMIN_API_TOKEN, or null when unset or unusable
+ * @returns {string|null}
+ */
+function getAdminToken() {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+  if (!adminToken) return null;
+
+  if (adminToken === ADMIN_TOKEN_PLACEHOLDER || adminToken.length < ADMIN_TOKEN_MIN_LENGTH) {
+    if (!adminTokenWarned) {
+      console.warn(`⚠️  ADMIN_API_TOKEN ignored: set a random value of at least ${ADMIN_TOKEN_MIN_LENGTH} characters`);
+      adminTokenWarned = true;
+    }
+    return null;
+  }
+  return adminToken;
+}
+
+/**
+ * @param {string} key - Plaintext API key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate a new API key. The plaintext is only ever returned here.
+ * @returns {object} { key, keyPrefix, keyHash }
+ */
+function generateApiKey() {
+  const keyPrefix = `mk_${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${keyPrefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, keyPrefix, keyHash: hashApiKey(key) };
+}
+
+/**
+ * Read the credential from the request headers (or ?api_key= where headers can't be set, e.g. EventSource)
+ */
+function getPresentedKey(req, allowQueryKey) {
+  const authorization = req.get('Authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+  if (bearer) return bearer[1].trim();
+
+  // Basic auth: the key is the password, the user name is ignored (or holds the key if no password)
+  const basic = authorization.match(/^Basic\s+(.+)$/i);
+  if (basic) {
+    const decoded = Buffer.from(basic[1].trim(), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    const [user, password] = separator === -1 ? [decoded, ''] : [decoded.slice(0, separator), decoded.slice(separator + 1)];
+    return password || user || null;
+  }
+
+  return req.get('X-API-Key') || req.get('X-Admin-Token') || (allowQueryKey ? req.query.api_key : null) || null;
+}
+
+/**
+ * Resolve a presented key to an active API key record (cached for a minute)
+ * @returns {Promise<object|null>} null for unknown, revoked and expired keys
+ */
+async function findApiKey(key) {
+  const keyHash = hashApiKey(key);
+  const cached = keyCache.get(keyHash);
+
+  let apiKey;
+  if (cached && Date.now() - cached.fetchedAt < KEY_CACHE_TTL) {
+    apiKey = cached.apiKey;
+  } else {
+    apiKey = await getSupabaseService().getApiKeyByHash(keyHash);
+    keyCache.set(keyHash, { apiKey, fetchedAt: Date.now() });
+    if (apiKey) getSupabaseService().touchApiKey(apiKey.id); // At most once per cache period
+  }
+
+  if (!apiKey || apiKey.revokedAt) return null;
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) return null;
+  return apiKey;
+}
+
+function hasScope(client, scope) {
+  return client.scopes.includes('admin') || client.scopes.includes(scope);
+}
+
+/**
+ * Count one request against the client's per-minute limit
+ * @returns {Promise<object>} { limit, remaining, resetSeconds }
+ */
+async function consumeRateLimit(client) {
+  const limit = client.rateLimitPerMinute ?? DEFAULT_RATE_LIMIT;
+  const minute = Math.floor(Date.now() / 60000);
+  const resetSeconds = 60 - Math.floor((Date.now() % 60000) / 1000);
+  if (!limit) return { limit: 0, remaining: Infinity, resetSeconds };
+
+  let count = null;
+  if (isRedisReady()) {
+    try {
+      const key = `${RATE_LIMIT_PREFIX}:${client.id}:${minute}`;
+      const [[, incremented]] = await getRedisConnection().multi().incr(key).expire(key, 120).exec();
+      count = incremented;
+    } catch (error) {
+      console.warn(`⚠️  Rate limit counter unavailable: ${error.message}`);
+    }
+  }
+
+  if (count === null) {
+    const windowKey = `${client.id}:${minute}`;
+    count = (localWindows.get(windowKey) || 0) + 1;
+    localWindows.set(windowKey, count);
+    for (const key of localWindows.keys()) {
+      if (!key.endsWith(`:${minute}`)) localWindows.delete(key);
+    }
+  }
+
+  return { limit, remaining: Math.max(limit - count, 0), resetSeconds, exceeded: count > limit };
+}
+
+/**
+ * Audit state-changing requests once the response is sent. Routes that queue a job
+ * set res.locals.auditJobId so the job can be traced back to the key.
+ */
+function auditRequest(req, res) {
+  const client = req.apiClient;
+  getSupabaseService().logApiAudit({
+    apiKeyId: client.id,
+    keyName: client.name,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    statusCode: res.statusCode,
+    jobId: res.locals.auditJobId || null,
+    projectId: req.params?.id || null,
+    ip: req.ip
+  });
+}
+
+/**
+ * Express middleware that requires an API key with the given scope
+ * @param {string} scope - read | enqueue | admin
+ * @param {object} options - { allowQueryKey } accept ?api_key= (for EventSource clients),
+ *                           { realm } answer 401 with a Basic auth challenge so browsers prompt for the key
+ * @returns {Function}
+ */
+function requireScope(scope, { allowQueryKey = false, realm = null } = {}) {
+  if (!SCOPES.includes(scope)) throw new Error(`Unknown API scope "${scope}"`);
+
+  return async (req, res, next) => {
+    if (!API_AUTH_ENABLED) return next();
+
+    const unauthorized = (error) => {
+      if (realm) res.set('WWW-Authenticate', `Basic realm="${realm}", charset="UTF-8"`);
+      return res.status(401).json({ success: false, error });
+    };
+
+    try {
+      const presented = getPresentedKey(req, allowQueryKey);
+      if (!presented) {
+        return unauthorized('API key required');
+      }
+
+      const adminToken = getAdminToken();
+      const client = adminToken && safeCompare(presented, adminToken)
+        ? { id: null, name: 'ADMIN_API_TOKEN', scopes: ['admin'], rateLimitPerMinute: 0 }
+        : await findApiKey(presented);
+
+      if (!client) {
+        return unauthorized('Invalid API key');
+      }
+      if (!hasScope(client, scope)) {
+        return res.status(403).json({ success: false, error: `API key lacks the "${scope}" scope` });
+      }
+
+      if (client.id) {
+        const rate = await consumeRateLimit(client);
+        if (rate.limit) {
+          res.set('X-RateLimit-Limit', String(rate.limit));
+          res.set('X-RateLimit-Remaining', String(rate.remaining));
+          res.set('X-RateLimit-Reset', String(rate.resetSeconds));
+        }
+        if (rate.exceeded) {
+          res.set('Retry-After', String(rate.resetSeconds));
+          return res.status(429).json({ success: false, error: `Rate limit of ${rate.limit} requests per minute exceeded` });
+        }
+      }
+
+      req.apiClient = client;
+      if (req.method !== 'GET') res.on('finish', () => auditRequest(req, res));
+      next();
+    } catch (error) {
+      console.error('❌ API key authentication failed:', error.message);
+      res.status(500).json({ success: false, error: 'Authentication is unavailable' });
+    }
+  };
+}
+
+/**
+ * Validate the scopes of a key being created
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) return 'scopes must be a non-empty list';
+  const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+  return unknown.length ? `Unknown scopes: ${unknown.join(', ')} (available: ${SCOPES.join(', ')})` : null;
+}
+
+module.exports = {
+  SCOPES,
+  API_AUTH_ENABLED,
+  hashApiKey,
+  generateApiKey,
+  requireScope,
+  validateScopes
+};
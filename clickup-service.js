@@ -0,0 +1,237 @@
+const path = require('path');
+require('dotenv').config();
+// Note: Using native fetch, FormData and Blob (available in Node.js 18+)
+
+// Rate limiting configuration (ClickUp allows 100 requests/minute per token)
+const MAX_RETRIES = 3;
+const BASE_DELAY = 2000; // 2 seconds base delay
+const MAX_DELAY = 60000; // 60 seconds max delay
+const REQUEST_TIMEOUT = 30000; // 30 seconds per request
+
+class ClickUpService {
+  /**
+   * @param {object} options - Optional overrides (apiToken, apiUrl), e.g. to point at a local stand-in server
+   */
+  constructor(options = {}) {
+    this.apiToken = options.apiToken || process.env.CLICKUP_API_TOKEN;
+    this.apiUrl = (options.apiUrl || process.env.CLICKUP_API_URL || 'https://api.clickup.com/api/v2').replace(/\/+$/, '');
+    this.notifyAll = options.notifyAll ?? process.env.CLICKUP_NOTIFY_ALL === 'true';
+
+    if (!this.apiToken) {
+      throw new Error('ClickUp API token is required. Please set CLICKUP_API_TOKEN.');
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  getBackoffDelay(attempt) {
+    return Math.min(BASE_DELAY * Math.pow(2, attempt), MAX_DELAY);
+  }
+
+  /**
+   * Send a request to the ClickUp API with retry on rate limiting (429)
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Path relative to the API base URL (e.g. /task/abc/comment)
+   * @param {object} options - { json, formData }
+   * @returns {Promise<object>} Parsed JSON response
+   */
+  async request(method, endpoint, { json = null, formData = null } = {}) {
+    const url = `${this.apiUrl}${endpoint}`;
+
+    for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+      const headers = { Authorization: this.apiToken };
+      let body;
+
+      if (json) {
+        headers['Content-Type'] = 'application/json';
+        body = JSON.stringify(json);
+      } else if (formData) {
+        body = formData; // fetch sets the multipart boundary itself
+      }
+
+      let response;
+      try {
+        response = await fetch(url, {
+          method,
+          headers,
+          body,
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+        });
+      } catch (err) {
+        if (err.name === 'AbortError' || err.name === 'TimeoutError') {
+          throw new Error(`ClickUp API timeout: ${method} ${endpoint} took longer than ${REQUEST_TIMEOUT / 1000} seconds`);
+        }
+        throw new Error(`Cannot reach ClickUp API: ${err.message}`);
+      }
+
+      if (response.status === 429) {
+        // ClickUp sends the reset time as a unix timestamp (seconds)
+        const reset = parseInt(response.headers.get('X-RateLimit-Reset'));
+        const delay = reset ? Math.max(reset * 1000 - Date.now(), 1000) : this.getBackoffDelay(attempt);
+
+        if (attempt < MAX_RETRIES - 1) {
+          console.warn(`⏳ ClickUp rate limited (429). Waiting ${Math.round(delay / 1000)}s before retry ${attempt + 1}/${MAX_RETRIES}...`);
+          await this.sleep(Math.min(delay, MAX_DELAY));
+          continue;
+        }
+        throw new Error('ClickUp API rate limit exceeded. Please wait before retrying.');
+      }
+
+      const text = await response.text();
+      if (!response.ok) {
+        throw new Error(`ClickUp API error: ${response.status} ${text}`);
+      }
+
+      try {
+        return text ? JSON.parse(text) : {};
+      } catch {
+        throw new Error('ClickUp API: Unexpected response format');
+      }
+    }
+
+    throw new Error('ClickUp request failed after maximum retries');
+  }
+
+  async getTask(taskId) {
+    return await this.request('GET', `/task/${encodeURIComponent(taskId)}`);
+  }
+
+  /**
+   * Download a screenshot from storage so it can be re-uploaded to ClickUp
+   * @param {string} imageUrl - Public URL of the screenshot (markup_threads.image_path)
+   * @returns {Promise<Buffer>}
+   */
+  async downloadImage(imageUrl) {
+    const response = await fetch(imageUrl, { signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+    if (!response.ok) {
+      throw new Error(`Failed to download screenshot: ${response.status} ${imageUrl}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * Upload a file as a task attachment
+   * @returns {Promise<object>} ClickUp attachment object ({ id, url, title, ... })
+   */
+  async uploadAttachment(taskId, fileBuffer, filename, contentType = 'image/jpeg') {
+    const formData = new FormData();
+    formData.append('attachment', new Blob([fileBuffer], { type: contentType }), filename);
+    return await this.request('POST', `/task/${encodeURIComponent(taskId)}/attachment`, { formData });
+  }
+
+  /**
+   * Post a plain-text comment on a task
+   * @returns {Promise<object>} ClickUp comment object ({ id, hist_id, date })
+   */
+  async postComment(taskId, commentText) {
+    return await this.request('POST', `/task/${encodeURIComponent(taskId)}/comment`, {
+      json: {
+        comment_text: commentText,
+        notify_all: this.notifyAll
+      }
+    });
+  }
+
+  /**
+   * Format all comments of a thread as a single ClickUp comment
+   * @param {object} thread - Thread as returned by getProjectFromDB / getProjectByPartialName
+   * @param {string|null} screenshotUrl - URL of the uploaded ClickUp attachment (if any)
+   * @returns {string}
+   */
+  formatThreadComment(thread, screenshotUrl = null) {
+    const lines = [`📌 ${thread.threadName}`];
+
+    if (screenshotUrl) {
+      lines.push(`🖼️ Screenshot: ${screenshotUrl}`);
+    }
+
+    // Stable sort: replies stay right after the comment they answer
+    const comments = [...(thread.comments || [])].sort((a, b) => (a.pinNumber || 0) - (b.pinNumber || 0));
+    for (const comment of comments) {
+      lines.push('');
+      if (comment.parentCommentId) {
+        lines.push(`↳ ${comment.user || 'Unknown'} replied:`);
+      } else {
+        lines.push(`#${comment.pinNumber} – ${comment.user || 'Unknown'}${comment.resolved ? ' (resolved)' : ''}:`);
+      }
+      lines.push(comment.content || '(no text)');
+
+      if (comment.attachments && comment.attachments.length > 0) {
+        lines.push('📎 Attachments:');
+        comment.attachments.forEach(url => lines.push(`- ${url}`));
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Upload every thread screenshot and post every thread's comments to a ClickUp task.
+   * Failures for a single thread are collected and do not stop the remaining threads.
+   * Screenshots of threads flagged `screenshotDelivered` (see SupabaseService.getUndeliveredChanges)
+   * are not uploaded again.
+   *
+   * @param {string} taskId - ClickUp task ID
+   * @param {object} project - Project as returned by getProjectByPartialName / SupabaseService.getProjectFromDB
+   * @returns {Promise<object>} Summary of uploaded attachments and posted comments, plus the
+   *                            comment IDs and screenshot hashes that were delivered
+   */
+  async syncProjectToTask(taskId, project) {
+    if (!taskId) throw new Error('ClickUp task ID is required');
+    if (!project || !Array.isArray(project.threads)) throw new Error('Project with threads is required');
+
+    console.log(`\n📤 Syncing "${project.projectName}" to ClickUp task ${taskId} (${project.threads.length} threads)`);
+
+    const errors = [];
+    const delivered = { commentIds: [], imageHashes: [] };
+    let attachmentsUploaded = 0;
+    let commentsPosted = 0;
+
+    for (const thread of project.threads) {
+      let screenshotUrl = null;
+
+      if (thread.imagePath && !thread.screenshotDelivered) {
+        try {
+          const buffer = await this.downloadImage(thread.imagePath);
+          const filename = thread.imageFilename || path.basename(new URL(thread.imagePath).pathname);
+          const attachment = await this.uploadAttachment(taskId, buffer, filename);
+          screenshotUrl = attachment.url || null;
+          attachmentsUploaded++;
+          if (thread.imageHash) delivered.imageHashes.push(thread.imageHash);
+          console.log(`   🖼️  Uploaded screenshot for "${thread.threadName}"`);
+        } catch (error) {
+          console.warn(`   ⚠️  Screenshot upload failed for "${thread.threadName}": ${error.message}`);
+          errors.push({ thread: thread.threadName, operation: 'uploadAttachment', error: error.message });
+        }
+      }
+
+      if (!thread.comments || thread.comments.length === 0) continue;
+
+      try {
+        await this.postComment(taskId, this.formatThreadComment(thread, screenshotUrl));
+        commentsPosted++;
+        delivered.commentIds.push(...thread.comments.map(comment => comment.id));
+        console.log(`   💬 Posted ${thread.comments.length} comment(s) for "${thread.threadName}"`);
+      } catch (error) {
+        console.warn(`   ⚠️  Posting comments failed for "${thread.threadName}": ${error.message}`);
+        errors.push({ thread: thread.threadName, operation: 'postComment', error: error.message });
+      }
+    }
+
+    console.log(`✅ ClickUp sync finished: ${attachmentsUploaded} attachments, ${commentsPosted} comments, ${errors.length} errors`);
+
+    return {
+      success: errors.length === 0,
+      taskId: taskId,
+      projectName: project.projectName,
+      attachmentsUploaded,
+      commentsPosted,
+      delivered,
+      errors
+    };
+  }
+}
+
+module.exports = ClickUpService;
@@ -0,0 +1,125 @@
+// Tests for clickup-service.js against a local stand-in for the ClickUp API (run with `npm test`)
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const ClickUpService = require('./clickup-service.js');
+
+const SCREENSHOT = Buffer.from('fake-jpeg-bytes');
+let server;
+let baseUrl;
+let requests = [];
+let failComments = false;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      if (req.url.startsWith('/images/')) {
+        res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+        return res.end(SCREENSHOT);
+      }
+      if (req.method === 'POST' && /^\/api\/v2\/task\/[^/]+\/attachment$/.test(req.url)) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ id: 'att-1', url: `${baseUrl}/attachments/att-1.jpg` }));
+      }
+      if (req.method === 'POST' && /^\/api\/v2\/task\/[^/]+\/comment$/.test(req.url)) {
+        if (failComments) {
+          res.writeHead(500);
+          return res.end('boom');
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ id: 'comment-1' }));
+      }
+      res.writeHead(404);
+      res.end('not found');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function createService() {
+  requests = [];
+  failComments = false;
+  return new ClickUpService({ apiToken: 'pk_test', apiUrl: `${baseUrl}/api/v2/` });
+}
+
+const project = () => ({
+  projectName: 'Haus Müller',
+  threads: [
+    {
+      threadName: 'Startseite',
+      imagePath: `${baseUrl}/images/thread_1.jpg`,
+      imageFilename: 'thread_1.jpg',
+      imageHash: 'hash-1',
+      comments: [
+        { id: 'c1', pinNumber: 2, user: 'Anna', content: 'Logo bigger', attachments: [] },
+        { id: 'c2', pinNumber: 1, user: 'Ben', content: 'Wrong font', attachments: ['https://example.com/ref.png'] }
+      ]
+    },
+    { threadName: 'Empty', imagePath: '', comments: [] }
+  ]
+});
+
+test('uploads the screenshot and posts the comments of each thread', async () => {
+  const result = await createService().syncProjectToTask('task 1', project());
+
+  assert.equal(result.success, true);
+  assert.equal(result.attachmentsUploaded, 1);
+  assert.equal(result.commentsPosted, 1);
+  assert.deepEqual(result.delivered, { commentIds: ['c1', 'c2'], imageHashes: ['hash-1'] });
+
+  const upload = requests.find(r => r.url === '/api/v2/task/task%201/attachment');
+  assert.ok(upload, 'attachment uploaded to the encoded task URL');
+  assert.equal(upload.headers.authorization, 'pk_test');
+  assert.match(upload.headers['content-type'], /^multipart\/form-data/);
+  assert.ok(upload.body.includes(SCREENSHOT));
+
+  const comment = requests.find(r => r.url === '/api/v2/task/task%201/comment');
+  const { comment_text: text, notify_all: notifyAll } = JSON.parse(comment.body.toString());
+  assert.equal(notifyAll, false);
+  assert.ok(text.startsWith('📌 Startseite'));
+  assert.ok(text.includes(`🖼️ Screenshot: ${baseUrl}/attachments/att-1.jpg`));
+  assert.ok(text.indexOf('#1 – Ben:') < text.indexOf('#2 – Anna:'), 'comments ordered by pin');
+  assert.ok(text.includes('- https://example.com/ref.png'));
+});
+
+test('skips screenshots that were already delivered', async () => {
+  const data = project();
+  data.threads[0].screenshotDelivered = true;
+  const result = await createService().syncProjectToTask('task-1', data);
+
+  assert.equal(result.attachmentsUploaded, 0);
+  assert.equal(requests.filter(r => r.url.endsWith('/attachment')).length, 0);
+  assert.equal(result.commentsPosted, 1);
+});
+
+test('collects per-thread errors and leaves failed comments undelivered', async () => {
+  const service = createService();
+  failComments = true;
+  const result = await service.syncProjectToTask('task-1', project());
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.delivered.commentIds, []);
+  assert.equal(result.errors[0].operation, 'postComment');
+  assert.match(result.errors[0].error, /ClickUp API error: 500/);
+});
+
+test('formats replies and resolved threads', () => {
+  const text = createService().formatThreadComment({
+    threadName: 'Kontakt',
+    comments: [
+      { id: 'p1', pinNumber: 1, user: 'Anna', content: 'Fix the map', resolved: true },
+      { id: 'r1', pinNumber: 1, user: 'Ben', content: 'Done', parentCommentId: 'p1', resolved: true }
+    ]
+  });
+
+  assert.equal(text, '📌 Kontakt\n\n#1 – Anna (resolved):\nFix the map\n\n↳ Ben replied:\nDone');
+});
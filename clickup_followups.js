@@ -0,0 +1,55 @@
+// clickup_followups.js
+// ClickUp syncs that held back comments still waiting for the translation queue (see queue.js).
+// They are remembered per project in Redis (clickup-followup:<projectId>, task ID -> { taskName, url })
+// and queued again once the project's translation job has settled.
+
+const { getRedisConnection } = require('./redis_client');
+
+const KEY_PREFIX = 'clickup-followup';
+const FOLLOWUP_TTL_SECONDS = 7 * 24 * 3600;
+
+/**
+ * Remember a ClickUp sync that held back untranslated comments
+ * @param {string} projectId - markup_projects.id
+ * @param {object} sync - { taskId, taskName, url }
+ * @param {object} redis - Redis connection (defaults to the shared one)
+ */
+async function addClickUpFollowUp(projectId, { taskId, taskName, url }, redis = getRedisConnection()) {
+  const key = `${KEY_PREFIX}:${projectId}`;
+  await redis.multi()
+    .hset(key, taskId, JSON.stringify({ taskName, url }))
+    .expire(key, FOLLOWUP_TTL_SECONDS)
+    .exec();
+}
+
+/**
+ * Queue the ClickUp syncs that waited for a project's translation and forget them.
+ * When the translation job ran out of retries, or finished with comments deferred by the
+ * monthly budget, nothing will translate those comments soon: the syncs post them as written.
+ * @param {string} projectId - markup_projects.id
+ * @param {object} outcome - { failed, deferred } of the translation job
+ * @param {Function} enqueue - Called with { taskId, taskName, projectId, url, postUntranslated } per sync
+ * @param {object} redis - Redis connection (defaults to the shared one)
+ * @returns {Promise<number>} Number of syncs queued
+ */
+async function runClickUpFollowUps(projectId, { failed = false, deferred = 0 } = {}, enqueue, redis = getRedisConnection()) {
+  const key = `${KEY_PREFIX}:${projectId}`;
+  const [[, followUps]] = await redis.multi().hgetall(key).del(key).exec();
+  const postUntranslated = failed || deferred > 0;
+
+  const entries = Object.entries(followUps || {});
+  if (entries.length > 0 && postUntranslated) {
+    console.log(`⚠️  Translation of project ${projectId} ${failed ? 'failed' : `deferred ${deferred} comments`} - ${entries.length} ClickUp syncs post them untranslated`);
+  }
+
+  for (const [taskId, value] of entries) {
+    const { taskName, url } = JSON.parse(value);
+    await enqueue({ taskId, taskName, projectId, url, postUntranslated });
+  }
+  return entries.length;
+}
+
+module.exports = {
+  addClickUpFollowUp,
+  runClickUpFollowUps
+};
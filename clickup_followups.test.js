@@ -0,0 +1,60 @@
+// Tests for clickup_followups.js (run with `npm test`)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { addClickUpFollowUp, runClickUpFollowUps } = require('./clickup_followups.js');
+
+/**
+ * In-memory stand-in for the few Redis hash commands the follow-ups use (through multi())
+ */
+function createRedis() {
+  const hashes = new Map();
+  return {
+    hashes,
+    multi() {
+      const commands = [];
+      const pipeline = {
+        hset: (key, field, value) => { commands.push(() => { hashes.set(key, { ...hashes.get(key), [field]: value }); return 1; }); return pipeline; },
+        expire: () => { commands.push(() => 1); return pipeline; },
+        hgetall: (key) => { commands.push(() => ({ ...hashes.get(key) })); return pipeline; },
+        del: (key) => { commands.push(() => Number(hashes.delete(key))); return pipeline; },
+        exec: async () => commands.map(command => [null, command()])
+      };
+      return pipeline;
+    }
+  };
+}
+
+async function settle(outcome) {
+  const redis = createRedis();
+  await addClickUpFollowUp('p1', { taskId: 't1', taskName: 'Haus Müller', url: 'https://app.markup.io/markup/a' }, redis);
+  await addClickUpFollowUp('p1', { taskId: 't2', taskName: 'Haus Müller (Mobil)', url: 'https://app.markup.io/markup/a' }, redis);
+
+  const queued = [];
+  const count = await runClickUpFollowUps('p1', outcome, async sync => { queued.push(sync); }, redis);
+  return { redis, queued, count };
+}
+
+test('held ClickUp syncs run again once the translation finished and keep holding new comments', async () => {
+  const { redis, queued, count } = await settle({ deferred: 0 });
+  assert.equal(count, 2);
+  assert.deepEqual(queued.map(sync => [sync.taskId, sync.projectId, sync.postUntranslated]), [['t1', 'p1', false], ['t2', 'p1', false]]);
+  assert.equal(redis.hashes.size, 0);
+});
+
+test('held ClickUp syncs post comments untranslated when the translation failed or was deferred', async () => {
+  const failed = await settle({ failed: true });
+  assert.deepEqual(failed.queued.map(sync => sync.postUntranslated), [true, true]);
+  assert.equal(failed.redis.hashes.size, 0);
+
+  const deferred = await settle({ deferred: 3 });
+  assert.deepEqual(deferred.queued.map(sync => sync.postUntranslated), [true, true]);
+  assert.equal(deferred.queued[0].taskName, 'Haus Müller');
+  assert.equal(deferred.queued[0].url, 'https://app.markup.io/markup/a');
+});
+
+test('nothing is queued for a project without held syncs', async () => {
+  const queued = [];
+  assert.equal(await runClickUpFollowUps('p2', { failed: true }, async sync => { queued.push(sync); }, createRedis()), 0);
+  assert.equal(queued.length, 0);
+});
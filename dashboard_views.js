@@ -0,0 +1,227 @@
+// dashboard_views.js
+// HTML for the server-rendered dashboard (GET /dashboard). Plain template strings, no client-side JS:
+// every value coming from Markup or the database goes through escapeHtml().
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|webp|svg)(\?|#|$)/i;
+
+/**
+ * Escape text for use in HTML element content and attribute values
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Only link to http(s) URLs (screenshots and attachments come from scraped pages)
+ */
+function safeUrl(url) {
+  return /^https?:\/\//i.test(url || '') ? escapeHtml(url) : '#';
+}
+
+function formatDate(value) {
+  if (!value) return '—';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '—' : date.toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+}
+
+function badge(text, tone) {
+  return `<span class="badge badge-${tone}">${escapeHtml(text)}</span>`;
+}
+
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} · Markup dashboard</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 0; background: #f5f6f8; color: #1f2328; }
+  header { background: #1f2328; color: #fff; padding: 12px 24px; }
+  header a { color: #fff; text-decoration: none; font-weight: 600; }
+  main { max-width: 1100px; margin: 0 auto; padding: 24px; }
+  table { width: 100%; border-collapse: collapse; background: #fff; }
+  th, td { text-align: left; padding: 8px 12px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  th { background: #f0f1f3; font-size: 13px; }
+  .badge { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 12px; }
+  .badge-ok { background: #dafbe1; color: #116329; }
+  .badge-error { background: #ffebe9; color: #a40e26; }
+  .badge-pending { background: #fff8c5; color: #7d4e00; }
+  .badge-muted { background: #eaeef2; color: #57606a; }
+  .notice { padding: 10px 14px; border-radius: 6px; margin-bottom: 16px; background: #ddf4ff; }
+  .notice-error { background: #ffebe9; }
+  .meta { color: #57606a; font-size: 14px; }
+  .thread { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; margin: 16px 0; display: grid; grid-template-columns: minmax(0, 3fr) minmax(0, 2fr); }
+  .thread img.screenshot { width: 100%; display: block; border-radius: 8px 0 0 8px; }
+  .thread .comments { padding: 12px 16px; }
+  .comment { border-bottom: 1px solid #eaeef2; padding: 8px 0; }
+  .comment:last-child { border-bottom: 0; }
+  .comment.reply { margin-left: 24px; }
+  .pin { display: inline-block; min-width: 22px; text-align: center; background: #cf222e; color: #fff; border-radius: 11px; font-size: 12px; margin-right: 6px; }
+  .original { color: #57606a; font-size: 13px; margin-top: 4px; }
+  .attachments img { max-width: 96px; max-height: 72px; margin: 6px 6px 0 0; border: 1px solid #e5e7eb; }
+  form.inline { display: inline; }
+  button { background: #1f883d; color: #fff; border: 0; border-radius: 6px; padding: 6px 14px; cursor: pointer; }
+  input[type=search] { padding: 6px 10px; width: 260px; }
+  .pagination { margin-top: 16px; }
+</style>
+</head>
+<body>
+<header><a href="/dashboard">Markup dashboard</a></header>
+<main>
+${body}
+</main>
+</body>
+</html>`;
+}
+
+function renderScrapeBadge(succeeded) {
+  if (succeeded === null || succeeded === undefined) return badge('never scraped', 'muted');
+  return succeeded ? badge('ok', 'ok') : badge('failed', 'error');
+}
+
+/**
+ * @param {object} data - { projects, total, page, pageSize, search }
+ * @returns {string} HTML
+ */
+function renderProjectList({ projects, total, page, pageSize, search }) {
+  const rows = projects.map(project => `
+    <tr>
+      <td><a href="/dashboard/projects/${encodeURIComponent(project.id)}">${escapeHtml(project.projectName)}</a>
+        <div class="meta">${escapeHtml(project.url)}</div></td>
+      <td>${escapeHtml(project.totalThreads ?? 0)}</td>
+      <td>${escapeHtml(project.totalScreenshots ?? 0)}</td>
+      <td>${formatDate(project.lastScrapedAt || project.timestamp)}</td>
+      <td>${renderScrapeBadge(project.lastScrapeSucceeded)}</td>
+    </tr>`).join('');
+
+  const lastPage = Math.max(Math.ceil(total / pageSize), 1);
+  const pageLink = (target, label) => {
+    const query = new URLSearchParams({ ...(search && { q: search }), page: String(target) });
+    return `<a href="/dashboard?${escapeHtml(query.toString())}">${label}</a>`;
+  };
+
+  return renderPage('Projects', `
+<h1>Projects</h1>
+<form method="get" action="/dashboard">
+  <input type="search" name="q" placeholder="Search project name" value="${escapeHtml(search || '')}">
+  <button type="submit">Search</button>
+</form>
+<p class="meta">${escapeHtml(total)} project(s)</p>
+<table>
+  <thead><tr><th>Project</th><th>Threads</th><th>Screenshots</th><th>Last scrape</th><th>Status</th></tr></thead>
+  <tbody>${rows || '<tr><td colspan="5">No projects found</td></tr>'}</tbody>
+</table>
+<div class="pagination">
+  ${page > 1 ? pageLink(page - 1, '← Previous') : ''}
+  <span class="meta">Page ${escapeHtml(page)} of ${escapeHtml(lastPage)}</span>
+  ${page < lastPage ? pageLink(page + 1, 'Next →') : ''}
+</div>`);
+}
+
+function renderAttachments(attachments) {
+  if (!attachments || attachments.length === 0) return '';
+  const items = attachments.map((url, i) => IMAGE_EXTENSIONS.test(url)
+    ? `<a href="${safeUrl(url)}" target="_blank" rel="noopener"><img src="${safeUrl(url)}" alt="Attachment ${i + 1}" loading="lazy"></a>`
+    : `<a href="${safeUrl(url)}" target="_blank" rel="noopener">Attachment ${i + 1}</a>`);
+  return `<div class="attachments">${items.join(' ')}</div>`;
+}
+
+function renderComment(comment) {
+  const translated = comment.originalContent && comment.originalContent !== comment.content;
+  const language = comment.sourceLanguage ? ` · ${escapeHtml(comment.sourceLanguage)}` : '';
+  const pending = comment.translationDeferred ? ` ${badge('translation pending', 'pending')}` : '';
+  const resolved = comment.resolved && !comment.parentCommentId ? ` ${badge('resolved', 'ok')}` : '';
+  const posted = comment.postedAt ? ` · ${formatDate(comment.postedAt)}` : '';
+  const marker = comment.parentCommentId ? '<span class="meta">↳ </span>' : `<span class="pin">${escapeHtml(comment.pinNumber)}</span>`;
+
+  return `
+      <div class="comment${comment.parentCommentId ? ' reply' : ''}">
+        <div>${marker}<strong>${escapeHtml(comment.user)}</strong>
+          <span class="meta">${posted}${language}</span>${resolved}${pending}</div>
+        <div>${escapeHtml(comment.content)}</div>
+        ${translated ? `<div class="original">Original: ${escapeHtml(comment.originalContent)}</div>` : ''}
+        ${renderAttachments(comment.attachments)}
+      </div>`;
+}
+
+function renderThread(thread) {
+  const screenshot = thread.imagePath
+    ? `<a href="${safeUrl(thread.imagePath)}" target="_blank" rel="noopener"><img class="screenshot" src="${safeUrl(thread.imagePath)}" alt="${escapeHtml(thread.threadName)}" loading="lazy"></a>`
+    : '<p class="meta" style="padding: 16px">No screenshot</p>';
+
+  return `
+  <section class="thread">
+    <div>${screenshot}</div>
+    <div class="comments">
+      <h3>${escapeHtml(thread.threadName)}</h3>
+      ${thread.comments.map(renderComment).join('') || '<p class="meta">No comments</p>'}
+    </div>
+  </section>`;
+}
+
+function renderJobState(job) {
+  if (!job) return badge('idle', 'muted');
+  const tone = { completed: 'ok', failed: 'error' }[job.state] || 'pending';
+  const percent = typeof job.progress === 'object' && job.progress !== null ? job.progress.percent : job.progress;
+  const detail = job.state === 'active' && percent ? ` ${escapeHtml(percent)}%` : '';
+  const when = job.willProcessAt ? ` <span class="meta">starts ${formatDate(job.willProcessAt)}</span>` : '';
+  return `${badge(job.state, tone)}${detail}${when}`;
+}
+
+/**
+ * @param {object} data - { project, scrapeStatus, job, notice, error }
+ * @returns {string} HTML
+ */
+function renderProjectDetail({ project, scrapeStatus, job, notice = null, error = null }) {
+  const failure = scrapeStatus?.lastFailure;
+  const failedSinceLastScrape = failure && failure.status !== 'resolved'
+    && (!scrapeStatus.lastScrapedAt || new Date(failure.failedAt) > new Date(scrapeStatus.lastScrapedAt));
+  const commentCount = project.threads.reduce((sum, thread) => sum + thread.comments.length, 0);
+
+  return renderPage(project.projectName, `
+<p><a href="/dashboard">← All projects</a></p>
+${notice ? `<div class="notice">${escapeHtml(notice)}</div>` : ''}
+${error ? `<div class="notice notice-error">${escapeHtml(error)}</div>` : ''}
+<h1>${escapeHtml(project.projectName)}</h1>
+<p class="meta"><a href="${safeUrl(project.url)}" target="_blank" rel="noopener">${escapeHtml(project.url)}</a></p>
+<table>
+  <tr><th>Last scrape</th><td>${formatDate(scrapeStatus?.lastScrapedAt || project.timestamp)}
+    ${renderScrapeBadge(scrapeStatus?.success ?? null)}
+    ${scrapeStatus?.durationSeconds ? `<span class="meta">in ${escapeHtml(Math.round(scrapeStatus.durationSeconds))}s</span>` : ''}</td></tr>
+  ${failedSinceLastScrape ? `<tr><th>Last failure</th><td>${formatDate(failure.failedAt)} ${badge(failure.status, 'error')}
+    <div class="meta">${escapeHtml(failure.errorMessage)}</div></td></tr>` : ''}
+  <tr><th>Queue</th><td>${renderJobState(job)}
+    <form class="inline" method="post" action="/dashboard/projects/${encodeURIComponent(project.id)}/rescrape">
+      <button type="submit">Re-scrape now</button>
+    </form></td></tr>
+  <tr><th>Content</th><td>${escapeHtml(project.threads.length)} thread(s), ${escapeHtml(commentCount)} comment(s)
+    ${project.targetLanguage ? `<span class="meta">· translated to ${escapeHtml(project.targetLanguage)}</span>` : ''}</td></tr>
+</table>
+${project.threads.map(renderThread).join('') || '<p>No threads</p>'}`);
+}
+
+/**
+ * @param {number} status - HTTP status shown in the title
+ * @param {string} message
+ * @returns {string} HTML
+ */
+function renderError(status, message) {
+  return renderPage(`Error ${status}`, `
+<p><a href="/dashboard">← All projects</a></p>
+<div class="notice notice-error">${escapeHtml(message)}</div>`);
+}
+
+module.exports = {
+  escapeHtml,
+  renderProjectList,
+  renderProjectDetail,
+  renderError
+};
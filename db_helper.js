@@ -35,6 +35,7 @@ class MarkupScreenshotter {
       viewport: { width: 1920, height: 1080 }, // We'll adjust this dynamically if needed
       waitForFullscreen: true,
       debugMode: process.env.SCRAPER_DEBUG_MODE === 'true' || false,
+      onProgress: null, // Optional: called with { stage, current, total, message } after each screenshot
       ...options
     };
     
@@ -79,6 +80,22 @@ class MarkupScreenshotter {
     }
   }
 
+  /**
+   * Report a progress stage to options.onProgress (if set). Never throws.
+   * @param {string} stage - e.g. 'screenshot'
+   * @param {object} details - { current, total, message }
+   */
+  reportProgress(stage, details = {}) {
+    if (typeof this.options.onProgress !== 'function') return;
+    try {
+      Promise.resolve(this.options.onProgress({ stage, ...details })).catch(err => {
+        this.log(`Progress callback failed: ${err.message}`, 'debug');
+      });
+    } catch (err) {
+      this.log(`Progress callback failed: ${err.message}`, 'debug');
+    }
+  }
+
   async delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -695,6 +712,11 @@ class MarkupScreenshotter {
     }, `Screenshot capture: ${jpegFilename}`);
     
     this.log(`🎯 Screenshot saved: ${jpegFilename}`, 'success');
+    this.reportProgress('screenshot', {
+      current: this.screenshots.length,
+      total: this.options.numberOfImages,
+      message: `Screenshot ${this.screenshots.length} of ${this.options.numberOfImages}`
+    });
   }
 
   async getCurrentImageName() {
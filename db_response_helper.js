@@ -1,51 +1,251 @@
 const SupabaseService = require('./supabase-service');
 
+// ============================================================================
+// PROJECT NAME MATCHING
+// ============================================================================
+
+// Which match types each strategy accepts. substring is the legacy match of getProjectByPartialName
+// that ignores word boundaries ("Müll" matches "Müller Haus"); fuzzy accepts every other type.
+const MATCH_STRATEGIES = {
+  exact: ['exact'],
+  prefix: ['exact', 'prefix'],
+  contains: ['exact', 'prefix', 'contains'],
+  substring: ['exact', 'prefix', 'contains', 'substring'],
+  fuzzy: ['exact', 'prefix', 'contains', 'tokens', 'trigram']
+};
+const DEFAULT_STRATEGY = 'contains';
+const MIN_SCORE = 0.3; // Same cut-off as pg_trgm's default similarity threshold
+const AMBIGUITY_MARGIN = 0.02; // Candidates this close to the best score count as a tie
+// Weaker matches are only suggested, never picked automatically (0.8 = whole-word substring or better)
+const AUTO_MATCH_MIN_SCORE = parseFloat(process.env.PROJECT_MATCH_MIN_SCORE) || 0.8;
+const CANDIDATE_POOL_SIZE = 50; // Rows ranked by find_project_candidates() before exact scoring
+
+/**
+ * Lower-case, strip accents ("Müller" → "muller") and collapse punctuation to single spaces
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/ß/g, 'ss')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Trigrams of each word, padded like pg_trgm ("  word ")
+ * @param {string} normalized
+ * @returns {Set<string>}
+ */
+function trigrams(normalized) {
+  const grams = new Set();
+  normalized.split(' ').filter(Boolean).forEach(word => {
+    const padded = `  ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+  });
+  return grams;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(item => { if (b.has(item)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Score how well a project name matches the searched name. Either side may be the longer one,
+ * since ClickUp task names often add words ("Haus Müller – Review"). Prefix and contains only
+ * match whole words, so "Haus" does not match "Rathausplatz 5".
+ * @returns {object|null} { score, matchType } of the best allowed match type, null below MIN_SCORE
+ */
+function scoreProjectName(query, projectName, allowedTypes = MATCH_STRATEGIES[DEFAULT_STRATEGY]) {
+  const q = normalizeName(query);
+  const n = normalizeName(projectName);
+  if (!q || !n) return null;
+
+  // Padded with spaces so includes() / startsWith() stop at word boundaries
+  const qWords = ` ${q} `;
+  const nWords = ` ${n} `;
+
+  const scores = {
+    exact: q === n ? 1 : 0,
+    prefix: nWords.startsWith(qWords) || qWords.startsWith(nWords) ? 0.9 : 0,
+    contains: nWords.includes(qWords) || qWords.includes(nWords) ? 0.8 : 0,
+    substring: n.includes(q) || q.includes(n) ? 0.8 : 0,
+    tokens: 0.75 * jaccard(new Set(q.split(' ')), new Set(n.split(' '))),
+    trigram: 0.7 * jaccard(trigrams(q), trigrams(n))
+  };
+
+  let best = null;
+  allowedTypes.forEach(matchType => {
+    if (scores[matchType] > 0 && (!best || scores[matchType] > best.score)) {
+      best = { score: Math.round(scores[matchType] * 1000) / 1000, matchType };
+    }
+  });
+  return best && best.score >= MIN_SCORE ? best : null;
+}
+
+/**
+ * Rank projects by how well their name matches. The database pre-ranks them with pg_trgm
+ * (find_project_candidates(), migrations/018), the best of those are scored here.
+ * @param {string} name - Searched name (e.g. a ClickUp task name)
+ * @param {object} options - { strategy: exact | prefix | contains | substring | fuzzy, limit }
+ * @returns {Promise<Array<object>>} [{ id, projectName, url, updatedAt, score, matchType }], best first
+ */
+async function findProjectCandidates(name, { strategy = DEFAULT_STRATEGY, limit = 10 } = {}) {
+  const allowedTypes = MATCH_STRATEGIES[strategy];
+  if (!allowedTypes) {
+    throw new Error(`Unknown match strategy "${strategy}". Available: ${Object.keys(MATCH_STRATEGIES).join(', ')}`);
+  }
+
+  const projects = await new SupabaseService().findProjectNameCandidates(name, Math.max(limit, CANDIDATE_POOL_SIZE));
+
+  // Already one row per Markup URL (the most recently updated project)
+  const candidates = [];
+  projects.forEach(project => {
+    const match = scoreProjectName(name, project.project_name, allowedTypes);
+    if (match) {
+      candidates.push({
+        id: project.id,
+        projectName: project.project_name,
+        url: project.url,
+        updatedAt: project.updated_at,
+        ...match
+      });
+    }
+  });
+
+  return candidates
+    .sort((a, b) => b.score - a.score || new Date(b.updatedAt) - new Date(a.updatedAt))
+    .slice(0, limit);
+}
+
+/**
+ * Resolve a name to exactly one project, refusing to guess between equally good matches
+ * or to pick a match weaker than PROJECT_MATCH_MIN_SCORE
+ * @param {string} name
+ * @param {object} options - { strategy }
+ * @returns {Promise<object>} { status: 'matched' | 'ambiguous' | 'needs_confirmation' | 'not_found', project, match, candidates }
+ */
+async function resolveProjectByName(name, { strategy = DEFAULT_STRATEGY } = {}) {
+  const candidates = await findProjectCandidates(name, { strategy });
+  if (candidates.length === 0) {
+    return { status: 'not_found', project: null, match: null, candidates };
+  }
+
+  const [best] = candidates;
+  if (best.score < AUTO_MATCH_MIN_SCORE) {
+    return { status: 'needs_confirmation', project: null, match: null, candidates };
+  }
+
+  const tied = candidates.filter(candidate => best.score - candidate.score <= AMBIGUITY_MARGIN);
+  if (tied.length > 1) {
+    return { status: 'ambiguous', project: null, match: null, candidates: tied };
+  }
+
+  const project = await getProjectDetails(best.id);
+  if (!project) {
+    return { status: 'not_found', project: null, match: null, candidates };
+  }
+  return {
+    status: 'matched',
+    project,
+    match: { score: best.score, matchType: best.matchType },
+    candidates
+  };
+}
+
+/**
+ * Project with threads and comments
+ * @param {string} projectId
+ * @returns {Promise<object|null>}
+ */
+async function getProjectDetails(projectId) {
+  const project = await new SupabaseService().getProjectById(projectId);
+  if (!project) return null;
+  const { success, ...details } = project;
+  return details;
+}
+
+/**
+ * Find the project for an external task. A confirmed project link wins; otherwise the task name
+ * is matched. The first name match is saved as an unconfirmed link for an operator to review.
+ * Unconfirmed links are not trusted: the name is matched again on every call, and when it now
+ * points to another project the link is moved there (still unconfirmed).
+ * @param {object} task - { target, externalTaskId, name, strategy }
+ * @returns {Promise<object>} Like resolveProjectByName, plus status 'linked' and the link
+ */
+async function resolveProjectForTask({ target = 'clickup', externalTaskId, name, strategy = DEFAULT_STRATEGY }) {
+  const supabaseService = new SupabaseService();
+
+  const link = externalTaskId ? await supabaseService.getProjectLinkByTask(target, externalTaskId) : null;
+  if (link?.confirmed) {
+    const linkedProject = await supabaseService.getProjectFromDB(link.markupUrl);
+    if (linkedProject) {
+      const { success, ...project } = linkedProject;
+      return { status: 'linked', project, match: null, candidates: [], link };
+    }
+    console.warn(`⚠️  Project link ${link.id} points to ${link.markupUrl}, which has no scraped project - matching by name`);
+  }
+
+  const resolution = await resolveProjectByName(name, { strategy });
+  if (resolution.status !== 'matched' || !externalTaskId) {
+    return { ...resolution, link };
+  }
+
+  if (link) {
+    if (link.confirmed || link.markupUrl === resolution.project.url) {
+      return { ...resolution, link };
+    }
+
+    try {
+      const moved = await supabaseService.updateProjectLink(link.id, {
+        markupUrl: resolution.project.url,
+        externalTaskName: name,
+        matchScore: resolution.match.score
+      });
+      console.log(`🔗 Re-linked ${target} task ${externalTaskId} from ${link.markupUrl} to "${resolution.project.projectName}" (unconfirmed)`);
+      return { ...resolution, link: moved || link };
+    } catch (error) {
+      console.warn(`⚠️  Could not update project link ${link.id}: ${error.message}`);
+      return { ...resolution, link };
+    }
+  }
+
+  try {
+    const created = await supabaseService.createProjectLink({
+      markupUrl: resolution.project.url,
+      target,
+      externalTaskId,
+      externalTaskName: name,
+      source: 'name_match',
+      matchScore: resolution.match.score,
+      confirmed: false
+    });
+    console.log(`🔗 Linked ${target} task ${externalTaskId} to "${resolution.project.projectName}" (unconfirmed)`);
+    return { ...resolution, link: created };
+  } catch (error) {
+    // The sync can go ahead without the link; it is just not remembered
+    console.warn(`⚠️  Could not save project link for task ${externalTaskId}: ${error.message}`);
+    return { ...resolution, link: null };
+  }
+}
+
 /**
- * Search for a project by (partial) project name, case-insensitive, returns first match with full details
+ * Search for a project by (partial) project name, returns the best match with full details
+ * Returns null when nothing matches or several projects match equally well.
  * @param {string} partialName
+ * @param {object} options - { strategy } (defaults to the legacy substring match, ignoring word boundaries)
  * @returns {Promise<object|null>}
  */
-async function getProjectByPartialName(partialName) {
+async function getProjectByPartialName(partialName, { strategy = 'substring' } = {}) {
   try {
-    const supabaseService = new SupabaseService();
-    const { data: project, error } = await supabaseService.supabase
-      .from('markup_projects')
-      .select(`*, scraped_data!inner(url, scraping_timestamp), markup_threads ( *, markup_comments(*) )`)
-      .ilike('project_name', `%${partialName}%`)
-      .order('updated_at', { ascending: false })
-      .limit(1)
-      .single();
-    if (error || !project) return null;
-    
-    const threads = (project.markup_threads || []).map(thread => ({
-      threadName: thread.thread_name,
-      imageIndex: thread.image_index,
-      imagePath: thread.image_path,
-      imageFilename: thread.image_filename,
-      hasAttachments: thread.has_attachments || false,
-      comments: (thread.markup_comments || []).map(comment => ({
-        id: comment.id,
-        index: comment.comment_index,
-        pinNumber: comment.pin_number,
-        content: comment.content,
-        user: comment.user_name,
-        attachments: comment.attachments || []
-      }))
-    }));
-    
-    // Check if ANY thread has attachments
-    const hasAttachments = threads.some(thread => thread.hasAttachments);
-    
-    return {
-      id: project.id,
-      projectName: project.project_name,
-      url: project.scraped_data.url,
-      totalThreads: project.total_threads,
-      totalScreenshots: project.total_screenshots,
-      timestamp: project.extraction_timestamp,
-      hasAttachments: hasAttachments,
-      threads: threads
-    };
+    const resolution = await resolveProjectByName(partialName, { strategy });
+    return resolution.project;
   } catch (error) {
     console.error('Error searching project by partial name:', error.message);
     return null;
@@ -53,5 +253,13 @@ async function getProjectByPartialName(partialName) {
 }
 
 module.exports = {
+  MATCH_STRATEGIES,
+  DEFAULT_STRATEGY,
+  AUTO_MATCH_MIN_SCORE,
+  normalizeName,
+  scoreProjectName,
+  findProjectCandidates,
+  resolveProjectByName,
+  resolveProjectForTask,
   getProjectByPartialName
-};
\ No newline at end of file
+};
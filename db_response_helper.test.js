@@ -0,0 +1,119 @@
+// Tests for project name matching in db_response_helper.js (run with `npm test`)
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:1';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'test-key';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const SupabaseService = require('./supabase-service.js');
+const { MATCH_STRATEGIES, AUTO_MATCH_MIN_SCORE, normalizeName, scoreProjectName, resolveProjectForTask, getProjectByPartialName } = require('./db_response_helper.js');
+
+const fuzzy = MATCH_STRATEGIES.fuzzy;
+
+test('normalizes case, accents and punctuation', () => {
+  assert.equal(normalizeName('  Haus MÜLLER – Straße 5 '), 'haus muller strasse 5');
+});
+
+test('scores exact, prefix and whole-word matches in either direction', () => {
+  assert.deepEqual(scoreProjectName('haus müller', 'Haus Müller'), { score: 1, matchType: 'exact' });
+  assert.deepEqual(scoreProjectName('Haus Müller – Review', 'Haus Müller'), { score: 0.9, matchType: 'prefix' });
+  assert.deepEqual(scoreProjectName('Review Haus Müller', 'Haus Müller'), { score: 0.8, matchType: 'contains' });
+  assert.deepEqual(scoreProjectName('Müller', 'Haus Müller'), { score: 0.8, matchType: 'contains' });
+});
+
+test('contains and prefix stop at word boundaries', () => {
+  assert.equal(scoreProjectName('Rathausplatz 5', 'Haus'), null);
+  assert.equal(scoreProjectName('Haus', 'Hausmeister Weg'), null);
+  assert.equal(scoreProjectName('Rathausplatz 5', 'Haus', fuzzy), null);
+});
+
+test('similar spellings only score below the automatic match floor', () => {
+  assert.equal(scoreProjectName('Haus Müller', 'Haus Meier'), null, 'not matched by the default strategy');
+
+  for (const name of ['Haus Meier', 'Haus Möller']) {
+    const match = scoreProjectName('Haus Müller', name, fuzzy);
+    assert.ok(match, name);
+    assert.ok(match.score < AUTO_MATCH_MIN_SCORE, `${name} scored ${match.score}`);
+  }
+});
+
+test('strategies limit the accepted match types', () => {
+  assert.equal(scoreProjectName('Haus Müller Review', 'Haus Müller', MATCH_STRATEGIES.exact), null);
+  assert.equal(scoreProjectName('Review Haus Müller', 'Haus Müller', MATCH_STRATEGIES.prefix), null);
+  assert.equal(scoreProjectName('Haus Mueller', 'Haus Müller', fuzzy).matchType, 'trigram');
+  assert.deepEqual(scoreProjectName('Müll', 'Müller Haus', MATCH_STRATEGIES.substring), { score: 0.8, matchType: 'substring' });
+});
+
+// In-memory projects and links standing in for the database calls resolveProjectForTask makes
+const PROJECTS = {
+  'p-mueller': { id: 'p-mueller', projectName: 'Haus Müller', url: 'https://app.markup.io/markup/mueller' },
+  'p-meier': { id: 'p-meier', projectName: 'Haus Meier', url: 'https://app.markup.io/markup/meier' }
+};
+let links;
+
+beforeEach(() => {
+  links = [];
+  Object.assign(SupabaseService.prototype, {
+    async findProjectNameCandidates() {
+      return Object.values(PROJECTS).map(p => ({ id: p.id, project_name: p.projectName, url: p.url, updated_at: '2026-10-01T00:00:00Z' }));
+    },
+    async getProjectById(id) {
+      return PROJECTS[id] ? { success: true, ...PROJECTS[id], threads: [] } : null;
+    },
+    async getProjectFromDB(url) {
+      const project = Object.values(PROJECTS).find(p => p.url === url);
+      return project ? { success: true, ...project, threads: [] } : null;
+    },
+    async getProjectLinkByTask(target, taskId) {
+      return links.find(link => link.externalTaskId === taskId) || null;
+    },
+    async createProjectLink(link) {
+      const created = { id: links.length + 1, ...link };
+      links.push(created);
+      return created;
+    },
+    async updateProjectLink(id, updates) {
+      const link = links.find(l => l.id === id);
+      Object.assign(link, updates);
+      return link;
+    }
+  });
+});
+
+test('a name match creates an unconfirmed link', async () => {
+  const resolution = await resolveProjectForTask({ externalTaskId: 't1', name: 'Haus Müller – Review' });
+  assert.equal(resolution.status, 'matched');
+  assert.equal(resolution.project.id, 'p-mueller');
+  assert.equal(links[0].confirmed, false);
+  assert.equal(links[0].markupUrl, PROJECTS['p-mueller'].url);
+});
+
+test('a confirmed link wins over the task name', async () => {
+  links.push({ id: 1, externalTaskId: 't1', markupUrl: PROJECTS['p-meier'].url, confirmed: true });
+  const resolution = await resolveProjectForTask({ externalTaskId: 't1', name: 'Haus Müller' });
+  assert.equal(resolution.status, 'linked');
+  assert.equal(resolution.project.id, 'p-meier');
+});
+
+test('an unconfirmed link is moved when the name now matches another project', async () => {
+  links.push({ id: 1, externalTaskId: 't1', markupUrl: PROJECTS['p-meier'].url, confirmed: false, source: 'name_match' });
+  const resolution = await resolveProjectForTask({ externalTaskId: 't1', name: 'Haus Müller' });
+  assert.equal(resolution.status, 'matched');
+  assert.equal(resolution.project.id, 'p-mueller');
+  assert.equal(links[0].markupUrl, PROJECTS['p-mueller'].url);
+  assert.equal(links[0].matchScore, 1);
+});
+
+test('an unconfirmed link alone does not pick a project', async () => {
+  links.push({ id: 1, externalTaskId: 't1', markupUrl: PROJECTS['p-meier'].url, confirmed: false, source: 'name_match' });
+  const resolution = await resolveProjectForTask({ externalTaskId: 't1', name: 'Gartenhaus Schulz' });
+  assert.equal(resolution.status, 'not_found');
+  assert.equal(resolution.project, null);
+  assert.equal(links[0].markupUrl, PROJECTS['p-meier'].url, 'left for an operator to review');
+});
+
+test('getProjectByPartialName keeps matching inside words', async () => {
+  const project = await getProjectByPartialName('Müll');
+  assert.equal(project.id, 'p-mueller');
+  assert.equal(await getProjectByPartialName('Haus'), null, 'both projects match equally');
+});
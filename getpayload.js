@@ -1,6 +1,126 @@
+const crypto = require('crypto');
 const { chromium } = require('playwright');
 const { MarkupScreenshotter } = require('./db_helper.js');
 const SupabaseService = require('./supabase-service.js');
+const { closeRedisConnection } = require('./redis_client');
+
+// Job percentage reached at each progress stage (screenshots fill 25-80%)
+const PROGRESS_PERCENT = {
+  navigated: 10,
+  attachments_collected: 20,
+  threads_extracted: 25,
+  translating: 82,
+  saving: 90
+};
+
+/**
+ * Wrap options.onProgress so every report carries stage, percent and timestamp.
+ * A failing progress callback never interrupts the scrape.
+ * @param {Function|null} onProgress
+ * @returns {Function} (stage, details) => void
+ */
+function createProgressReporter(onProgress) {
+  return (stage, details = {}) => {
+    if (typeof onProgress !== 'function') return;
+
+    const percent = stage === 'screenshot' && details.total
+      ? 25 + Math.round((55 * details.current) / details.total)
+      : PROGRESS_PERCENT[stage];
+
+    try {
+      Promise.resolve(onProgress({ ...details, stage, percent, timestamp: new Date().toISOString() })).catch(err => {
+        console.warn(`⚠️  Progress report failed: ${err.message}`);
+      });
+    } catch (err) {
+      console.warn(`⚠️  Progress report failed: ${err.message}`);
+    }
+  };
+}
+
+// Selectors tried in order for comment metadata inside a thread item (div[data-thread-id])
+const COMMENT_CONTENT_SELECTORS = ['div.message-text p', '.message-content', '.comment-text', 'p'];
+const COMMENT_AUTHOR_SELECTORS = ['span.message-author', '.author-name', '.user-name'];
+const COMMENT_METADATA_SELECTORS = {
+  time: ['time[datetime]', '.message-time', '.message-date', '.message-timestamp', '[data-timestamp]'],
+  resolved: ['.thread-resolved', '.resolved-badge', '.resolved-label', '[data-resolved="true"]'],
+  reply: ['.thread-replies .message', '.message-reply', '.thread-reply', '.reply']
+};
+
+/**
+ * UUID for a reply, derived from its thread's data-thread-id and the reply's own message ID
+ * (or its position), so re-scrapes give the same reply the same markup_comments.id
+ * @param {string} threadId
+ * @param {string|number} replyKey
+ * @returns {string}
+ */
+function replyCommentId(threadId, replyKey) {
+  const hash = crypto.createHash('sha1').update(`markup-reply:${threadId}:${replyKey}`).digest('hex');
+  const variant = ((parseInt(hash[16], 16) & 0x3) | 0x8).toString(16);
+  return `${hash.slice(0, 8)}-${hash.slice(8, 12)}-5${hash.slice(13, 16)}-${variant}${hash.slice(17, 20)}-${hash.slice(20, 32)}`;
+}
+
+/**
+ * Read the timestamp, resolved state and replies of a thread item (div[data-thread-id]).
+ * Runs inside the page, so it may only use its arguments and the DOM.
+ * @param {Element} el - The thread item
+ * @param {object} selectors - { contentSelectors, authorSelectors, metadataSelectors }
+ * @returns {object} { postedAt, resolved, replies: [{ messageId, content, user, postedAt }] }
+ */
+function readCommentMetadata(el, { contentSelectors, authorSelectors, metadataSelectors }) {
+  const firstMatch = (root, selectors, exclude = []) => {
+    for (const selector of selectors) {
+      const found = [...root.querySelectorAll(selector)].find(node => !exclude.some(excluded => excluded.contains(node)));
+      if (found) return found;
+    }
+    return null;
+  };
+
+  // Markup renders absolute times in datetime/title attributes; relative text ("2 days ago") is not parsed
+  const readTime = (root, exclude = []) => {
+    const timeEl = firstMatch(root, metadataSelectors.time, exclude);
+    if (!timeEl) return null;
+    const raw = (timeEl.getAttribute('datetime') || timeEl.getAttribute('data-timestamp') || timeEl.getAttribute('title') || timeEl.textContent || '').trim();
+    const parsed = /^\d{10}$/.test(raw) ? Number(raw) * 1000 : /^\d{13}$/.test(raw) ? Number(raw) : Date.parse(raw);
+    return Number.isNaN(parsed) ? null : new Date(parsed).toISOString();
+  };
+  const readText = (root, selectors) => {
+    const found = firstMatch(root, selectors);
+    return found ? (found.textContent.trim() || found.getAttribute('title') || '') : '';
+  };
+
+  let replyEls = [];
+  for (const selector of metadataSelectors.reply) {
+    replyEls = [...el.querySelectorAll(selector)];
+    if (replyEls.length > 0) break;
+  }
+
+  const resolved = el.classList.contains('resolved') || el.classList.contains('is-resolved')
+    || el.getAttribute('data-resolved') === 'true' || Boolean(firstMatch(el, metadataSelectors.resolved, replyEls));
+
+  return {
+    postedAt: readTime(el, replyEls),
+    resolved,
+    replies: replyEls.map(replyEl => ({
+      messageId: replyEl.getAttribute('data-message-id') || replyEl.getAttribute('data-reply-id') || null,
+      content: readText(replyEl, contentSelectors),
+      user: readText(replyEl, authorSelectors),
+      postedAt: readTime(replyEl)
+    }))
+  };
+}
+
+/**
+ * Read the timestamp, resolved state and replies of a thread item on the page
+ * @param {object} messageEl - Playwright handle of the thread item
+ * @returns {Promise<object>} See readCommentMetadata
+ */
+async function extractCommentMetadataFromElement(messageEl) {
+  return await messageEl.evaluate(readCommentMetadata, {
+    contentSelectors: COMMENT_CONTENT_SELECTORS,
+    authorSelectors: COMMENT_AUTHOR_SELECTORS,
+    metadataSelectors: COMMENT_METADATA_SELECTORS
+  });
+}
 
 /**
  * Collect attachments by clicking each comment's attachment indicator
@@ -129,7 +249,7 @@ async function collectAttachmentsFromAllThreads(page) {
   return attachmentsByThreadAndPin;
 }
 
-async function extractThreadDataFromPage(page) {
+async function extractThreadDataFromPage(page, { onProgress = null } = {}) {
   console.log('⏳ Waiting for thread list to load...');
   await page.waitForSelector('div.thread-list', { timeout: 30000 });
 
@@ -161,6 +281,9 @@ async function extractThreadDataFromPage(page) {
 
   // Collect attachments first by navigating through image sidebar
   const attachmentsByThread = await collectAttachmentsFromAllThreads(page);
+  if (onProgress) {
+    onProgress('attachments_collected', { message: `Attachments collected for ${Object.keys(attachmentsByThread).length} threads` });
+  }
 
   // Playwright-based extraction for comments
   const threadsByName = {};
@@ -172,6 +295,9 @@ async function extractThreadDataFromPage(page) {
     threadGroups = await page.$$('div.thread-list > div.thread-list-group');
   }
 
+  // Metadata selectors are best guesses at Markup's markup, so misses are reported once per scrape
+  const metadataStats = { comments: 0, found: 0, failed: 0, firstError: null };
+
   for (let groupIndex = 0; groupIndex < threadGroups.length; groupIndex++) {
     const group = threadGroups[groupIndex];
     const nameElement = await group.$('span.thread-list-item-group-header-label');
@@ -199,8 +325,7 @@ async function extractThreadDataFromPage(page) {
       }
       // ... Content extraction ...
       let messageContent = '';
-      const contentSelectors = ['div.message-text p', '.message-content', '.comment-text', 'p'];
-      for (const selector of contentSelectors) {
+      for (const selector of COMMENT_CONTENT_SELECTORS) {
         const contentElement = await messageEl.$(selector);
         if (contentElement) {
           messageContent = await page.evaluate(el => el.textContent.trim(), contentElement);
@@ -209,8 +334,7 @@ async function extractThreadDataFromPage(page) {
       }
       // ... User extraction ...
       let userName = '';
-      const authorSelectors = ['span.message-author', '.author-name', '.user-name'];
-      for (const selector of authorSelectors) {
+      for (const selector of COMMENT_AUTHOR_SELECTORS) {
         const authorElement = await messageEl.$(selector);
         if (authorElement) {
           userName = await page.evaluate(el => el.textContent.trim(), authorElement);
@@ -226,18 +350,57 @@ async function extractThreadDataFromPage(page) {
       
       const threadId = await page.evaluate(el => el.getAttribute('data-thread-id') || el.getAttribute('data-message-id') || `${threadName}-${msgIndex + 1}`, messageEl);
       if (threadId || messageContent || userName) {
-        threadsByName[threadName].push({
+        // Timestamp, resolved state and replies are optional: older Markup pages may not show them
+        let metadata = { postedAt: null, resolved: false, replies: [] };
+        metadataStats.comments++;
+        try {
+          metadata = await extractCommentMetadataFromElement(messageEl);
+          if (metadata.postedAt || metadata.resolved || metadata.replies.length > 0) metadataStats.found++;
+        } catch (error) {
+          metadataStats.failed++;
+          metadataStats.firstError = metadataStats.firstError || error.message;
+        }
+
+        const comment = {
           id: threadId,
           index: pinNumber || threadIndex,
           pinNumber: pinNumber || threadIndex,
           content: messageContent,  // Store only the message content, not attachments
           user: userName,
-          attachments: attachmentUrls  // Attachments stored separately in dedicated field
+          attachments: attachmentUrls,  // Attachments stored separately in dedicated field
+          postedAt: metadata.postedAt,
+          resolved: metadata.resolved,
+          parentCommentId: null
+        };
+        threadsByName[threadName].push(comment);
+
+        // Replies follow their parent and share its pin; resolving a thread resolves its replies
+        metadata.replies.forEach((reply, replyIndex) => {
+          if (!reply.content && !reply.user) return;
+          threadsByName[threadName].push({
+            id: replyCommentId(threadId, reply.messageId || replyIndex + 1),
+            index: comment.index,
+            pinNumber: comment.pinNumber,
+            content: reply.content,
+            user: reply.user,
+            attachments: [],
+            postedAt: reply.postedAt,
+            resolved: metadata.resolved,
+            parentCommentId: threadId
+          });
         });
         threadIndex++;
       }
     }
   }
+
+  if (metadataStats.failed > 0) {
+    console.warn(`⚠️  Could not read comment metadata of ${metadataStats.failed} comments: ${metadataStats.firstError}`);
+  }
+  if (metadataStats.comments > 0 && metadataStats.found === 0) {
+    console.warn(`⚠️  No timestamps, resolved states or replies found for ${metadataStats.comments} comments - check COMMENT_METADATA_SELECTORS against the current Markup page`);
+  }
+
   return {
     projectName: projectName || "Unknown Project",
     threads: Object.keys(threadsByName).map(threadName => ({
@@ -285,7 +448,8 @@ async function takeScreenshotsFromPage(existingPage, url, numberOfImages, thread
       debugMode: options.debugMode || false,
       screenshotQuality: options.screenshotQuality || 90,
       timeout: options.timeout || 90000,
-      retryAttempts: options.retryAttempts || 3
+      retryAttempts: options.retryAttempts || 3,
+      onProgress: options.onProgress || null
     });
     
     screenshotter.page = existingPage;
@@ -408,6 +572,7 @@ async function getCompletePayload(url, options = {}) {
   let browser = null;
   const supabaseService = new SupabaseService();
   const sessionId = supabaseService.initializeSession();
+  const reportProgress = createProgressReporter(options.onProgress);
   
   try {
     browser = await chromium.launch({
@@ -436,11 +601,12 @@ async function getCompletePayload(url, options = {}) {
     
     // Wait a bit for any dynamic content to load
     await new Promise(resolve => setTimeout(resolve, 3000));
+    reportProgress('navigated', { message: 'Page loaded' });
     
     console.log('📝 Extracting thread data...');
     let threadData;
     try {
-      threadData = await extractThreadDataFromPage(page);
+      threadData = await extractThreadDataFromPage(page, { onProgress: reportProgress });
     } catch (error) {
       const errorMsg = `Failed to extract thread data: ${error.message}`;
       console.error(`❌ ${errorMsg}`);
@@ -457,6 +623,7 @@ async function getCompletePayload(url, options = {}) {
     }
     
     const numberOfImages = threadData.threads.length;
+    reportProgress('threads_extracted', { total: numberOfImages, message: `${numberOfImages} threads extracted` });
     
     // Extract thread names for smart matching
     const threadNames = threadData.threads.map(thread => thread.threadName);
@@ -468,7 +635,8 @@ async function getCompletePayload(url, options = {}) {
     try {
       screenshotResult = await takeScreenshotsFromPage(page, url, numberOfImages, threadNames, {
         screenshotQuality: options.screenshotQuality || 90,
-        debugMode: options.debugMode || false
+        debugMode: options.debugMode || false,
+        onProgress: ({ stage, ...details }) => reportProgress(stage, details)
       });
       
       if (!screenshotResult.success) {
@@ -494,48 +662,100 @@ async function getCompletePayload(url, options = {}) {
     console.log('💾 Saving to normalized database structure...');
     
 
-    // Translate all comment contents asynchronously before saving
-    const { translateCommentToEnglish } = require('./translator.js');
+    // Translate all comment contents in batches before saving, or leave them to the
+    // translation queue (options.translation = 'queued', see queue.js)
+    const { translateBatch, detectLanguage, normalizeLanguage } = require('./translator.js');
+    const translationMode = options.translation || 'inline';
     let threadsWithScreenshots;
 
-    console.log('🌐 Starting translation of comments (German → English)');
-    // Process threads sequentially to avoid rate limiting
-    threadsWithScreenshots = [];
+    // Target language: request option, then the project's stored setting, then the global default.
+    // Only an explicitly chosen language is stored on the project.
+    const projectTargetLanguage = (options.targetLanguage || await supabaseService.getProjectTargetLanguage(url) || '').toUpperCase() || null;
+    const targetLanguage = projectTargetLanguage || (process.env.TRANSLATION_TARGET_LANG || 'EN').toUpperCase();
+
+    // Flatten every comment of the project so the provider sees as few requests as possible
+    const allComments = threadData.threads.flatMap(thread => thread.comments || []);
     const overallTranslationErrors = [];
+    let translations;
+    reportProgress('translating', {
+      total: allComments.length,
+      message: translationMode === 'queued' ? 'Translation queued' : `Translating ${allComments.length} comments`
+    });
 
-    for (let index = 0; index < threadData.threads.length; index++) {
-      const thread = threadData.threads[index];
-      console.log(`🔁 Translating thread ${index + 1}/${threadData.threads.length}: "${thread.threadName}" (${(thread.comments || []).length} comments)`);
+    if (translationMode === 'queued') {
+      // Saved untranslated and flagged; the translation worker updates the comments afterwards.
+      // Comments that already read in the target language are not flagged.
+      translations = allComments.map(comment => {
+        const sourceLanguage = detectLanguage(comment.content);
+        return {
+          text: comment.content,
+          translated: false,
+          sourceLanguage,
+          provider: null,
+          deferred: Boolean(comment.content) && sourceLanguage !== normalizeLanguage(targetLanguage)
+        };
+      });
+      console.log(`🌐 Translation of ${translations.filter(t => t.deferred).length} comments queued (auto-detect → ${targetLanguage})`);
+    } else {
+      // Project glossary: terms that are translated consistently or kept as written
+      let glossary = [];
+      try {
+        glossary = await supabaseService.getGlossaryByUrl(url);
+      } catch (err) {
+        console.warn(`⚠️  Could not load project glossary: ${err.message}`);
+      }
 
-      // Translate comments one at a time with small delay, but tolerate individual failures
-      const translatedComments = [];
-      for (let cIndex = 0; cIndex < (thread.comments || []).length; cIndex++) {
-        const comment = thread.comments[cIndex];
-        try {
-          console.log(`   • Translating comment ${cIndex + 1}/${thread.comments.length}`);
-          const translatedContent = await translateCommentToEnglish(comment.content);
-          translatedComments.push({ ...comment, content: translatedContent });
-        } catch (err) {
+      console.log(`🌐 Starting translation of ${allComments.length} comments (auto-detect → ${targetLanguage}, ${glossary.length} glossary terms)`);
+
+      try {
+        translations = await translateBatch(allComments.map(comment => comment.content), { targetLang: targetLanguage, glossary });
+      } catch (err) {
+        // Unexpected failure of the whole batch - keep every comment untranslated
+        console.warn(`⚠️  Translation failed: ${err.message}`);
+        translations = allComments.map(comment => ({ text: comment.content, translated: false, sourceLanguage: null, provider: null, error: err.message }));
+      }
+    }
+
+    let cursor = 0;
+    threadsWithScreenshots = threadData.threads.map((thread, index) => {
+      const translatedComments = (thread.comments || []).map((comment, cIndex) => {
+        const translation = translations[cursor++];
+
+        if (translation.error) {
           // Log and fallback to original content for this comment
-          const warnMsg = `Translation error for thread "${thread.threadName}" comment ${cIndex + 1}: ${err.message}`;
-          console.warn(`⚠️  ${warnMsg}`);
-          overallTranslationErrors.push({ thread: thread.threadName, index: cIndex + 1, error: err.message });
-          translatedComments.push({ ...comment, content: comment.content });
+          console.warn(`⚠️  Translation error for thread "${thread.threadName}" comment ${cIndex + 1}: ${translation.error}`);
+          overallTranslationErrors.push({ thread: thread.threadName, index: cIndex + 1, error: translation.error });
+          return { ...comment, content: comment.content, originalContent: comment.content };
         }
 
-        // Small delay between translations to avoid rate limiting (100ms)
-        if (translatedComments.length < (thread.comments || []).length) {
-          await new Promise(resolve => setTimeout(resolve, 100));
+        if (translation.deferred) {
+          // Queued, or monthly translation budget reached - save untranslated and translate later
+          return { ...comment, content: comment.content, originalContent: comment.content, sourceLanguage: translation.sourceLanguage, translationDeferred: true };
         }
-      }
 
-      threadsWithScreenshots.push({
+        return {
+          ...comment,
+          content: translation.text,
+          originalContent: comment.content,
+          translatedContent: translation.translated ? translation.text : null,
+          translationProvider: translation.provider,
+          translatedAt: translation.translated ? new Date().toISOString() : null,
+          sourceLanguage: translation.sourceLanguage
+        };
+      });
+
+      return {
         ...thread,
         comments: translatedComments,
         imageIndex: index + 1,
         imageFilename: `thread_${index + 1}.jpg`,
         screenshotBuffer: screenshotResult.screenshotBuffers[index]?.buffer || null
-      });
+      };
+    });
+
+    const deferredCount = translations.filter(translation => translation.deferred).length;
+    if (deferredCount > 0 && translationMode !== 'queued') {
+      console.warn(`⚠️  ${deferredCount} comments saved untranslated (translation budget reached)`);
     }
 
     if (overallTranslationErrors.length > 0) {
@@ -553,7 +773,7 @@ async function getCompletePayload(url, options = {}) {
       } catch (logErr) {
         console.error('❌ Failed to log translation warnings to Supabase:', logErr.message);
       }
-    } else {
+    } else if (translationMode !== 'queued') {
       console.log('✅ Translation completed successfully');
     }
 
@@ -564,10 +784,12 @@ async function getCompletePayload(url, options = {}) {
       threads: threadsWithScreenshots,
       totalThreads: threadData.threads.length,
       totalScreenshots: numberOfImages,
+      targetLanguage: projectTargetLanguage,
       timestamp: new Date().toISOString(),
       sessionId: sessionId
     };
 
+    reportProgress('saving', { message: 'Saving to database' });
     let supabaseResult;
     try {
       supabaseResult = await supabaseService.saveCompletePayloadNormalized(payloadToSave);
@@ -588,6 +810,17 @@ async function getCompletePayload(url, options = {}) {
       throw new Error(errorMsg);
     }
     
+    // Unchanged comments keep their stored translation, so the queue only needs what is still flagged in the database
+    let translationPending = 0;
+    if (deferredCount > 0) {
+      try {
+        translationPending = await supabaseService.countPendingTranslations(supabaseResult.projectId);
+      } catch (error) {
+        console.warn(`⚠️  ${error.message}`);
+        translationPending = deferredCount;
+      }
+    }
+
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     console.log(`✅ Complete payload saved in ${duration}s`);
     
@@ -598,8 +831,12 @@ async function getCompletePayload(url, options = {}) {
       scrapedDataId: supabaseResult.scrapedDataId,
       operation: supabaseResult.operation,
       oldImagesDeleted: supabaseResult.oldImagesDeleted,
+      reusedImages: supabaseResult.reusedImages,
       totalThreads: supabaseResult.totalThreads,
       totalComments: supabaseResult.totalComments,
+      changes: supabaseResult.changes,
+      version: supabaseResult.version,
+      translationPending,
       duration: parseFloat(duration),
       timestamp: new Date().toISOString()
     };
@@ -654,6 +891,9 @@ async function main() {
   } catch (error) {
     console.error('💥 Script failed:', error);
     process.exit(1);
+  } finally {
+    // The translation cache may have opened a Redis connection, which would keep the CLI running
+    await closeRedisConnection();
   }
 }
 
@@ -664,5 +904,10 @@ if (require.main === module) {
 module.exports = {
   getCompletePayload,
   extractThreadDataFromPage,
-  takeScreenshotsFromPage
+  takeScreenshotsFromPage,
+  readCommentMetadata,
+  replyCommentId,
+  COMMENT_CONTENT_SELECTORS,
+  COMMENT_AUTHOR_SELECTORS,
+  COMMENT_METADATA_SELECTORS
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+// Tests for the comment metadata extractor in getpayload.js against a saved thread list (run with `npm test`)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const {
+  readCommentMetadata,
+  replyCommentId,
+  COMMENT_CONTENT_SELECTORS,
+  COMMENT_AUTHOR_SELECTORS,
+  COMMENT_METADATA_SELECTORS
+} = require('./getpayload.js');
+
+const selectors = {
+  contentSelectors: COMMENT_CONTENT_SELECTORS,
+  authorSelectors: COMMENT_AUTHOR_SELECTORS,
+  metadataSelectors: COMMENT_METADATA_SELECTORS
+};
+
+function loadThreadItems() {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'markup-thread-list.html'), 'utf8');
+  const { document } = new JSDOM(html).window;
+  return [...document.querySelectorAll('div[data-thread-id]')];
+}
+
+test('reads the time and replies of an open thread', () => {
+  const [open] = loadThreadItems();
+  const metadata = readCommentMetadata(open, selectors);
+
+  assert.equal(metadata.postedAt, '2026-10-01T08:15:00.000Z', 'the replies\' times are not the thread\'s');
+  assert.equal(metadata.resolved, false);
+  assert.deepEqual(metadata.replies, [
+    { messageId: 'reply-a', content: 'Wie viel größer?', user: 'Ben Keller', postedAt: '2026-10-02T09:30:00.000Z' },
+    { messageId: 'reply-b', content: 'Etwa doppelt so groß', user: 'Anna Schmidt', postedAt: '2026-10-03T09:30:00.000Z' }
+  ]);
+});
+
+test('reads resolved threads and millisecond timestamps', () => {
+  const [, resolved] = loadThreadItems();
+  assert.deepEqual(readCommentMetadata(resolved, selectors), {
+    postedAt: '2026-10-01T08:00:00.000Z',
+    resolved: true,
+    replies: []
+  });
+});
+
+test('relative times are left empty', () => {
+  const [, , relative] = loadThreadItems();
+  assert.deepEqual(readCommentMetadata(relative, selectors), { postedAt: null, resolved: false, replies: [] });
+});
+
+test('reply IDs are stable UUIDs per thread and reply', () => {
+  const id = replyCommentId('6f1c2e0a-1111-4a2b-9c3d-000000000001', 'reply-a');
+  assert.match(id, /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  assert.equal(replyCommentId('6f1c2e0a-1111-4a2b-9c3d-000000000001', 'reply-a'), id);
+  assert.notEqual(replyCommentId('6f1c2e0a-1111-4a2b-9c3d-000000000001', 'reply-b'), id);
+});
@@ -0,0 +1,79 @@
+// Tests for the SQL migrations against an in-memory Postgres (PGlite) (run with `npm test`)
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+
+const migration = name => fs.readFileSync(path.join(__dirname, 'migrations', name), 'utf8');
+
+let db;
+
+beforeEach(async () => {
+  db = new PGlite();
+  // Only the columns of supabase_schema.sql the migrations below refer to
+  await db.exec(`
+    CREATE TABLE scraped_data (
+      id BIGSERIAL PRIMARY KEY,
+      url TEXT NOT NULL
+    );
+    CREATE TABLE markup_projects (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      scraped_data_id BIGINT REFERENCES scraped_data(id) ON DELETE CASCADE,
+      project_name VARCHAR(255) NOT NULL,
+      markup_url TEXT
+    );
+  `);
+  await db.exec(migration('015_project_versions.sql'));
+});
+
+afterEach(async () => {
+  await db.close();
+});
+
+async function saveProjectWithVersion(url) {
+  const { rows: [scraped] } = await db.query('INSERT INTO scraped_data (url) VALUES ($1) RETURNING id', [url]);
+  const { rows: [project] } = await db.query(
+    'INSERT INTO markup_projects (scraped_data_id, project_name, markup_url) VALUES ($1, $2, $3) RETURNING id',
+    [scraped.id, 'Haus Müller', url]
+  );
+  await db.query(
+    `INSERT INTO project_versions (markup_url, version_number, project_id, scraped_data_id, snapshot)
+     VALUES ($1, 1, $2, $3, '{"threads": []}')`,
+    [url, project.id, scraped.id]
+  );
+  return { projectId: project.id, scrapedDataId: scraped.id };
+}
+
+test('015 alone refuses to delete a project that has a version', async () => {
+  const { projectId } = await saveProjectWithVersion('https://app.markup.io/markup/a');
+  await assert.rejects(db.query('DELETE FROM markup_projects WHERE id = $1', [projectId]), /immutable/);
+});
+
+test('019 lets projects and scrapes with versions be deleted and keeps the versions', async () => {
+  await db.exec(migration('019_project_versions_unlinked.sql'));
+  const url = 'https://app.markup.io/markup/a';
+  const { projectId, scrapedDataId } = await saveProjectWithVersion(url);
+
+  await db.query('DELETE FROM markup_projects WHERE id = $1', [projectId]);
+  await db.query('DELETE FROM scraped_data WHERE id = $1', [scrapedDataId]);
+
+  const { rows } = await db.query('SELECT project_id, scraped_data_id FROM project_versions WHERE markup_url = $1', [url]);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].project_id, projectId);
+  assert.equal(String(rows[0].scraped_data_id), String(scrapedDataId));
+  await assert.rejects(db.query('UPDATE project_versions SET project_name = $1', ['x']), /immutable/);
+});
+
+test('020 backfills the screenshot paths of existing versions and keeps them immutable', async () => {
+  await db.query(
+    `INSERT INTO project_versions (markup_url, version_number, snapshot) VALUES ($1, 1, $2)`,
+    ['https://app.markup.io/markup/a', { threads: [{ imagePath: 'a.jpg' }, { imagePath: 'a.jpg' }, { imagePath: null }, { imagePath: 'b.jpg' }] }]
+  );
+  await db.exec(migration('020_project_version_images.sql'));
+
+  const { rows } = await db.query(`SELECT image_paths FROM project_versions WHERE image_paths && ARRAY['b.jpg']`);
+  assert.deepEqual(rows.map(row => row.image_paths.sort()), [['a.jpg', 'b.jpg']]);
+  await assert.rejects(db.query('UPDATE project_versions SET project_name = $1', ['x']), /immutable/);
+});
@@ -0,0 +1,37 @@
+-- Migration: Incremental re-scrape support
+-- Date: 2026-10-19
+-- Description: Re-scrapes now diff threads/comments against the existing project instead of
+--              deleting and re-inserting everything. Rows that disappear from Markup are
+--              soft-deleted so comment IDs, created_at and downstream references survive.
+
+-- Soft-delete markers
+ALTER TABLE markup_threads
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE markup_comments
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN markup_threads.deleted_at IS 'Set when the thread no longer exists in Markup.io (NULL = active)';
+COMMENT ON COLUMN markup_comments.deleted_at IS 'Set when the comment no longer exists in Markup.io (NULL = active)';
+
+-- Threads are matched by name within a project during incremental saves
+CREATE INDEX IF NOT EXISTS idx_markup_threads_project_name
+ON markup_threads(project_id, thread_name);
+
+-- Most queries only read active rows
+CREATE INDEX IF NOT EXISTS idx_markup_comments_active
+ON markup_comments(thread_id) WHERE deleted_at IS NULL;
+
+-- Verify the migration
+SELECT
+    table_name,
+    column_name,
+    data_type
+FROM information_schema.columns
+WHERE table_name IN ('markup_threads', 'markup_comments')
+    AND column_name = 'deleted_at';
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully: deleted_at columns added to markup_threads and markup_comments';
+END $$;
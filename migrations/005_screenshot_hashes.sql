@@ -0,0 +1,122 @@
+-- Migration: Screenshot content hashes
+-- Date: 2026-10-19
+-- Description: Stores a SHA-256 hash of each thread screenshot so unchanged images
+--              are reused on re-scrape instead of being uploaded and deleted again.
+
+ALTER TABLE markup_threads
+ADD COLUMN IF NOT EXISTS image_hash TEXT;
+
+COMMENT ON COLUMN markup_threads.image_hash IS 'SHA-256 hex digest of the screenshot stored at image_path';
+
+CREATE INDEX IF NOT EXISTS idx_markup_threads_image_hash
+ON markup_threads(image_hash);
+
+-- Update insert_markup_payload() to store image_hash
+CREATE OR REPLACE FUNCTION insert_markup_payload(
+    p_scraped_data_id BIGINT,
+    p_payload JSONB
+)
+RETURNS UUID AS $$
+DECLARE
+    v_project_id UUID;
+    v_thread_id UUID;
+    v_thread JSONB;
+    v_comment JSONB;
+    v_has_attachments BOOLEAN;
+    v_attachments TEXT[];
+BEGIN
+    -- Insert project
+    INSERT INTO markup_projects (
+        scraped_data_id,
+        project_name,
+        markup_url,
+        total_threads,
+        total_screenshots,
+        extraction_timestamp
+    )
+    VALUES (
+        p_scraped_data_id,
+        p_payload->'data'->>'projectName',
+        p_payload->'data'->>'url',
+        (p_payload->'data'->>'totalThreads')::INTEGER,
+        (p_payload->'data'->>'totalScreenshots')::INTEGER,
+        (p_payload->'data'->>'timestamp')::TIMESTAMP WITH TIME ZONE
+    )
+    RETURNING id INTO v_project_id;
+
+    -- Insert threads and comments
+    FOR v_thread IN SELECT * FROM jsonb_array_elements(p_payload->'data'->'threads')
+    LOOP
+        -- Check if thread has attachments
+        v_has_attachments := FALSE;
+        IF jsonb_typeof(v_thread->'comments') = 'array' THEN
+            SELECT EXISTS (
+                SELECT 1
+                FROM jsonb_array_elements(v_thread->'comments') AS comment
+                WHERE jsonb_typeof(comment->'attachments') = 'array'
+                AND jsonb_array_length(comment->'attachments') > 0
+            ) INTO v_has_attachments;
+        END IF;
+
+        INSERT INTO markup_threads (
+            id,
+            project_id,
+            thread_name,
+            image_index,
+            image_path,
+            image_filename,
+            image_hash,
+            has_attachments
+        )
+        VALUES (
+            gen_random_uuid(),
+            v_project_id,
+            v_thread->>'threadName',
+            (v_thread->>'imageIndex')::INTEGER,
+            v_thread->>'imagePath',
+            v_thread->>'imageFilename',
+            v_thread->>'imageHash',
+            v_has_attachments
+        )
+        RETURNING id INTO v_thread_id;
+
+        -- Insert comments for this thread
+        FOR v_comment IN SELECT * FROM jsonb_array_elements(v_thread->'comments')
+        LOOP
+            -- Extract attachments array if present
+            v_attachments := '{}';
+            IF jsonb_typeof(v_comment->'attachments') = 'array' THEN
+                SELECT ARRAY(
+                    SELECT jsonb_array_elements_text(v_comment->'attachments')
+                ) INTO v_attachments;
+            END IF;
+
+            INSERT INTO markup_comments (
+                id,
+                thread_id,
+                comment_index,
+                pin_number,
+                content,
+                user_name,
+                attachments
+            )
+            VALUES (
+                (v_comment->>'id')::UUID,
+                v_thread_id,
+                (v_comment->>'index')::INTEGER,
+                (v_comment->>'pinNumber')::INTEGER,
+                v_comment->>'content',
+                v_comment->>'user',
+                v_attachments
+            );
+        END LOOP;
+    END LOOP;
+
+    RETURN v_project_id;
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully: image_hash added to markup_threads';
+END $$;
@@ -0,0 +1,39 @@
+-- Migration: Sync ledger
+-- Date: 2026-10-19
+-- Description: Records which comments and screenshots have already been delivered to which
+--              external task, so a second sync only posts what is new.
+
+-- One row per delivery run (e.g. each time a ClickUp task moves to "In Review")
+CREATE TABLE IF NOT EXISTS sync_runs (
+    id BIGSERIAL PRIMARY KEY,
+    project_id UUID NOT NULL,
+    target TEXT NOT NULL DEFAULT 'clickup',
+    external_task_id TEXT NOT NULL,
+    comments_delivered INTEGER DEFAULT 0,
+    screenshots_delivered INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One row per delivered item. item_key is markup_comments.id for comments and
+-- markup_threads.image_hash for screenshots. No foreign keys on purpose: the ledger
+-- must survive a project being re-inserted (PAYLOAD_SAVE_MODE=replace).
+CREATE TABLE IF NOT EXISTS sync_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    sync_run_id BIGINT NOT NULL REFERENCES sync_runs(id) ON DELETE CASCADE,
+    project_id UUID NOT NULL,
+    target TEXT NOT NULL DEFAULT 'clickup',
+    external_task_id TEXT NOT NULL,
+    item_type TEXT NOT NULL CHECK (item_type IN ('comment', 'screenshot')),
+    item_key TEXT NOT NULL,
+    delivered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (target, external_task_id, item_type, item_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_runs_project ON sync_runs(project_id);
+CREATE INDEX IF NOT EXISTS idx_sync_runs_task ON sync_runs(target, external_task_id);
+CREATE INDEX IF NOT EXISTS idx_sync_deliveries_task ON sync_deliveries(target, external_task_id, sync_run_id);
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully: sync_runs and sync_deliveries tables created';
+END $$;
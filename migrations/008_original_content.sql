@@ -0,0 +1,137 @@
+-- Migration: Keep the original comment text next to the translation
+-- Date: 2026-10-19
+-- Description: `content` keeps holding the text shown downstream (translation when available),
+--              while the client's original wording and translation metadata are stored separately.
+
+ALTER TABLE markup_comments
+ADD COLUMN IF NOT EXISTS original_content TEXT,
+ADD COLUMN IF NOT EXISTS translated_content TEXT,
+ADD COLUMN IF NOT EXISTS translation_provider VARCHAR(50),
+ADD COLUMN IF NOT EXISTS translated_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN markup_comments.original_content IS 'Comment text exactly as written in Markup.io';
+COMMENT ON COLUMN markup_comments.translated_content IS 'Translation of original_content (NULL = not translated)';
+COMMENT ON COLUMN markup_comments.translation_provider IS 'Provider that produced translated_content (deepl, libretranslate, ...)';
+COMMENT ON COLUMN markup_comments.translated_at IS 'When translated_content was produced';
+
+-- Update insert_markup_payload() to store the original text and translation metadata
+CREATE OR REPLACE FUNCTION insert_markup_payload(
+    p_scraped_data_id BIGINT,
+    p_payload JSONB
+)
+RETURNS UUID AS $$
+DECLARE
+    v_project_id UUID;
+    v_thread_id UUID;
+    v_thread JSONB;
+    v_comment JSONB;
+    v_has_attachments BOOLEAN;
+    v_attachments TEXT[];
+BEGIN
+    -- Insert project
+    INSERT INTO markup_projects (
+        scraped_data_id,
+        project_name,
+        markup_url,
+        total_threads,
+        total_screenshots,
+        extraction_timestamp,
+        target_language
+    )
+    VALUES (
+        p_scraped_data_id,
+        p_payload->'data'->>'projectName',
+        p_payload->'data'->>'url',
+        (p_payload->'data'->>'totalThreads')::INTEGER,
+        (p_payload->'data'->>'totalScreenshots')::INTEGER,
+        (p_payload->'data'->>'timestamp')::TIMESTAMP WITH TIME ZONE,
+        p_payload->'data'->>'targetLanguage'
+    )
+    RETURNING id INTO v_project_id;
+
+    -- Insert threads and comments
+    FOR v_thread IN SELECT * FROM jsonb_array_elements(p_payload->'data'->'threads')
+    LOOP
+        -- Check if thread has attachments
+        v_has_attachments := FALSE;
+        IF jsonb_typeof(v_thread->'comments') = 'array' THEN
+            SELECT EXISTS (
+                SELECT 1
+                FROM jsonb_array_elements(v_thread->'comments') AS comment
+                WHERE jsonb_typeof(comment->'attachments') = 'array'
+                AND jsonb_array_length(comment->'attachments') > 0
+            ) INTO v_has_attachments;
+        END IF;
+
+        INSERT INTO markup_threads (
+            id,
+            project_id,
+            thread_name,
+            image_index,
+            image_path,
+            image_filename,
+            image_hash,
+            has_attachments
+        )
+        VALUES (
+            gen_random_uuid(),
+            v_project_id,
+            v_thread->>'threadName',
+            (v_thread->>'imageIndex')::INTEGER,
+            v_thread->>'imagePath',
+            v_thread->>'imageFilename',
+            v_thread->>'imageHash',
+            v_has_attachments
+        )
+        RETURNING id INTO v_thread_id;
+
+        -- Insert comments for this thread
+        FOR v_comment IN SELECT * FROM jsonb_array_elements(v_thread->'comments')
+        LOOP
+            -- Extract attachments array if present
+            v_attachments := '{}';
+            IF jsonb_typeof(v_comment->'attachments') = 'array' THEN
+                SELECT ARRAY(
+                    SELECT jsonb_array_elements_text(v_comment->'attachments')
+                ) INTO v_attachments;
+            END IF;
+
+            INSERT INTO markup_comments (
+                id,
+                thread_id,
+                comment_index,
+                pin_number,
+                content,
+                user_name,
+                attachments,
+                source_language,
+                original_content,
+                translated_content,
+                translation_provider,
+                translated_at
+            )
+            VALUES (
+                (v_comment->>'id')::UUID,
+                v_thread_id,
+                (v_comment->>'index')::INTEGER,
+                (v_comment->>'pinNumber')::INTEGER,
+                v_comment->>'content',
+                v_comment->>'user',
+                v_attachments,
+                v_comment->>'sourceLanguage',
+                COALESCE(v_comment->>'originalContent', v_comment->>'content'),
+                v_comment->>'translatedContent',
+                v_comment->>'translationProvider',
+                (v_comment->>'translatedAt')::TIMESTAMP WITH TIME ZONE
+            );
+        END LOOP;
+    END LOOP;
+
+    RETURN v_project_id;
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully: original/translated content columns added to markup_comments';
+END $$;
@@ -0,0 +1,29 @@
+-- Migration: Per-project translation glossary
+-- Date: 2026-10-19
+-- Description: Terms (room names, material codes, ...) that must be translated consistently
+--              or kept as written. Used by translator.js for local term protection and DeepL glossaries.
+
+-- Keyed by markup_url rather than markup_projects.id so the glossary survives a project
+-- being re-inserted (PAYLOAD_SAVE_MODE=replace), like the sync ledger.
+CREATE TABLE IF NOT EXISTS project_glossary_terms (
+    id BIGSERIAL PRIMARY KEY,
+    markup_url TEXT NOT NULL,
+    source_term TEXT NOT NULL,
+    target_term TEXT,                 -- NULL = keep the term exactly as written
+    source_lang VARCHAR(10),          -- NULL = any source language
+    target_lang VARCHAR(10),          -- NULL = any target language
+    case_sensitive BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_project_glossary_terms_unique
+ON project_glossary_terms(markup_url, source_term, COALESCE(source_lang, ''), COALESCE(target_lang, ''));
+
+COMMENT ON TABLE project_glossary_terms IS 'Per-project translation glossary (see GET/POST /projects/:id/glossary)';
+COMMENT ON COLUMN project_glossary_terms.target_term IS 'Fixed translation of source_term; NULL keeps source_term untranslated';
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully: project_glossary_terms table created';
+END $$;
@@ -0,0 +1,25 @@
+-- Migration: Callback delivery log
+-- Date: 2026-10-19
+-- Description: One row per attempt to POST a job result to a caller's callbackUrl
+--              (see POST /complete-payload), so failed deliveries can be inspected.
+
+CREATE TABLE IF NOT EXISTS callback_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    job_id TEXT NOT NULL,
+    callback_url TEXT NOT NULL,
+    event TEXT NOT NULL,              -- job.completed | job.failed
+    attempt INTEGER NOT NULL DEFAULT 1,
+    status_code INTEGER,              -- NULL when the receiver could not be reached
+    success BOOLEAN NOT NULL DEFAULT FALSE,
+    error TEXT,
+    duration_ms INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_callback_deliveries_job ON callback_deliveries(job_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_callback_deliveries_failed ON callback_deliveries(created_at DESC) WHERE NOT success;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully: callback_deliveries table created';
+END $$;
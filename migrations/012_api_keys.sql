@@ -0,0 +1,43 @@
+-- Migration: API keys and audit trail
+-- Date: 2026-10-19
+-- Description: Credentials for the HTTP API (see api_auth.js). Only a SHA-256 hash of each key
+--              is stored; the plaintext key is shown once when it is created.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,                -- Client the key was issued to
+    key_prefix TEXT NOT NULL,          -- First characters of the key, to recognise it in listings
+    key_hash TEXT NOT NULL UNIQUE,     -- SHA-256 (hex) of the full key
+    scopes TEXT[] NOT NULL DEFAULT ARRAY['read']::TEXT[],  -- read | enqueue | admin
+    rate_limit_per_minute INTEGER,     -- NULL = API_RATE_LIMIT_PER_MINUTE, 0 = unlimited
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT api_keys_scopes_check CHECK (scopes <@ ARRAY['read', 'enqueue', 'admin']::TEXT[])
+);
+
+-- One row per state-changing request (everything but GET), with the job it created if any
+CREATE TABLE IF NOT EXISTS api_audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,  -- NULL for ADMIN_API_TOKEN
+    key_name TEXT,
+    method TEXT NOT NULL,
+    path TEXT NOT NULL,
+    status_code INTEGER,
+    job_id TEXT,
+    project_id TEXT,
+    ip TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_audit_log_key ON api_audit_log(api_key_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_api_audit_log_job ON api_audit_log(job_id) WHERE job_id IS NOT NULL;
+
+COMMENT ON TABLE api_keys IS 'Hashed API keys with scopes and per-key rate limits (see POST /api-keys)';
+COMMENT ON TABLE api_audit_log IS 'Which API key made which state-changing request and queued which job';
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully: api_keys and api_audit_log tables created';
+END $$;
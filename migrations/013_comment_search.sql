@@ -0,0 +1,133 @@
+-- Migration: Full-text search across comments
+-- Date: 2026-10-19
+-- Description: Search vectors on comments (translated and original text, user name) and thread names,
+--              plus search_comments() used by GET /search for ranking, filters, snippets and paging.
+
+-- 'simple' configuration: comments are written in many languages, so no language-specific stemming
+ALTER TABLE markup_comments
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', COALESCE(content, '')), 'A') ||
+    setweight(to_tsvector('simple', COALESCE(original_content, '')), 'A') ||
+    setweight(to_tsvector('simple', COALESCE(user_name, '')), 'C')
+) STORED;
+
+ALTER TABLE markup_threads
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', COALESCE(thread_name, '')), 'B')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_markup_comments_search ON markup_comments USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_markup_threads_search ON markup_threads USING GIN (search_vector);
+
+COMMENT ON COLUMN markup_comments.search_vector IS 'Full-text index of content, original_content (weight A) and user_name (C)';
+COMMENT ON COLUMN markup_threads.search_vector IS 'Full-text index of thread_name (weight B)';
+
+-- Search active comments. p_query uses web search syntax: "exact phrase", -exclude, or.
+-- Snippets mark matches with chr(2)/chr(3) so the API can HTML-escape them before adding <mark>.
+CREATE OR REPLACE FUNCTION search_comments(
+    p_query TEXT,
+    p_project_id UUID DEFAULT NULL,
+    p_user_name TEXT DEFAULT NULL,          -- Case-insensitive partial match
+    p_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_has_attachments BOOLEAN DEFAULT NULL,
+    p_limit INTEGER DEFAULT 20,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    comment_id UUID,
+    project_id UUID,
+    project_name VARCHAR,
+    markup_url TEXT,
+    thread_id UUID,
+    thread_name VARCHAR,
+    image_path TEXT,
+    pin_number INTEGER,
+    user_name VARCHAR,
+    content TEXT,
+    original_content TEXT,
+    attachments TEXT[],
+    created_at TIMESTAMP WITH TIME ZONE,
+    rank REAL,
+    content_snippet TEXT,
+    original_snippet TEXT,
+    thread_snippet TEXT,
+    total_count BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+    WITH query AS (
+        SELECT
+            websearch_to_tsquery('simple', p_query) AS q,
+            'StartSel=' || chr(2) || ', StopSel=' || chr(3)
+                || ', MaxWords=35, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "' AS options
+    ),
+    matches AS (
+        SELECT
+            c.id AS comment_id,
+            t.project_id,
+            p.project_name,
+            p.markup_url,
+            t.id AS thread_id,
+            t.thread_name,
+            t.image_path,
+            c.pin_number,
+            c.user_name,
+            c.content,
+            c.original_content,
+            c.attachments,
+            c.created_at,
+            ts_rank(c.search_vector || t.search_vector, query.q) AS rank
+        FROM markup_comments c
+        JOIN markup_threads t ON t.id = c.thread_id
+        JOIN markup_projects p ON p.id = t.project_id
+        CROSS JOIN query
+        WHERE (c.search_vector @@ query.q OR t.search_vector @@ query.q)
+          AND c.deleted_at IS NULL
+          AND t.deleted_at IS NULL
+          AND (p_project_id IS NULL OR t.project_id = p_project_id)
+          AND (p_user_name IS NULL OR c.user_name ILIKE '%' || p_user_name || '%')
+          AND (p_from IS NULL OR c.created_at >= p_from)
+          AND (p_to IS NULL OR c.created_at < p_to)
+          AND (p_has_attachments IS NULL OR (COALESCE(cardinality(c.attachments), 0) > 0) = p_has_attachments)
+    ),
+    page AS (
+        SELECT matches.*, count(*) OVER () AS total_count
+        FROM matches
+        ORDER BY rank DESC, created_at DESC, comment_id
+        LIMIT p_limit OFFSET p_offset
+    )
+    -- Headlines are expensive, so they are only built for the returned page
+    SELECT
+        page.comment_id,
+        page.project_id,
+        page.project_name,
+        page.markup_url,
+        page.thread_id,
+        page.thread_name,
+        page.image_path,
+        page.pin_number,
+        page.user_name,
+        page.content,
+        page.original_content,
+        page.attachments,
+        page.created_at,
+        page.rank,
+        ts_headline('simple', page.content, query.q, query.options),
+        CASE WHEN page.original_content IS DISTINCT FROM page.content
+             THEN ts_headline('simple', COALESCE(page.original_content, ''), query.q, query.options) END,
+        CASE WHEN to_tsvector('simple', page.thread_name) @@ query.q
+             THEN ts_headline('simple', page.thread_name, query.q, query.options) END,
+        page.total_count
+    FROM page
+    CROSS JOIN query
+    ORDER BY page.rank DESC, page.created_at DESC, page.comment_id;
+$$;
+
+COMMENT ON FUNCTION search_comments IS 'Ranked full-text search over comments and thread names (see GET /search)';
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully: comment search vectors and search_comments() created';
+END $$;
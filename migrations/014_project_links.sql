@@ -0,0 +1,31 @@
+-- Migration: Project links
+-- Date: 2026-10-19
+-- Description: Explicit mapping between a Markup project and an external task (ClickUp or any
+--              other tracker). Task lookups use a link before falling back to name matching.
+
+-- Keyed by markup_url rather than markup_projects.id so links survive a project being
+-- re-inserted (PAYLOAD_SAVE_MODE=replace), like the sync ledger and the glossary.
+CREATE TABLE IF NOT EXISTS project_links (
+    id BIGSERIAL PRIMARY KEY,
+    markup_url TEXT NOT NULL,
+    target TEXT NOT NULL DEFAULT 'clickup',   -- Tracker the external task lives in
+    external_task_id TEXT NOT NULL,
+    external_task_name TEXT,
+    source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'name_match')),
+    match_score NUMERIC,                      -- Name match score when source = 'name_match'
+    confirmed BOOLEAN NOT NULL DEFAULT FALSE, -- Automatic links wait for an operator to confirm them
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (target, external_task_id)         -- A task belongs to exactly one project
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_links_url ON project_links(markup_url);
+CREATE INDEX IF NOT EXISTS idx_project_links_unconfirmed ON project_links(created_at DESC) WHERE NOT confirmed;
+
+COMMENT ON TABLE project_links IS 'Markup project ↔ external task mapping (see /projects/:id/links and /project-links)';
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully: project_links table created';
+END $$;
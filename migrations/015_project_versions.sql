@@ -0,0 +1,47 @@
+-- Migration: Project versions
+-- Date: 2026-10-19
+-- Description: Immutable snapshot of every saved scrape (threads, comments, screenshot paths), so
+--              earlier states of a project can be read back and compared after re-scrapes.
+
+-- Keyed by markup_url rather than markup_projects.id so the history survives a project being
+-- re-inserted (PAYLOAD_SAVE_MODE=replace), like the sync ledger and project links.
+CREATE TABLE IF NOT EXISTS project_versions (
+    id BIGSERIAL PRIMARY KEY,
+    markup_url TEXT NOT NULL,
+    version_number INTEGER NOT NULL,          -- 1, 2, 3, ... per markup_url
+    project_id UUID REFERENCES markup_projects(id) ON DELETE SET NULL,
+    scraped_data_id BIGINT REFERENCES scraped_data(id) ON DELETE SET NULL,
+    project_name TEXT,
+    total_threads INTEGER NOT NULL DEFAULT 0,
+    total_comments INTEGER NOT NULL DEFAULT 0,
+    total_screenshots INTEGER NOT NULL DEFAULT 0,
+    changes JSONB,                            -- Change summary of the save that created the version
+    snapshot JSONB NOT NULL,                  -- { threads: [{ threadName, imagePath, imageHash, comments: [...] }] }
+    scraped_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (markup_url, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_versions_url ON project_versions(markup_url, version_number DESC);
+
+-- Versions are history: once written they can only be deleted, never changed
+CREATE OR REPLACE FUNCTION prevent_project_version_update()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RAISE EXCEPTION 'project_versions rows are immutable (version % of %)', OLD.version_number, OLD.markup_url;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS project_versions_immutable ON project_versions;
+CREATE TRIGGER project_versions_immutable
+    BEFORE UPDATE ON project_versions
+    FOR EACH ROW EXECUTE FUNCTION prevent_project_version_update();
+
+COMMENT ON TABLE project_versions IS 'Immutable snapshot per saved scrape (see /projects/:id/versions)';
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully: project_versions table created';
+END $$;
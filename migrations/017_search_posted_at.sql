@@ -0,0 +1,126 @@
+-- Migration: Filter comment search by posting date
+-- Date: 2026-10-19
+-- Description: search_comments() filtered and sorted on created_at, which is when a comment was
+--              first scraped, not when it was written. It now uses posted_at (016) and falls back
+--              to created_at for comments scraped before that column existed.
+
+CREATE INDEX IF NOT EXISTS idx_markup_comments_posted_or_created
+ON markup_comments ((COALESCE(posted_at, created_at)))
+WHERE deleted_at IS NULL;
+
+-- The result gains a column, so the function has to be dropped instead of replaced
+DROP FUNCTION IF EXISTS search_comments(TEXT, UUID, TEXT, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, BOOLEAN, INTEGER, INTEGER);
+
+-- Search active comments. p_query uses web search syntax: "exact phrase", -exclude, or.
+-- p_from/p_to filter on when the comment was posted in Markup, for older rows on when it was scraped.
+-- Snippets mark matches with chr(2)/chr(3) so the API can HTML-escape them before adding <mark>.
+CREATE FUNCTION search_comments(
+    p_query TEXT,
+    p_project_id UUID DEFAULT NULL,
+    p_user_name TEXT DEFAULT NULL,          -- Case-insensitive partial match
+    p_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_has_attachments BOOLEAN DEFAULT NULL,
+    p_limit INTEGER DEFAULT 20,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    comment_id UUID,
+    project_id UUID,
+    project_name VARCHAR,
+    markup_url TEXT,
+    thread_id UUID,
+    thread_name VARCHAR,
+    image_path TEXT,
+    pin_number INTEGER,
+    user_name VARCHAR,
+    content TEXT,
+    original_content TEXT,
+    attachments TEXT[],
+    created_at TIMESTAMP WITH TIME ZONE,
+    posted_at TIMESTAMP WITH TIME ZONE,
+    rank REAL,
+    content_snippet TEXT,
+    original_snippet TEXT,
+    thread_snippet TEXT,
+    total_count BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+    WITH query AS (
+        SELECT
+            websearch_to_tsquery('simple', p_query) AS q,
+            'StartSel=' || chr(2) || ', StopSel=' || chr(3)
+                || ', MaxWords=35, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "' AS options
+    ),
+    matches AS (
+        SELECT
+            c.id AS comment_id,
+            t.project_id,
+            p.project_name,
+            p.markup_url,
+            t.id AS thread_id,
+            t.thread_name,
+            t.image_path,
+            c.pin_number,
+            c.user_name,
+            c.content,
+            c.original_content,
+            c.attachments,
+            c.created_at,
+            COALESCE(c.posted_at, c.created_at) AS posted_at,
+            ts_rank(c.search_vector || t.search_vector, query.q) AS rank
+        FROM markup_comments c
+        JOIN markup_threads t ON t.id = c.thread_id
+        JOIN markup_projects p ON p.id = t.project_id
+        CROSS JOIN query
+        WHERE (c.search_vector @@ query.q OR t.search_vector @@ query.q)
+          AND c.deleted_at IS NULL
+          AND t.deleted_at IS NULL
+          AND (p_project_id IS NULL OR t.project_id = p_project_id)
+          AND (p_user_name IS NULL OR c.user_name ILIKE '%' || p_user_name || '%')
+          AND (p_from IS NULL OR COALESCE(c.posted_at, c.created_at) >= p_from)
+          AND (p_to IS NULL OR COALESCE(c.posted_at, c.created_at) < p_to)
+          AND (p_has_attachments IS NULL OR (COALESCE(cardinality(c.attachments), 0) > 0) = p_has_attachments)
+    ),
+    page AS (
+        SELECT matches.*, count(*) OVER () AS total_count
+        FROM matches
+        ORDER BY rank DESC, posted_at DESC, comment_id
+        LIMIT p_limit OFFSET p_offset
+    )
+    -- Headlines are expensive, so they are only built for the returned page
+    SELECT
+        page.comment_id,
+        page.project_id,
+        page.project_name,
+        page.markup_url,
+        page.thread_id,
+        page.thread_name,
+        page.image_path,
+        page.pin_number,
+        page.user_name,
+        page.content,
+        page.original_content,
+        page.attachments,
+        page.created_at,
+        page.posted_at,
+        page.rank,
+        ts_headline('simple', page.content, query.q, query.options),
+        CASE WHEN page.original_content IS DISTINCT FROM page.content
+             THEN ts_headline('simple', COALESCE(page.original_content, ''), query.q, query.options) END,
+        CASE WHEN to_tsvector('simple', page.thread_name) @@ query.q
+             THEN ts_headline('simple', page.thread_name, query.q, query.options) END,
+        page.total_count
+    FROM page
+    CROSS JOIN query
+    ORDER BY page.rank DESC, page.posted_at DESC, page.comment_id;
+$$;
+
+COMMENT ON FUNCTION search_comments IS 'Ranked full-text search over comments and thread names, dates filtered on posted_at (see GET /search)';
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully: search_comments() filters on posted_at';
+END $$;
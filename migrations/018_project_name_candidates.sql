@@ -0,0 +1,73 @@
+-- Migration: Rank project name candidates in the database
+-- Date: 2026-10-19
+-- Description: Task-to-project matching used to load every project and score the names in Node,
+--              which silently stops at PostgREST's 1000-row limit. find_project_candidates() ranks
+--              the names with pg_trgm and returns only the best few; the API scores those exactly.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+-- Same normalization as normalizeName() in db_response_helper.js:
+-- lower-case, no accents ("Müller" → "muller", "ß" → "ss"), punctuation collapsed to single spaces
+CREATE OR REPLACE FUNCTION normalize_project_name(p_name TEXT)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT btrim(regexp_replace(lower(unaccent(COALESCE(p_name, ''))), '[^[:alnum:]]+', ' ', 'g'));
+$$;
+
+-- One row per Markup URL (its most recently updated project), best match first.
+-- word_similarity() in both directions scores a name contained in the other one as 1,
+-- so exact, prefix and whole-word matches always rank above loose trigram matches.
+CREATE OR REPLACE FUNCTION find_project_candidates(
+    p_name TEXT,
+    p_limit INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+    id UUID,
+    project_name VARCHAR,
+    url TEXT,
+    updated_at TIMESTAMP WITH TIME ZONE,
+    similarity REAL
+)
+LANGUAGE sql
+STABLE
+AS $$
+    WITH query AS (
+        SELECT normalize_project_name(p_name) AS q
+    ),
+    projects AS (
+        SELECT DISTINCT ON (COALESCE(s.url, p.markup_url, p.id::text))
+            p.id,
+            p.project_name,
+            COALESCE(s.url, p.markup_url) AS url,
+            p.updated_at,
+            normalize_project_name(p.project_name) AS n
+        FROM markup_projects p
+        LEFT JOIN scraped_data s ON s.id = p.scraped_data_id
+        ORDER BY COALESCE(s.url, p.markup_url, p.id::text), p.updated_at DESC
+    )
+    SELECT
+        projects.id,
+        projects.project_name,
+        projects.url,
+        projects.updated_at,
+        GREATEST(
+            similarity(projects.n, query.q),
+            word_similarity(query.q, projects.n),
+            word_similarity(projects.n, query.q)
+        ) AS similarity
+    FROM projects
+    CROSS JOIN query
+    WHERE query.q <> '' AND projects.n <> ''
+    ORDER BY similarity DESC, projects.updated_at DESC
+    LIMIT p_limit;
+$$;
+
+COMMENT ON FUNCTION find_project_candidates IS 'Projects whose names best match a task name, ranked with pg_trgm (see db_response_helper.js)';
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully: find_project_candidates() created';
+END $$;
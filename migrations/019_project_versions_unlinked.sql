@@ -0,0 +1,18 @@
+-- Migration: Unlink project versions from the rows they were saved from
+-- Date: 2026-10-19
+-- Description: 015 referenced markup_projects and scraped_data with ON DELETE SET NULL. Postgres
+--              runs SET NULL as an UPDATE, which the immutability trigger refuses, so a project
+--              with a saved version could no longer be deleted (and replace-mode saves failed).
+--              Versions are keyed by markup_url; project_id and scraped_data_id are now plain
+--              columns recording the rows of the save, which may since have been deleted.
+
+ALTER TABLE project_versions DROP CONSTRAINT IF EXISTS project_versions_project_id_fkey;
+ALTER TABLE project_versions DROP CONSTRAINT IF EXISTS project_versions_scraped_data_id_fkey;
+
+COMMENT ON COLUMN project_versions.project_id IS 'markup_projects.id at the time of the save (not a foreign key)';
+COMMENT ON COLUMN project_versions.scraped_data_id IS 'scraped_data.id at the time of the save (not a foreign key)';
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully: project_versions no longer references deleted rows';
+END $$;
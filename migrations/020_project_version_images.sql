@@ -0,0 +1,29 @@
+-- Migration: Screenshot paths of project versions in their own column
+-- Date: 2026-10-19
+-- Description: Replaced screenshots are only deleted once no saved version shows them. Looking that
+--              up in the snapshot JSON took one unindexed query per path; image_paths holds the
+--              screenshot paths of each version under a GIN index, so one query covers all of them.
+
+ALTER TABLE project_versions ADD COLUMN IF NOT EXISTS image_paths TEXT[] NOT NULL DEFAULT '{}';
+
+-- Backfill existing versions (the immutability trigger is paused for this one update)
+ALTER TABLE project_versions DISABLE TRIGGER project_versions_immutable;
+
+UPDATE project_versions
+SET image_paths = ARRAY(
+    SELECT DISTINCT thread->>'imagePath'
+    FROM jsonb_array_elements(COALESCE(snapshot->'threads', '[]'::jsonb)) AS thread
+    WHERE COALESCE(thread->>'imagePath', '') <> ''
+)
+WHERE image_paths = '{}';
+
+ALTER TABLE project_versions ENABLE TRIGGER project_versions_immutable;
+
+CREATE INDEX IF NOT EXISTS idx_project_versions_image_paths ON project_versions USING GIN (image_paths);
+
+COMMENT ON COLUMN project_versions.image_paths IS 'Screenshot paths shown by the version (also in snapshot), used to decide which screenshots can be deleted';
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully: project_versions.image_paths added';
+END $$;
@@ -3,27 +3,32 @@ const _bullmq = require('bullmq');
 const Queue = _bullmq.Queue || _bullmq.default?.Queue;
 const Worker = _bullmq.Worker || _bullmq.default?.Worker;
 const QueueScheduler = _bullmq.QueueScheduler || _bullmq.default?.QueueScheduler;
+const QueueEvents = _bullmq.QueueEvents || _bullmq.default?.QueueEvents;
 const { getCompletePayload } = require('./getpayload');
-const IORedis = require('ioredis');
+const { getRedisConnection, closeRedisConnection } = require('./redis_client');
+const { sendCallback } = require('./webhook_helper.js');
+const { addClickUpFollowUp, runClickUpFollowUps } = require('./clickup_followups.js');
+const crypto = require('crypto');
 require('dotenv').config();
 
-// ============================================================================
-// REDIS CONNECTION
-// ============================================================================
-
-const redisConnection = new IORedis({
-  host: process.env.REDIS_HOST || 'localhost',
-  port: process.env.REDIS_PORT || 6379,
-  password: process.env.REDIS_PASSWORD || undefined,
-  maxRetriesPerRequest: null, // Required for BullMQ
-  enableReadyCheck: false,
-});
+const redisConnection = getRedisConnection();
 
 // ============================================================================
 // QUEUE CONFIGURATION
 // ============================================================================
 
 const QUEUE_NAME = 'markup-scraper';
+const CLICKUP_QUEUE_NAME = 'clickup-sync';
+const TRANSLATION_QUEUE_NAME = 'comment-translation';
+const CALLBACK_QUEUE_NAME = 'job-callbacks';
+
+// How scrape jobs translate comments: 'queued' (separate translation stage) or 'inline'
+const TRANSLATION_MODE = process.env.TRANSLATION_MODE || 'queued';
+
+// Callback secrets are kept out of job data; jobs carry a reference to a Redis key instead.
+// The key outlives failed jobs (kept 7 days) so a manual retry can still sign its delivery.
+const CALLBACK_SECRET_PREFIX = 'callback-secret';
+const CALLBACK_SECRET_TTL = 8 * 24 * 3600;
 
 const queueOptions = {
   connection: redisConnection,
@@ -44,11 +49,76 @@ const queueOptions = {
   },
 };
 
+const clickupQueueOptions = {
+  connection: redisConnection,
+  defaultJobOptions: {
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 60 * 1000, // 1, 2, 4 minutes between retries
+    },
+    removeOnComplete: {
+      age: 24 * 3600,
+      count: 100,
+    },
+    removeOnFail: {
+      age: 7 * 24 * 3600,
+      count: 1000,
+    },
+  },
+};
+
+// Translation only calls the provider API, so retries are cheap compared to a re-scrape
+const translationQueueOptions = {
+  connection: redisConnection,
+  defaultJobOptions: {
+    attempts: 5,
+    backoff: {
+      type: 'exponential',
+      delay: 30 * 1000, // 30s, 1, 2, 4 minutes between retries
+    },
+    removeOnComplete: {
+      age: 24 * 3600,
+      count: 100,
+    },
+    removeOnFail: {
+      age: 7 * 24 * 3600,
+      count: 1000,
+    },
+  },
+};
+
+const callbackQueueOptions = {
+  connection: redisConnection,
+  defaultJobOptions: {
+    attempts: parseInt(process.env.CALLBACK_MAX_ATTEMPTS) || 6,
+    backoff: {
+      type: 'exponential',
+      delay: 30 * 1000, // 30s, 1, 2, 4, 8 minutes between retries
+    },
+    removeOnComplete: {
+      age: 24 * 3600,
+      count: 1000,
+    },
+    removeOnFail: {
+      age: 7 * 24 * 3600,
+      count: 1000,
+    },
+  },
+};
+
 // ============================================================================
 // CREATE QUEUE INSTANCES
 // ============================================================================
 
 const markupQueue = new Queue(QUEUE_NAME, queueOptions);
+const clickupQueue = new Queue(CLICKUP_QUEUE_NAME, clickupQueueOptions);
+const translationQueue = new Queue(TRANSLATION_QUEUE_NAME, translationQueueOptions);
+const callbackQueue = new Queue(CALLBACK_QUEUE_NAME, callbackQueueOptions);
+
+// Progress/completion events of scrape jobs across processes (used by the SSE endpoint)
+const markupQueueEvents = new QueueEvents(QUEUE_NAME, { connection: redisConnection });
+markupQueueEvents.setMaxListeners(0); // One set of listeners per open SSE stream
 
 // QueueScheduler is recommended to handle delayed jobs and retries reliably.
 // Create it only when available (handles possible interop issues between ESM/CJS).
@@ -138,12 +208,16 @@ const worker = new Worker(
 
     try {
       // Update job progress
-      await job.updateProgress(10);
+      await job.updateProgress({ stage: 'started', percent: 5, timestamp: new Date().toISOString() });
       
-      // Execute the scraping
-      const result = await getCompletePayload(url, options);
+      // Execute the scraping (translation runs afterwards in its own queue unless inline)
+      const result = await getCompletePayload(url, {
+        translation: TRANSLATION_MODE,
+        ...options,
+        onProgress: (progress) => job.updateProgress(progress)
+      });
       
-      await job.updateProgress(100);
+      await job.updateProgress({ stage: 'completed', percent: 100, timestamp: new Date().toISOString() });
       
       if (!result.success) {
         throw new Error(result.error || 'Scraping failed');
@@ -151,6 +225,17 @@ const worker = new Worker(
       
       console.log(`\n✅ Job ${job.id} completed successfully`);
       console.log(`📊 Result: ${result.totalThreads} threads, ${result.totalScreenshots} screenshots`);
+
+      // A failed enqueue must not fail the scrape - the comments stay flagged for the next run
+      let translationJobId = null;
+      if (result.translationPending > 0) {
+        try {
+          const translationJob = await addTranslationJob({ projectId: result.projectId, url, scrapeJobId: job.id });
+          translationJobId = translationJob.jobId;
+        } catch (error) {
+          console.warn(`⚠️  Could not queue translation for ${url}: ${error.message}`);
+        }
+      }
       
       // Fetch the full payload from database to return complete data
       const SupabaseService = require('./supabase-service.js');
@@ -168,6 +253,10 @@ const worker = new Worker(
           totalComments: result.totalComments,
           totalScreenshots: result.totalScreenshots || result.totalThreads,
           operation: result.operation,
+          changes: result.changes,
+          version: result.version,
+          translationPending: result.translationPending,
+          translationJobId: translationJobId,
           duration: result.duration,
           completedAt: new Date().toISOString(),
           // Include full payload with threads and comments
@@ -191,6 +280,10 @@ const worker = new Worker(
           totalComments: result.totalComments,
           totalScreenshots: result.totalScreenshots || result.totalThreads,
           operation: result.operation,
+          changes: result.changes,
+          version: result.version,
+          translationPending: result.translationPending,
+          translationJobId: translationJobId,
           duration: result.duration,
           completedAt: new Date().toISOString(),
           payload: null,
@@ -214,6 +307,310 @@ const worker = new Worker(
   workerOptions
 );
 
+// ============================================================================
+// CLICKUP SYNC PROCESSOR
+// ============================================================================
+
+const clickupWorker = new Worker(
+  CLICKUP_QUEUE_NAME,
+  async (job) => {
+    const { taskId, taskName, url, postUntranslated = false } = job.data;
+
+    console.log(`\n🔄 Processing ClickUp sync job: ${job.id}`);
+    console.log(`📋 Task: ${taskName} (${taskId})`);
+    console.log(`📍 Markup URL: ${url}`);
+
+    const SupabaseService = require('./supabase-service.js');
+    const ClickUpService = require('./clickup-service.js');
+    const supabaseService = new SupabaseService();
+
+    // Load the project fresh so the latest scrape is posted, not the state at enqueue time
+    const project = await supabaseService.getProjectFromDB(url);
+    if (!project) {
+      throw new Error(`No project data found for ${url}`);
+    }
+
+    // Only post what this task hasn't received yet (sync ledger). Comments still waiting for
+    // translation are not posted or recorded; this sync runs again when the translation settles
+    // (postUntranslated: the translation failed or was deferred, so they are posted as written).
+    const changes = await supabaseService.getUndeliveredChanges(project.id, { taskId, target: 'clickup', holdUntranslated: !postUntranslated });
+    if (changes?.untranslatedHeld > 0) {
+      console.log(`⏳ ${changes.untranslatedHeld} untranslated comments held back until the translation finishes`);
+      await addClickUpFollowUp(project.id, { taskId, taskName, url });
+    }
+    if (!changes || changes.threads.length === 0) {
+      console.log(`ℹ️  Nothing new to sync for task ${taskId}`);
+      return {
+        success: true,
+        skipped: true,
+        taskId: taskId,
+        url: url,
+        untranslatedHeld: changes?.untranslatedHeld || 0,
+        completedAt: new Date().toISOString()
+      };
+    }
+
+    const result = await new ClickUpService().syncProjectToTask(taskId, changes);
+
+    // Record whatever got through, so a retry only posts the remainder
+    let syncRun = null;
+    if (result.delivered.commentIds.length > 0 || result.delivered.imageHashes.length > 0) {
+      syncRun = await supabaseService.recordSyncRun(project.id, {
+        taskId: taskId,
+        target: 'clickup',
+        commentIds: result.delivered.commentIds,
+        imageHashes: result.delivered.imageHashes
+      });
+    }
+
+    if (result.errors.length > 0) {
+      throw new Error(`ClickUp sync incomplete (${result.errors.length} errors): ${result.errors[0].error}`);
+    }
+
+    return {
+      ...result,
+      syncId: syncRun ? syncRun.id : null,
+      untranslatedHeld: changes.untranslatedHeld,
+      url: url,
+      completedAt: new Date().toISOString()
+    };
+  },
+  { connection: redisConnection, concurrency: 1 }
+);
+
+// ============================================================================
+// TRANSLATION PROCESSOR
+// ============================================================================
+
+const translationWorker = new Worker(
+  TRANSLATION_QUEUE_NAME,
+  async (job) => {
+    const { projectId, url } = job.data;
+
+    console.log(`\n🔄 Processing translation job: ${job.id}`);
+    console.log(`📍 Project: ${projectId} (${url})`);
+
+    const SupabaseService = require('./supabase-service.js');
+    const { translateBatch } = require('./translator.js');
+    const supabaseService = new SupabaseService();
+
+    // Pick up whatever is still untranslated, so a retry only handles the remainder
+    const pending = await supabaseService.getPendingTranslations(projectId);
+    if (!pending) {
+      throw new Error(`Project ${projectId} not found`);
+    }
+    if (pending.comments.length === 0) {
+      console.log(`ℹ️  No comments waiting for translation in project ${projectId}`);
+      return { success: true, skipped: true, projectId, url, completedAt: new Date().toISOString() };
+    }
+
+    const targetLanguage = (pending.targetLanguage || process.env.TRANSLATION_TARGET_LANG || 'EN').toUpperCase();
+
+    let glossary = [];
+    try {
+      glossary = await supabaseService.getGlossaryByUrl(pending.markupUrl);
+    } catch (error) {
+      console.warn(`⚠️  Could not load project glossary: ${error.message}`);
+    }
+
+    const translations = await translateBatch(
+      pending.comments.map(comment => comment.originalContent),
+      { targetLang: targetLanguage, glossary }
+    );
+
+    const translatedAt = new Date().toISOString();
+    const finished = [];
+    const errors = [];
+    let deferred = 0;
+
+    pending.comments.forEach((comment, i) => {
+      const translation = translations[i];
+      if (translation.error) {
+        errors.push({ commentId: comment.id, error: translation.error });
+      } else if (translation.deferred) {
+        deferred++; // Budget reached - stays flagged for a later run
+      } else {
+        finished.push({
+          id: comment.id,
+          content: translation.text,
+          translatedContent: translation.translated ? translation.text : null,
+          translationProvider: translation.provider,
+          translatedAt: translation.translated ? translatedAt : null,
+          sourceLanguage: translation.sourceLanguage
+        });
+      }
+    });
+
+    const updated = await supabaseService.saveCommentTranslations(finished);
+
+    // Throw after saving so BullMQ retries only the comments that failed
+    if (errors.length > 0) {
+      throw new Error(`Translation incomplete (${errors.length} errors): ${errors[0].error}`);
+    }
+
+    return {
+      success: true,
+      projectId: projectId,
+      url: url,
+      targetLanguage: targetLanguage,
+      translated: updated,
+      deferred: deferred,
+      completedAt: new Date().toISOString()
+    };
+  },
+  { connection: redisConnection, concurrency: 1 }
+);
+
+// ============================================================================
+// CALLBACK DELIVERY PROCESSOR
+// ============================================================================
+
+const callbackWorker = new Worker(
+  CALLBACK_QUEUE_NAME,
+  async (job) => {
+    const { scrapeJobId, event, callbackUrl, secretRef, body } = job.data;
+    const attempt = job.attemptsMade + 1;
+
+    const SupabaseService = require('./supabase-service.js');
+    const supabaseService = new SupabaseService();
+
+    try {
+      const secret = await getCallbackSecret(secretRef);
+      const { statusCode, durationMs } = await sendCallback(callbackUrl, body, { secret, event, deliveryId: job.id });
+      await supabaseService.logCallbackDelivery({ jobId: scrapeJobId, callbackUrl, event, attempt, statusCode, success: true, durationMs });
+      console.log(`📨 Callback ${event} for job ${scrapeJobId} delivered to ${callbackUrl} (${statusCode})`);
+      return { success: true, statusCode, attempt };
+    } catch (error) {
+      await supabaseService.logCallbackDelivery({
+        jobId: scrapeJobId,
+        callbackUrl,
+        event,
+        attempt,
+        statusCode: error.statusCode,
+        success: false,
+        error: error.message,
+        durationMs: error.durationMs
+      });
+      throw error; // Retry with backoff
+    }
+  },
+  { connection: redisConnection, concurrency: 5 }
+);
+
+/**
+ * Keep a callback secret in Redis and return the reference stored in job data instead
+ * @param {object} callback - { url, secret }
+ * @returns {Promise<object>} { url, secretRef }
+ */
+async function storeCallbackSecret({ url, secret }) {
+  if (!secret) return { url, secretRef: null };
+
+  const secretRef = crypto.randomUUID();
+  await redisConnection.set(`${CALLBACK_SECRET_PREFIX}:${secretRef}`, secret, 'EX', CALLBACK_SECRET_TTL);
+  return { url, secretRef };
+}
+
+/**
+ * Look up a callback secret by its reference
+ * @param {string|null} secretRef
+ * @returns {Promise<string|null>}
+ * @throws {Error} When the secret has expired (the delivery would otherwise go out unsigned)
+ */
+async function getCallbackSecret(secretRef) {
+  if (!secretRef) return null;
+
+  const secret = await redisConnection.get(`${CALLBACK_SECRET_PREFIX}:${secretRef}`);
+  if (!secret) throw new Error('Callback secret has expired - delivery not sent');
+  return secret;
+}
+
+/**
+ * Queue delivery of a scrape job's outcome to every callback registered on it
+ * @param {object} job - The scrape job (job.data.callbacks: [{ url, secretRef }])
+ * @param {string} event - job.completed | job.failed
+ * @param {object} body - JSON body to POST
+ */
+async function enqueueCallbacks(job, event, body) {
+  const callbacks = job.data.callbacks || [];
+  for (const callback of callbacks) {
+    try {
+      const urlHash = crypto.createHash('sha1').update(callback.url).digest('hex').slice(0, 12);
+      await callbackQueue.add(
+        'deliver-callback',
+        { scrapeJobId: job.id, event, callbackUrl: callback.url, secretRef: callback.secretRef || null, body },
+        { jobId: `callback-${urlHash}-${event}-${Date.now()}` }
+      );
+    } catch (error) {
+      console.error(`❌ Could not queue callback to ${callback.url}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Combine callback lists, keeping the latest secret reference per URL
+ * @returns {Array<object>}
+ */
+function mergeCallbacks(...lists) {
+  const byUrl = new Map();
+  lists.flat().filter(Boolean).forEach(callback => byUrl.set(callback.url, callback));
+  return [...byUrl.values()];
+}
+
+/**
+ * Send the job.completed callbacks a scrape held back for its translation job,
+ * with the payload as it is after translation
+ * @param {object} translationJob - Translation job (data.scrapeJobId set by the scrape worker)
+ * @param {string|null} translationError - Set when the translation finally failed
+ */
+async function releaseHeldCallbacks(translationJob, translationError = null) {
+  const { scrapeJobId, projectId, url } = translationJob.data;
+  if (!scrapeJobId) return;
+
+  try {
+    const scrapeJob = await markupQueue.getJob(scrapeJobId);
+    if (!scrapeJob || !scrapeJob.returnvalue) {
+      console.warn(`⚠️  Scrape job ${scrapeJobId} is gone - held callbacks cannot be sent`);
+      return;
+    }
+
+    const SupabaseService = require('./supabase-service.js');
+    const supabaseService = new SupabaseService();
+    const fullPayload = await supabaseService.getProjectFromDB(url);
+
+    await enqueueCallbacks(scrapeJob, 'job.completed', {
+      event: 'job.completed',
+      jobId: scrapeJob.id,
+      url: url,
+      result: {
+        ...scrapeJob.returnvalue,
+        translationPending: await supabaseService.countPendingTranslations(projectId),
+        translationError: translationError,
+        payload: fullPayload ? {
+          projectName: fullPayload.projectName,
+          url: fullPayload.url,
+          totalThreads: fullPayload.totalThreads,
+          threads: fullPayload.threads
+        } : scrapeJob.returnvalue.payload
+      }
+    });
+  } catch (error) {
+    console.error(`❌ Could not send held callbacks of job ${scrapeJobId}:`, error.message);
+  }
+}
+
+/**
+ * Queue the ClickUp syncs that waited for a project's translation job
+ * @param {string} projectId - markup_projects.id
+ * @param {object} outcome - { failed, deferred } of the translation job
+ */
+async function queueClickUpFollowUps(projectId, outcome) {
+  try {
+    await runClickUpFollowUps(projectId, outcome, addClickUpSyncJob);
+  } catch (error) {
+    console.error(`❌ Could not queue ClickUp follow-up syncs for project ${projectId}:`, error.message);
+  }
+}
+
 // ============================================================================
 // WORKER EVENT HANDLERS
 // ============================================================================
@@ -228,10 +625,28 @@ worker.on('completed', (job, result) => {
     operation: result.operation,
     duration: result.duration
   });
+
+  if (result.changes) {
+    const { threads, comments } = result.changes;
+    console.log(`🔀 Changes: threads +${threads.added} ~${threads.updated} -${threads.removed}, comments +${comments.added} ~${comments.edited} -${comments.removed}`);
+  }
   
   if (result.payload) {
     console.log(`📦 Full payload available with ${result.payload.threads?.length || 0} threads`);
   }
+
+  // Callers get the translated payload: the callback waits for the translation job
+  if (result.translationJobId) {
+    console.log(`⏳ Callbacks held until translation job ${result.translationJobId} finishes`);
+    return;
+  }
+
+  enqueueCallbacks(job, 'job.completed', {
+    event: 'job.completed',
+    jobId: job.id,
+    url: job.data.url,
+    result: result
+  });
 });
 
 worker.on('failed', (job, err) => {
@@ -241,17 +656,72 @@ worker.on('failed', (job, err) => {
     console.log(`🔄 Will retry in 10 minutes (Attempt ${job.attemptsMade + 1}/${job.opts.attempts})`);
   } else {
     console.log(`⚠️  Max retries reached. Job will not be retried.`);
+
+    // Only the final failure is reported to callers
+    enqueueCallbacks(job, 'job.failed', {
+      event: 'job.failed',
+      jobId: job.id,
+      url: job.data.url,
+      error: err.message,
+      attemptsMade: job.attemptsMade,
+      failedAt: new Date().toISOString()
+    });
   }
 });
 
 worker.on('progress', (job, progress) => {
-  console.log(`📈 Job ${job.id} progress: ${progress}%`);
+  if (typeof progress === 'object' && progress !== null) {
+    console.log(`📈 Job ${job.id} progress: ${progress.percent}% (${progress.stage}${progress.message ? ` - ${progress.message}` : ''})`);
+  } else {
+    console.log(`📈 Job ${job.id} progress: ${progress}%`);
+  }
 });
 
 worker.on('error', (err) => {
   console.error('❌ Worker error:', err);
 });
 
+clickupWorker.on('completed', (job, result) => {
+  console.log(`\n🎉 ClickUp sync job ${job.id} completed: ${result.attachmentsUploaded} attachments, ${result.commentsPosted} comments`);
+});
+
+clickupWorker.on('failed', (job, err) => {
+  console.error(`\n💥 ClickUp sync job ${job.id} has failed with error:`, err.message);
+});
+
+clickupWorker.on('error', (err) => {
+  console.error('❌ ClickUp worker error:', err);
+});
+
+translationWorker.on('completed', async (job, result) => {
+  console.log(`\n🎉 Translation job ${job.id} completed: ${result.translated || 0} comments translated, ${result.deferred || 0} deferred`);
+  await releaseHeldCallbacks(job);
+  await queueClickUpFollowUps(job.data.projectId, { deferred: result.deferred || 0 });
+});
+
+translationWorker.on('failed', async (job, err) => {
+  console.error(`\n💥 Translation job ${job.id} has failed with error:`, err.message);
+
+  // Out of retries: callers and held ClickUp syncs still get the comments, left untranslated
+  if (job.attemptsMade >= job.opts.attempts) {
+    await releaseHeldCallbacks(job, err.message);
+    await queueClickUpFollowUps(job.data.projectId, { failed: true });
+  }
+});
+
+translationWorker.on('error', (err) => {
+  console.error('❌ Translation worker error:', err);
+});
+
+callbackWorker.on('failed', (job, err) => {
+  const finalAttempt = job.attemptsMade >= job.opts.attempts;
+  console.error(`\n💥 Callback ${job.data.event} to ${job.data.callbackUrl} failed (attempt ${job.attemptsMade}/${job.opts.attempts}${finalAttempt ? ', giving up' : ''}):`, err.message);
+});
+
+callbackWorker.on('error', (err) => {
+  console.error('❌ Callback worker error:', err);
+});
+
 // ============================================================================
 // QUEUE EVENT HANDLERS
 // ============================================================================
@@ -260,6 +730,22 @@ markupQueue.on('error', (err) => {
   console.error('❌ Queue error:', err);
 });
 
+markupQueueEvents.on('error', (err) => {
+  console.error('❌ Queue events error:', err);
+});
+
+clickupQueue.on('error', (err) => {
+  console.error('❌ ClickUp queue error:', err);
+});
+
+translationQueue.on('error', (err) => {
+  console.error('❌ Translation queue error:', err);
+});
+
+callbackQueue.on('error', (err) => {
+  console.error('❌ Callback queue error:', err);
+});
+
 // ============================================================================
 // QUEUE MANAGEMENT FUNCTIONS
 // ============================================================================
@@ -268,18 +754,30 @@ markupQueue.on('error', (err) => {
 const localScheduled = new Map(); // jobId -> { timer, url, willProcessAt }
 
 
+/**
+ * Scrape jobs are identified by their URL, so re-scrapes of one project replace each other
+ * @param {string} url - The Markup.io URL
+ * @returns {string} Job ID
+ */
+function getScrapeJobId(url) {
+  return `markup-${Buffer.from(url).toString('base64').substring(0, 50)}`;
+}
+
 /**
  * Add a scraping job to the queue with deduplication
- * If the same URL is already in queue, it will be delayed by 3 minutes
+ * If the same URL is already in queue, it will be delayed by 3 minutes.
+ * Callbacks registered on a replaced job are carried over, so every caller is notified.
  * 
  * @param {string} url - The Markup.io URL to scrape
  * @param {object} options - Scraping options
+ * @param {object|null} callback - { url, secret } to POST the job result to when it finishes
  * @returns {Promise<object>} Job information
  */
-async function addScrapingJob(url, options = {}) {
+async function addScrapingJob(url, options = {}, callback = null) {
   try {
     const DELAY_MS = 3 * 60 * 1000; // 3 minutes
-    const jobId = `markup-${Buffer.from(url).toString('base64').substring(0, 50)}`;
+    const jobId = getScrapeJobId(url);
+    let callbacks = mergeCallbacks(callback ? [await storeCallbackSecret(callback)] : []);
 
     // If QueueScheduler is available, rely on Redis delayed jobs as before
     if (queueScheduler) {
@@ -289,12 +787,13 @@ async function addScrapingJob(url, options = {}) {
       if (existingJob) {
         console.log(`\n⏸️  Job for URL already exists: ${existingJob.id}`);
         console.log(`🔄 Removing old job and creating new one with 3-minute delay`);
+        callbacks = mergeCallbacks(existingJob.data.callbacks, callbacks);
         await existingJob.remove();
       }
 
       const job = await markupQueue.add(
         'scrape-markup',
-        { url, options },
+        { url, options, callbacks },
         {
           jobId: jobId,
           delay: DELAY_MS,
@@ -313,6 +812,7 @@ async function addScrapingJob(url, options = {}) {
         status: 'delayed',
         delay: DELAY_MS,
         willProcessAt: new Date(Date.now() + DELAY_MS).toISOString(),
+        callbacks: callbacks.length,
       };
     }
 
@@ -322,6 +822,10 @@ async function addScrapingJob(url, options = {}) {
       const existing = await markupQueue.getJob(jobId);
       if (existing) {
         console.log(`\n⏸️  Removing leftover Redis job: ${existing.id}`);
+        // Still waiting to run: its callers should hear about the new run instead
+        if (['waiting', 'delayed', 'prioritized'].includes(await existing.getState())) {
+          callbacks = mergeCallbacks(existing.data.callbacks, callbacks);
+        }
         await existing.remove();
       }
     } catch (err) {
@@ -331,6 +835,7 @@ async function addScrapingJob(url, options = {}) {
     // Clear existing local timer for this job if present
     if (localScheduled.has(jobId)) {
       const prev = localScheduled.get(jobId);
+      callbacks = mergeCallbacks(prev.callbacks, callbacks);
       clearTimeout(prev.timer);
       localScheduled.delete(jobId);
       console.log(`🔁 Resetting local schedule for ${jobId}`);
@@ -340,7 +845,7 @@ async function addScrapingJob(url, options = {}) {
     const timer = setTimeout(async () => {
       try {
         // Add job without delay so worker can pick it up immediately
-        const added = await markupQueue.add('scrape-markup', { url, options }, { jobId: jobId, priority: 1 });
+        const added = await markupQueue.add('scrape-markup', { url, options, callbacks }, { jobId: jobId, priority: 1 });
         console.log(`\n✅ Locally-scheduled job added to queue: ${added.id}`);
       } catch (err) {
         console.error('❌ Error adding locally scheduled job to queue:', err.message);
@@ -350,7 +855,7 @@ async function addScrapingJob(url, options = {}) {
     }, DELAY_MS);
 
     // Track local schedule
-    localScheduled.set(jobId, { timer, url, willProcessAt });
+    localScheduled.set(jobId, { timer, url, willProcessAt, callbacks });
 
     console.log(`\n🕒 Job scheduled locally: ${jobId}`);
     console.log(`📍 URL: ${url}`);
@@ -362,6 +867,7 @@ async function addScrapingJob(url, options = {}) {
       url: url,
       status: 'scheduled_locally',
       willProcessAt: new Date(willProcessAt).toISOString(),
+      callbacks: callbacks.length,
     };
     
   } catch (error) {
@@ -370,6 +876,98 @@ async function addScrapingJob(url, options = {}) {
   }
 }
 
+/**
+ * Add a job that posts a project's screenshots and comments to a ClickUp task
+ *
+ * @param {object} data - { taskId, taskName, projectId, url, eventId, postUntranslated }
+ * @returns {Promise<object>} Job information
+ */
+async function addClickUpSyncJob({ taskId, taskName, projectId, url, eventId = null, postUntranslated = false }) {
+  try {
+    // ClickUp redelivers webhooks it considers failed - the event id keeps those from syncing twice
+    const jobId = `clickup-${taskId}-${eventId || Date.now()}`;
+
+    const job = await clickupQueue.add(
+      'sync-clickup',
+      { taskId, taskName, projectId, url, postUntranslated },
+      { jobId: jobId }
+    );
+
+    console.log(`\n✅ ClickUp sync job added to queue: ${job.id}`);
+    console.log(`📋 Task: ${taskName} (${taskId}) ← ${url}`);
+
+    return {
+      success: true,
+      jobId: job.id,
+      taskId: taskId,
+      url: url,
+      status: 'waiting',
+    };
+  } catch (error) {
+    console.error('❌ Error adding ClickUp sync job to queue:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a job that translates a project's untranslated comments (saved by a queued-translation scrape).
+ * With a scrapeJobId, that scrape's job.completed callbacks are sent once the translation finishes.
+ *
+ * @param {object} data - { projectId, url, scrapeJobId }
+ * @returns {Promise<object>} Job information
+ */
+async function addTranslationJob({ projectId, url, scrapeJobId = null }) {
+  try {
+    const job = await translationQueue.add(
+      'translate-comments',
+      { projectId, url, scrapeJobId },
+      { jobId: `translate-${projectId}-${Date.now()}` }
+    );
+
+    console.log(`\n✅ Translation job added to queue: ${job.id}`);
+
+    return {
+      success: true,
+      jobId: job.id,
+      projectId: projectId,
+      url: url,
+      status: 'waiting',
+    };
+  } catch (error) {
+    console.error('❌ Error adding translation job to queue:', error);
+    throw error;
+  }
+}
+
+/**
+ * Whether a job is waiting in the in-process fallback scheduler (not yet in Redis)
+ * @param {string} jobId
+ * @returns {object|null} { willProcessAt } or null
+ */
+function getLocalSchedule(jobId) {
+  const scheduled = localScheduled.get(jobId);
+  return scheduled ? { willProcessAt: new Date(scheduled.willProcessAt).toISOString() } : null;
+}
+
+/**
+ * Listen to the lifecycle events of one scrape job
+ * @param {string} jobId
+ * @param {Function} handler - Called with (eventName, data) for added, waiting, delayed, active, progress, completed, failed, removed
+ * @returns {Function} Unsubscribe
+ */
+function subscribeToJobEvents(jobId, handler) {
+  const events = ['added', 'waiting', 'delayed', 'active', 'progress', 'completed', 'failed', 'removed'];
+  const listeners = events.map(eventName => {
+    const listener = (args) => {
+      if (args.jobId === jobId) handler(eventName, args);
+    };
+    markupQueueEvents.on(eventName, listener);
+    return [eventName, listener];
+  });
+
+  return () => listeners.forEach(([eventName, listener]) => markupQueueEvents.off(eventName, listener));
+}
+
 /**
  * Get job status by job ID
  */
@@ -406,26 +1004,41 @@ async function getJobStatus(jobId) {
   }
 }
 
+// Queues the admin API can manage, by name
+const MANAGED_QUEUES = {
+  [QUEUE_NAME]: markupQueue,
+  [CLICKUP_QUEUE_NAME]: clickupQueue,
+  [TRANSLATION_QUEUE_NAME]: translationQueue,
+  [CALLBACK_QUEUE_NAME]: callbackQueue,
+};
+
+// Job states that can be listed and counted
+const JOB_STATES = ['waiting', 'active', 'delayed', 'prioritized', 'completed', 'failed', 'paused', 'waiting-children'];
+
+/**
+ * Resolve a queue by name (defaults to the scrape queue)
+ * @param {string} queueName
+ * @returns {Queue|null} null for unknown names
+ */
+function getManagedQueue(queueName = QUEUE_NAME) {
+  return MANAGED_QUEUES[queueName || QUEUE_NAME] || null;
+}
+
 /**
  * Get queue statistics
  */
-async function getQueueStats() {
+async function getQueueStats(queueName = QUEUE_NAME) {
   try {
-    const [waiting, active, completed, failed, delayed] = await Promise.all([
-      markupQueue.getWaitingCount(),
-      markupQueue.getActiveCount(),
-      markupQueue.getCompletedCount(),
-      markupQueue.getFailedCount(),
-      markupQueue.getDelayedCount(),
+    const queue = getManagedQueue(queueName);
+    const [counts, paused] = await Promise.all([
+      queue.getJobCounts('waiting', 'active', 'completed', 'failed', 'delayed', 'prioritized', 'paused'),
+      queue.isPaused(),
     ]);
     
     return {
-      waiting,
-      active,
-      completed,
-      failed,
-      delayed,
-      total: waiting + active + completed + failed + delayed,
+      ...counts,
+      total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      isPaused: paused,
     };
   } catch (error) {
     console.error('❌ Error getting queue stats:', error);
@@ -436,16 +1049,18 @@ async function getQueueStats() {
 /**
  * Get all jobs by state
  */
-async function getJobs(state = 'waiting', start = 0, end = 10) {
+async function getJobs(state = 'waiting', start = 0, end = 10, queueName = QUEUE_NAME) {
   try {
-    const jobs = await markupQueue.getJobs(state, start, end);
+    const jobs = await getManagedQueue(queueName).getJobs(state, start, end);
     
-    return jobs.map(job => ({
+    return jobs.filter(Boolean).map(job => ({
       id: job.id,
+      name: job.name,
       url: job.data.url,
-      state: job.state,
+      state: state,
       progress: job.progress,
       attemptsMade: job.attemptsMade,
+      failedReason: job.failedReason || null,
       timestamp: job.timestamp,
       processedOn: job.processedOn,
       finishedOn: job.finishedOn,
@@ -456,12 +1071,75 @@ async function getJobs(state = 'waiting', start = 0, end = 10) {
   }
 }
 
+/**
+ * Get one page of jobs in a state, with the total count for pagination
+ * @param {string} state - One of JOB_STATES
+ * @param {object} options - { start, limit, queueName }
+ * @returns {Promise<object>} { jobs, total, start, limit, nextStart }
+ */
+async function getJobsPage(state, { start = 0, limit = 20, queueName = QUEUE_NAME } = {}) {
+  const [jobs, total] = await Promise.all([
+    getJobs(state, start, start + limit - 1, queueName),
+    getManagedQueue(queueName).getJobCountByTypes(state),
+  ]);
+
+  return {
+    jobs,
+    total,
+    start,
+    limit,
+    nextStart: start + limit < total ? start + limit : null,
+  };
+}
+
+// Job data fields never returned by the admin API
+const REDACTED_JOB_FIELDS = new Set(['secret', 'callbackSecret', 'secretRef']);
+
+/**
+ * Copy of job data without callback secrets or their references, at any depth
+ * @param {*} value - job.data or a part of it
+ * @returns {*}
+ */
+function redactJobData(value) {
+  if (Array.isArray(value)) return value.map(redactJobData);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([key]) => !REDACTED_JOB_FIELDS.has(key))
+      .map(([key, entry]) => [key, redactJobData(entry)])
+  );
+}
+
+/**
+ * Get why a job failed, including the stack trace of every failed attempt
+ */
+async function getJobFailure(jobId, queueName = QUEUE_NAME) {
+  const job = await getManagedQueue(queueName).getJob(jobId);
+
+  if (!job) {
+    return { success: false, error: 'Job not found' };
+  }
+
+  return {
+    success: true,
+    jobId: job.id,
+    name: job.name,
+    state: await job.getState(),
+    failedReason: job.failedReason || null,
+    stacktrace: job.stacktrace || [],
+    attemptsMade: job.attemptsMade,
+    maxAttempts: job.opts.attempts || 1,
+    data: redactJobData(job.data),
+    finishedOn: job.finishedOn,
+  };
+}
+
 /**
  * Retry a failed job immediately
  */
-async function retryJob(jobId) {
+async function retryJob(jobId, queueName = QUEUE_NAME) {
   try {
-    const job = await markupQueue.getJob(jobId);
+    const job = await getManagedQueue(queueName).getJob(jobId);
     
     if (!job) {
       return {
@@ -469,8 +1147,17 @@ async function retryJob(jobId) {
         error: 'Job not found',
       };
     }
+
+    // BullMQ can only move finished jobs back to waiting
+    const state = await job.getState();
+    if (state !== 'failed' && state !== 'completed') {
+      return {
+        success: false,
+        error: `Only failed or completed jobs can be retried (job is ${state})`,
+      };
+    }
     
-    await job.retry();
+    await job.retry(state);
     
     console.log(`🔄 Job ${jobId} has been queued for retry`);
     
@@ -488,9 +1175,17 @@ async function retryJob(jobId) {
 /**
  * Remove a job from the queue
  */
-async function removeJob(jobId) {
+async function removeJob(jobId, queueName = QUEUE_NAME) {
   try {
-    const job = await markupQueue.getJob(jobId);
+    // Scrape jobs may still be waiting in the in-process fallback scheduler
+    if ((queueName || QUEUE_NAME) === QUEUE_NAME && localScheduled.has(jobId)) {
+      clearTimeout(localScheduled.get(jobId).timer);
+      localScheduled.delete(jobId);
+      console.log(`🗑️  Locally scheduled job ${jobId} has been cancelled`);
+      return { success: true, jobId, message: 'Scheduled job cancelled' };
+    }
+
+    const job = await getManagedQueue(queueName).getJob(jobId);
     
     if (!job) {
       return {
@@ -509,11 +1204,50 @@ async function removeJob(jobId) {
       message: 'Job removed',
     };
   } catch (error) {
+    // Active jobs are locked by their worker and can't be removed
+    if (/locked/i.test(error.message)) {
+      return { success: false, error: 'Job is being processed and cannot be removed' };
+    }
     console.error('❌ Error removing job:', error);
     throw error;
   }
 }
 
+/**
+ * Retry or remove several jobs; failures are reported per job instead of aborting
+ * @param {string} action - 'retry' | 'remove'
+ * @param {Array<string>} jobIds
+ * @returns {Promise<object>} { succeeded, failed, results }
+ */
+async function bulkJobAction(action, jobIds, queueName = QUEUE_NAME) {
+  const handler = action === 'retry' ? retryJob : removeJob;
+  const results = [];
+
+  for (const jobId of jobIds) {
+    try {
+      results.push({ jobId, ...(await handler(jobId, queueName)) });
+    } catch (error) {
+      results.push({ jobId, success: false, error: error.message });
+    }
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+  return { succeeded, failed: results.length - succeeded, results };
+}
+
+/**
+ * Move every failed (or completed) job of a queue back to waiting
+ */
+async function retryAllJobs(state = 'failed', queueName = QUEUE_NAME) {
+  const queue = getManagedQueue(queueName);
+  const count = await queue.getJobCountByTypes(state);
+
+  await queue.retryJobs({ state });
+
+  console.log(`🔄 Queued ${count} ${state} jobs in ${queue.name} for retry`);
+  return { success: true, retried: count };
+}
+
 /**
  * Promote a delayed job to waiting immediately (if supported)
  */
@@ -540,18 +1274,28 @@ async function promoteJob(jobId) {
 
 /**
  * Clean old jobs from queue
+ * Failed jobs are kept 7x longer than the grace period unless failedGrace is given.
+ *
+ * @param {number} grace - Keep jobs that finished within this many ms
+ * @param {object} options - { states, failedGrace, limit, queueName }
  */
-async function cleanQueue(grace = 24 * 3600 * 1000) {
+async function cleanQueue(grace = 24 * 3600 * 1000, { states = ['completed', 'failed'], failedGrace = grace * 7, limit = 1000, queueName = QUEUE_NAME } = {}) {
   try {
-    const cleaned = await markupQueue.clean(grace, 1000, 'completed');
-    const cleanedFailed = await markupQueue.clean(grace * 7, 1000, 'failed');
+    const queue = getManagedQueue(queueName);
+    const cleaned = {};
+
+    for (const state of states) {
+      const removed = await queue.clean(state === 'failed' ? failedGrace : grace, limit, state);
+      cleaned[state] = removed.length;
+    }
     
-    console.log(`🧹 Cleaned ${cleaned.length} completed jobs and ${cleanedFailed.length} failed jobs`);
+    console.log(`🧹 Cleaned ${Object.entries(cleaned).map(([state, count]) => `${count} ${state}`).join(', ')} jobs from ${queue.name}`);
     
     return {
       success: true,
-      cleanedCompleted: cleaned.length,
-      cleanedFailed: cleanedFailed.length,
+      cleaned,
+      cleanedCompleted: cleaned.completed || 0,
+      cleanedFailed: cleaned.failed || 0,
     };
   } catch (error) {
     console.error('❌ Error cleaning queue:', error);
@@ -562,18 +1306,20 @@ async function cleanQueue(grace = 24 * 3600 * 1000) {
 /**
  * Pause the queue
  */
-async function pauseQueue() {
-  await markupQueue.pause();
-  console.log('⏸️  Queue paused');
+async function pauseQueue(queueName = QUEUE_NAME) {
+  const queue = getManagedQueue(queueName);
+  await queue.pause();
+  console.log(`⏸️  Queue ${queue.name} paused`);
   return { success: true, message: 'Queue paused' };
 }
 
 /**
  * Resume the queue
  */
-async function resumeQueue() {
-  await markupQueue.resume();
-  console.log('▶️  Queue resumed');
+async function resumeQueue(queueName = QUEUE_NAME) {
+  const queue = getManagedQueue(queueName);
+  await queue.resume();
+  console.log(`▶️  Queue ${queue.name} resumed`);
   return { success: true, message: 'Queue resumed' };
 }
 
@@ -584,6 +1330,9 @@ async function closeQueue() {
   console.log('\n🔄 Closing queue connections...');
   
   await worker.close();
+  await clickupWorker.close();
+  await translationWorker.close();
+  await callbackWorker.close();
   // Close the queue scheduler first (if created)
   if (queueScheduler && typeof queueScheduler.close === 'function') {
     try { await queueScheduler.close(); } catch (err) { console.warn('Error closing QueueScheduler:', err.message); }
@@ -595,8 +1344,12 @@ async function closeQueue() {
     console.log('🛑 Fallback promoter stopped');
   }
 
+  await markupQueueEvents.close();
   await markupQueue.close();
-  await redisConnection.quit();
+  await clickupQueue.close();
+  await translationQueue.close();
+  await callbackQueue.close();
+  await closeRedisConnection();
   
   console.log('✅ Queue connections closed');
 }
@@ -623,16 +1376,33 @@ process.on('SIGINT', async () => {
 
 module.exports = {
   markupQueue,
+  clickupQueue,
+  translationQueue,
+  callbackQueue,
   worker,
+  clickupWorker,
+  translationWorker,
+  callbackWorker,
   // Export scheduler only if it exists
   ...(queueScheduler ? { queueScheduler } : {}),
+  getScrapeJobId,
   addScrapingJob,
+  addClickUpSyncJob,
+  addTranslationJob,
   getJobStatus,
+  getLocalSchedule,
+  subscribeToJobEvents,
+  JOB_STATES,
+  getManagedQueue,
   getQueueStats,
   getJobs,
+  getJobsPage,
+  getJobFailure,
   retryJob,
   promoteJob,
   removeJob,
+  bulkJobAction,
+  retryAllJobs,
   cleanQueue,
   pauseQueue,
   resumeQueue,
@@ -0,0 +1,57 @@
+// redis_client.js
+// Shared IORedis connection used by the BullMQ queues (queue.js) and the translation cache.
+// The connection is opened on first use, so modules that only might need Redis (translator.js,
+// api_auth.js) can be required without keeping the process alive.
+
+const IORedis = require('ioredis');
+require('dotenv').config();
+
+let redisConnection = null;
+
+/**
+ * The shared connection, opened on first call
+ * @returns {IORedis}
+ */
+function getRedisConnection() {
+  if (!redisConnection) {
+    redisConnection = new IORedis({
+      host: process.env.REDIS_HOST || 'localhost',
+      port: process.env.REDIS_PORT || 6379,
+      password: process.env.REDIS_PASSWORD || undefined,
+      maxRetriesPerRequest: null, // Required for BullMQ
+      enableReadyCheck: false,
+    });
+  }
+  return redisConnection;
+}
+
+/**
+ * Whether the connection can serve commands right now (opens it if needed).
+ * With maxRetriesPerRequest: null commands wait forever while Redis is down,
+ * so optional features (caching, counters) should check this first.
+ * @returns {boolean}
+ */
+function isRedisReady() {
+  return getRedisConnection().status === 'ready';
+}
+
+/**
+ * Close the shared connection if it was opened (CLI runs, shutdown)
+ * @returns {Promise<void>}
+ */
+async function closeRedisConnection() {
+  if (!redisConnection) return;
+  const connection = redisConnection;
+  redisConnection = null;
+  try {
+    await connection.quit();
+  } catch (error) {
+    connection.disconnect();
+  }
+}
+
+module.exports = {
+  getRedisConnection,
+  isRedisReady,
+  closeRedisConnection
+};
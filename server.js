@@ -1,24 +1,56 @@
 
 const express = require('express');
 const { getCompletePayload } = require('./getpayload');
-const { getProjectByPartialName } = require('./db_response_helper.js');
-const { addScrapingJob, getJobStatus, getQueueStats, getJobs, promoteJob } = require('./queue');
+const { MATCH_STRATEGIES, DEFAULT_STRATEGY, resolveProjectByName, resolveProjectForTask } = require('./db_response_helper.js');
+const {
+  getScrapeJobId, addScrapingJob, addClickUpSyncJob, addTranslationJob, getJobStatus, getLocalSchedule, subscribeToJobEvents,
+  JOB_STATES, getManagedQueue, getQueueStats, getJobs, getJobsPage, getJobFailure, retryJob, removeJob,
+  bulkJobAction, retryAllJobs, promoteJob, cleanQueue, pauseQueue, resumeQueue
+} = require('./queue');
+const { safeCompare, verifyHmacSignature, normalizeStatus, getClickUpStatusChange, extractMarkupUrl, assertPublicCallbackUrl } = require('./webhook_helper.js');
+const ClickUpService = require('./clickup-service.js');
+const { getCacheStats } = require('./translation_cache.js');
+const { getUsageReport } = require('./translation_usage.js');
+const { getTranslationProvider } = require('./translator.js');
+const SupabaseService = require('./supabase-service.js');
+const { SCOPES, API_AUTH_ENABLED, generateApiKey, requireScope, validateScopes } = require('./api_auth.js');
+const { renderProjectList, renderProjectDetail, renderError } = require('./dashboard_views.js');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the unparsed body around for webhook signature verification
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true }));
 
+// Browser origins allowed to call the API (comma-separated, "*" for any). Unset = none.
+const CORS_ALLOWED_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  const origin = req.get('Origin');
+  if (origin && (CORS_ALLOWED_ORIGINS.includes('*') || CORS_ALLOWED_ORIGINS.includes(origin))) {
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Vary', 'Origin');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-Admin-Token');
+  }
+  // Preflights carry no credentials, so answer them before authentication
+  if (req.method === 'OPTIONS') return res.sendStatus(204);
   next();
 });
 
 app.get('/health', async (req, res) => {
+  let translationCache;
+  try {
+    translationCache = await getCacheStats();
+  } catch (error) {
+    translationCache = { error: 'Translation cache not available' };
+  }
+
   try {
     const queueStats = await getQueueStats();
     res.json({
@@ -26,7 +58,8 @@ app.get('/health', async (req, res) => {
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
       service: 'markup-screenshot-payload-extractor',
-      queue: queueStats
+      queue: queueStats,
+      translationCache
     });
   } catch (error) {
     res.json({
@@ -34,7 +67,8 @@ app.get('/health', async (req, res) => {
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
       service: 'markup-screenshot-payload-extractor',
-      queue: { error: 'Queue not available' }
+      queue: { error: 'Queue not available' },
+      translationCache
     });
   }
 });
@@ -44,9 +78,9 @@ app.get('/health', async (req, res) => {
 // ============================================================================
 
 // Main endpoint: Queue scraping job with debouncing
-app.post('/complete-payload', async (req, res) => {
+app.post('/complete-payload', requireScope('enqueue'), async (req, res) => {
   try {
-    const { url, options = {} } = req.body;
+    const { url, options = {}, callbackUrl, callbackSecret } = req.body;
     
     if (!url) {
       return res.status(400).json({
@@ -61,6 +95,26 @@ app.post('/complete-payload', async (req, res) => {
         error: 'Invalid URL format'
       });
     }
+
+    // Optional: POST the job result to the caller instead of making them poll checkStatus
+    let callback = null;
+    if (callbackUrl) {
+      try {
+        await assertPublicCallbackUrl(callbackUrl);
+      } catch (urlError) {
+        return res.status(400).json({
+          success: false,
+          error: urlError.message
+        });
+      }
+      if (callbackSecret !== undefined && (typeof callbackSecret !== 'string' || callbackSecret === '')) {
+        return res.status(400).json({
+          success: false,
+          error: 'callbackSecret must be a non-empty string'
+        });
+      }
+      callback = { url: callbackUrl, secret: callbackSecret || null };
+    }
     
     const payloadOptions = {
       screenshotQuality: 90,
@@ -71,7 +125,8 @@ app.post('/complete-payload', async (req, res) => {
     console.log(`📥 Received request to scrape: ${url}`);
     
     // Add job to queue instead of processing immediately
-    const jobInfo = await addScrapingJob(url, payloadOptions);
+    const jobInfo = await addScrapingJob(url, payloadOptions, callback);
+    res.locals.auditJobId = jobInfo.jobId;
     
     res.status(202).json({
       success: true,
@@ -91,32 +146,121 @@ app.post('/complete-payload', async (req, res) => {
   }
 });
 
-// Search for a project by partial name (case-insensitive, returns first match)
-app.get('/project-by-name', async (req, res) => {
+// Full-text search across the comments of all projects
+// ?q= (web search syntax: "exact phrase", -exclude, or) &projectId= &user= &from= &to= (posting date) &hasAttachments= &page= &pageSize=
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_SEARCH_PAGE_SIZE = 100;
+
+app.get('/search', requireScope('read'), async (req, res) => {
+  try {
+    const { q, projectId, user, from, to, hasAttachments } = req.query;
+
+    if (typeof q !== 'string' || q.trim().length < 2 || q.length > 200) {
+      return res.status(400).json({
+        success: false,
+        error: 'Query parameter q is required (2-200 characters)',
+        message: 'Usage: /search?q=bigger+logo&projectId=&user=&from=2026-01-01&to=&hasAttachments=true&page=1'
+      });
+    }
+    if (projectId !== undefined && !UUID_PATTERN.test(projectId)) {
+      return res.status(400).json({ success: false, error: 'projectId must be a project UUID' });
+    }
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value !== undefined && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ success: false, error: `${name} must be an ISO date` });
+      }
+    }
+    if (hasAttachments !== undefined && !['true', 'false'].includes(hasAttachments)) {
+      return res.status(400).json({ success: false, error: 'hasAttachments must be true or false' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 20, 1), MAX_SEARCH_PAGE_SIZE);
+
+    const { results, total } = await new SupabaseService().searchComments({
+      query: q.trim(),
+      projectId: projectId || null,
+      user: typeof user === 'string' && user.trim() ? user.trim() : null,
+      from: from ? new Date(from).toISOString() : null,
+      to: to ? new Date(to).toISOString() : null,
+      hasAttachments: hasAttachments === undefined ? null : hasAttachments === 'true',
+      limit: pageSize,
+      offset: (page - 1) * pageSize
+    });
+
+    res.json({
+      success: true,
+      query: q.trim(),
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+      count: results.length,
+      data: results
+    });
+  } catch (error) {
+    console.error('Error in /search:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Find the project matching a name. Candidates are ranked (exact > prefix > contains > tokens > trigram);
+// equally good or weak matches (below PROJECT_MATCH_MIN_SCORE) return 409 with the candidates instead of picking one.
+app.get('/project-by-name', requireScope('read'), async (req, res) => {
   try {
-    const { name } = req.query;
+    const { name, strategy = DEFAULT_STRATEGY } = req.query;
     
     if (!name) {
       return res.status(400).json({
         success: false,
         error: 'Missing required query parameter: name',
-        message: 'Usage: /project-by-name?name=partialProjectName'
+        message: `Usage: /project-by-name?name=partialProjectName&strategy=${Object.keys(MATCH_STRATEGIES).join('|')}`
+      });
+    }
+    if (!MATCH_STRATEGIES[strategy]) {
+      return res.status(400).json({
+        success: false,
+        error: `strategy must be one of: ${Object.keys(MATCH_STRATEGIES).join(', ')}`
       });
     }
     
-    const project = await getProjectByPartialName(name);
+    const resolution = await resolveProjectByName(name, { strategy });
     
-    if (!project) {
+    if (resolution.status === 'not_found') {
       return res.status(404).json({
         success: false,
         error: 'No project found matching the given name',
-        searchTerm: name
+        searchTerm: name,
+        strategy
+      });
+    }
+
+    if (resolution.status === 'ambiguous') {
+      return res.status(409).json({
+        success: false,
+        error: `${resolution.candidates.length} projects match "${name}" equally well`,
+        searchTerm: name,
+        strategy,
+        candidates: resolution.candidates
+      });
+    }
+
+    if (resolution.status === 'needs_confirmation') {
+      return res.status(409).json({
+        success: false,
+        error: `No project matches "${name}" closely enough to be picked automatically`,
+        searchTerm: name,
+        strategy,
+        candidates: resolution.candidates
       });
     }
     
     res.json({
       success: true,
-      data: project
+      data: resolution.project,
+      match: resolution.match,
+      strategy,
+      candidates: resolution.candidates
     });
     
   } catch (error) {
@@ -128,129 +272,1356 @@ app.get('/project-by-name', async (req, res) => {
   }
 });
 
-// Get job status by ID (for monitoring queue jobs)
-app.get('/queue/job/:jobId', async (req, res) => {
+// Items of a project not yet delivered to an external task (sync ledger)
+// ?since=<syncId> counts everything delivered up to that sync run; ?taskId= uses the task's whole ledger
+app.get('/projects/:id/changes', requireScope('read'), async (req, res) => {
   try {
-    const { jobId } = req.params;
-    const status = await getJobStatus(jobId);
-    
-    if (!status.success) {
-      return res.status(404).json(status);
+    const { id } = req.params;
+    const { since, taskId, target = 'clickup' } = req.query;
+
+    if (since && !/^\d+$/.test(since)) {
+      return res.status(400).json({ success: false, error: 'since must be a numeric sync ID' });
     }
-    
-    res.json({
+
+    const supabaseService = new SupabaseService();
+    let changes;
+    try {
+      changes = await supabaseService.getUndeliveredChanges(id, {
+        taskId: taskId || null,
+        target: target,
+        sinceSyncId: since ? parseInt(since) : null
+      });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    if (!changes) {
+      return res.status(404).json({ success: false, error: 'Project not found', projectId: id });
+    }
+
+    res.json({ success: true, data: changes });
+
+  } catch (error) {
+    console.error('Error in /projects/:id/changes:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update per-project settings (currently the translation target language)
+app.patch('/projects/:id', requireScope('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { targetLanguage } = req.body;
+
+    if (targetLanguage !== null && (typeof targetLanguage !== 'string' || !/^[A-Za-z]{2}(-[A-Za-z]{2})?$/.test(targetLanguage))) {
+      return res.status(400).json({
+        success: false,
+        error: 'targetLanguage must be a language code like "EN", "DE" or "EN-GB" (or null to use the default)'
+      });
+    }
+
+    const project = await new SupabaseService().setProjectTargetLanguage(id, targetLanguage ? targetLanguage.toUpperCase() : null);
+    if (!project) {
+      return res.status(404).json({ success: false, error: 'Project not found', projectId: id });
+    }
+
+    res.json({ success: true, data: project });
+
+  } catch (error) {
+    console.error('Error in PATCH /projects/:id:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Queue translation of the project's untranslated comments (e.g. after a provider outage or a new budget month)
+app.post('/projects/:id/translate', requireScope('enqueue'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const pending = await new SupabaseService().getPendingTranslations(id);
+    if (!pending) {
+      return res.status(404).json({ success: false, error: 'Project not found', projectId: id });
+    }
+    if (pending.comments.length === 0) {
+      return res.json({ success: true, message: 'No comments waiting for translation', projectId: id });
+    }
+
+    const jobInfo = await addTranslationJob({ projectId: id, url: pending.markupUrl });
+    res.locals.auditJobId = jobInfo.jobId;
+
+    res.status(202).json({
       success: true,
-      data: status,
-      timestamp: new Date().toISOString()
+      message: `Translation of ${pending.comments.length} comments queued`,
+      job: jobInfo
     });
+
   } catch (error) {
-    console.error('Error fetching job status:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
+    console.error('Error in POST /projects/:id/translate:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Project glossary (terms translated consistently or kept as written)
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate a glossary term from a request body
+ * @param {object} term - { sourceTerm, targetTerm, sourceLang, targetLang, caseSensitive }
+ * @param {boolean} partial - true for PATCH (sourceTerm optional)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateGlossaryTerm(term, partial = false) {
+  const languagePattern = /^[A-Za-z]{2}(-[A-Za-z]{2})?$/;
+
+  if (!partial || term.sourceTerm !== undefined) {
+    if (typeof term.sourceTerm !== 'string' || term.sourceTerm.trim() === '') {
+      return 'sourceTerm must be a non-empty string';
+    }
+  }
+  if (term.targetTerm !== undefined && term.targetTerm !== null && typeof term.targetTerm !== 'string') {
+    return 'targetTerm must be a string (or null to keep the term as written)';
+  }
+  for (const field of ['sourceLang', 'targetLang']) {
+    if (term[field] !== undefined && term[field] !== null && (typeof term[field] !== 'string' || !languagePattern.test(term[field]))) {
+      return `${field} must be a language code like "EN", "DE" or "EN-GB" (or null for any language)`;
+    }
+  }
+  return null;
+}
+
+app.get('/projects/:id/glossary', requireScope('read'), async (req, res) => {
+  try {
+    const terms = await new SupabaseService().getProjectGlossary(req.params.id);
+    if (!terms) {
+      return res.status(404).json({ success: false, error: 'Project not found', projectId: req.params.id });
+    }
+
+    res.json({ success: true, count: terms.length, data: terms });
+
+  } catch (error) {
+    console.error('Error in GET /projects/:id/glossary:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/projects/:id/glossary', requireScope('admin'), async (req, res) => {
+  try {
+    const validationError = validateGlossaryTerm(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const { sourceTerm, targetTerm = null, sourceLang = null, targetLang = null, caseSensitive = false } = req.body;
+    const term = await new SupabaseService().addGlossaryTerm(req.params.id, {
+      sourceTerm: sourceTerm.trim(), targetTerm, sourceLang, targetLang, caseSensitive
     });
+    if (!term) {
+      return res.status(404).json({ success: false, error: 'Project not found', projectId: req.params.id });
+    }
+
+    res.status(201).json({ success: true, data: term });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    console.error('Error in POST /projects/:id/glossary:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// List delayed jobs (admin/debug)
-app.get('/queue/delayed', async (req, res) => {
+app.patch('/projects/:id/glossary/:termId', requireScope('admin'), async (req, res) => {
   try {
-    const jobs = await getJobs('delayed', 0, 100);
-    res.json({ success: true, count: jobs.length, data: jobs });
+    const { id, termId } = req.params;
+    if (!/^\d+$/.test(termId)) {
+      return res.status(400).json({ success: false, error: 'termId must be numeric' });
+    }
+
+    const validationError = validateGlossaryTerm(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const { sourceTerm, targetTerm, sourceLang, targetLang, caseSensitive } = req.body;
+    const term = await new SupabaseService().updateGlossaryTerm(id, parseInt(termId), {
+      sourceTerm: sourceTerm?.trim(), targetTerm, sourceLang, targetLang, caseSensitive
+    });
+    if (!term) {
+      return res.status(404).json({ success: false, error: 'Glossary term not found', projectId: id, termId });
+    }
+
+    res.json({ success: true, data: term });
+
   } catch (error) {
-    console.error('Error fetching delayed jobs:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    console.error('Error in PATCH /projects/:id/glossary/:termId:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Promote a delayed job to waiting (admin)
-app.post('/queue/promote/:jobId', async (req, res) => {
+app.delete('/projects/:id/glossary/:termId', requireScope('admin'), async (req, res) => {
   try {
-    const { jobId } = req.params;
-    const result = await promoteJob(jobId);
-    if (!result.success) return res.status(400).json(result);
-    res.json({ success: true, data: result });
+    const { id, termId } = req.params;
+    if (!/^\d+$/.test(termId)) {
+      return res.status(400).json({ success: false, error: 'termId must be numeric' });
+    }
+
+    const deleted = await new SupabaseService().deleteGlossaryTerm(id, parseInt(termId));
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Glossary term not found', projectId: id, termId });
+    }
+
+    res.json({ success: true, message: 'Glossary term deleted', termId });
+
   } catch (error) {
-    console.error('Error promoting job:', error);
+    console.error('Error in DELETE /projects/:id/glossary/:termId:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // ============================================================================
-// ROOT ENDPOINT & ERROR HANDLERS
+// PROJECT LINKS (explicit project ↔ external task mapping)
 // ============================================================================
 
-app.get('/', (req, res) => {
-  const docs = {
-    service: 'Markup.io Screenshot & Payload Extractor API',
-    version: '4.0.0 - Simplified',
-    endpoints: {
-      'GET /health': 'Health check with queue stats',
-      'POST /complete-payload': 'Queue scraping job (3-minute debounce)',
-      'GET /project-by-name?name=': 'Get project by partial name match',
-      'GET /queue/job/:jobId': 'Get job status and payload'
-    },
-    usage: {
-      'Submit scraping job': {
-        method: 'POST',
-        endpoint: '/complete-payload',
-        body: { url: 'https://app.markup.io/markup/YOUR_ID' },
-        response: 'Returns jobId and checkStatus URL'
-      },
-      'Get project by name': {
-        method: 'GET',
-        endpoint: '/project-by-name?name=partialName',
-        response: 'Returns project with threads and comments'
-      },
-      'Check job status': {
-        method: 'GET',
-        endpoint: '/queue/job/:jobId',
-        response: 'Returns job state and payload when completed'
-      }
-    },
-    features: [
-      'Queue-based processing with 3-minute debouncing',
-      'Automatic retries (3 attempts, 10-min delay)',
-      'German to English translation with rate limit handling',
-      'Sequential translation to avoid API overload',
-      'Normalized database storage'
-    ]
-  };
+const LINK_TARGET_PATTERN = /^[a-z0-9_-]{1,50}$/i;
 
-  res.json(docs);
+/**
+ * Validate a project link from a request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateProjectLink({ target, externalTaskId, externalTaskName }) {
+  if (target !== undefined && (typeof target !== 'string' || !LINK_TARGET_PATTERN.test(target))) {
+    return 'target must be a tracker name like "clickup" (letters, digits, - and _)';
+  }
+  if (typeof externalTaskId !== 'string' || !externalTaskId.trim() || externalTaskId.length > 200) {
+    return 'externalTaskId is required';
+  }
+  if (externalTaskName !== undefined && externalTaskName !== null && typeof externalTaskName !== 'string') {
+    return 'externalTaskName must be a string';
+  }
+  return null;
+}
+
+app.get('/projects/:id/links', requireScope('read'), async (req, res) => {
+  try {
+    const links = await new SupabaseService().getProjectLinks(req.params.id);
+    if (links === null) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+    res.json({ success: true, projectId: req.params.id, count: links.length, data: links });
+  } catch (error) {
+    console.error('Error in GET /projects/:id/links:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({
-    success: false,
-    error: 'Internal Server Error',
-    timestamp: new Date().toISOString()
-  });
+// Link a task to this project. Links made by hand are confirmed right away.
+app.post('/projects/:id/links', requireScope('admin'), async (req, res) => {
+  try {
+    const { target = 'clickup', externalTaskId, externalTaskName } = req.body || {};
+    const validationError = validateProjectLink({ target, externalTaskId, externalTaskName });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const supabaseService = new SupabaseService();
+    const markupUrl = await supabaseService.getProjectMarkupUrl(req.params.id);
+    if (!markupUrl) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    const link = await supabaseService.createProjectLink({
+      markupUrl,
+      target,
+      externalTaskId: externalTaskId.trim(),
+      externalTaskName,
+      source: 'manual',
+      confirmed: true
+    });
+    res.status(201).json({ success: true, data: link });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    console.error('Error in POST /projects/:id/links:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Not Found',
-    message: `Endpoint ${req.method} ${req.path} not found`,
-    timestamp: new Date().toISOString()
-  });
+// All links, e.g. ?confirmed=false for automatic links waiting for review, or ?target=clickup&externalTaskId=
+app.get('/project-links', requireScope('read'), async (req, res) => {
+  try {
+    const { target, externalTaskId, confirmed } = req.query;
+    if (confirmed !== undefined && !['true', 'false'].includes(confirmed)) {
+      return res.status(400).json({ success: false, error: 'confirmed must be true or false' });
+    }
+
+    const supabaseService = new SupabaseService();
+    if (externalTaskId) {
+      const link = await supabaseService.getProjectLinkByTask(target || 'clickup', externalTaskId);
+      return res.json({ success: true, count: link ? 1 : 0, data: link ? [link] : [] });
+    }
+
+    const links = await supabaseService.listProjectLinks({
+      target: target || null,
+      confirmed: confirmed === undefined ? null : confirmed === 'true',
+      limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500)
+    });
+    res.json({ success: true, count: links.length, data: links });
+  } catch (error) {
+    console.error('Error in GET /project-links:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📋 API Documentation: http://localhost:${PORT}/`);
-  console.log(`💚 Health check: http://localhost:${PORT}/health`);
+// Confirm a link ({ confirmed: true }) or point it at another project ({ projectId })
+app.patch('/project-links/:linkId', requireScope('admin'), async (req, res) => {
+  try {
+    const linkId = parseInt(req.params.linkId, 10);
+    if (!Number.isInteger(linkId) || String(linkId) !== req.params.linkId) {
+      return res.status(400).json({ success: false, error: 'linkId must be a number' });
+    }
+
+    const { confirmed, projectId, externalTaskName } = req.body || {};
+    if (confirmed === undefined && projectId === undefined && externalTaskName === undefined) {
+      return res.status(400).json({ success: false, error: 'Provide confirmed, projectId and/or externalTaskName' });
+    }
+    if (confirmed !== undefined && typeof confirmed !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'confirmed must be a boolean' });
+    }
+
+    const supabaseService = new SupabaseService();
+    const updates = { confirmed, externalTaskName };
+    if (projectId !== undefined) {
+      updates.markupUrl = await supabaseService.getProjectMarkupUrl(projectId);
+      if (!updates.markupUrl) {
+        return res.status(404).json({ success: false, error: 'Project not found' });
+      }
+      // Pointing a link somewhere else by hand is a confirmation
+      if (confirmed === undefined) updates.confirmed = true;
+    }
+
+    const link = await supabaseService.updateProjectLink(linkId, updates);
+    if (!link) {
+      return res.status(404).json({ success: false, error: 'Project link not found' });
+    }
+    res.json({ success: true, data: link });
+  } catch (error) {
+    console.error('Error in PATCH /project-links/:linkId:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/project-links/:linkId', requireScope('admin'), async (req, res) => {
+  try {
+    const linkId = parseInt(req.params.linkId, 10);
+    if (!Number.isInteger(linkId) || String(linkId) !== req.params.linkId) {
+      return res.status(400).json({ success: false, error: 'linkId must be a number' });
+    }
+
+    const deleted = await new SupabaseService().deleteProjectLink(linkId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Project link not found' });
+    }
+    res.json({ success: true, message: 'Project link removed' });
+  } catch (error) {
+    console.error('Error in DELETE /project-links/:linkId:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// PROJECT VERSIONS (snapshot of every saved scrape)
+// ============================================================================
+
+/**
+ * Parse a version number from a path or query parameter
+ * @returns {number|null} null if not a positive integer
+ */
+function parseVersionNumber(value) {
+  return /^[1-9]\d{0,8}$/.test(String(value)) ? parseInt(value, 10) : null;
+}
+
+app.get('/projects/:id/versions', requireScope('read'), async (req, res) => {
+  try {
+    const supabaseService = new SupabaseService();
+    const markupUrl = await supabaseService.getProjectMarkupUrl(req.params.id);
+    if (!markupUrl) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { versions, total } = await supabaseService.listProjectVersions(markupUrl, { limit, offset });
+    res.json({ success: true, projectId: req.params.id, total, limit, offset, data: versions });
+  } catch (error) {
+    console.error('Error in GET /projects/:id/versions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Compare two versions, e.g. ?from=3&to=5. `to` defaults to the latest version, `from` to the one before it.
+app.get('/projects/:id/versions/diff', requireScope('read'), async (req, res) => {
+  try {
+    const from = req.query.from === undefined ? null : parseVersionNumber(req.query.from);
+    const to = req.query.to === undefined ? null : parseVersionNumber(req.query.to);
+    if ((req.query.from !== undefined && from === null) || (req.query.to !== undefined && to === null)) {
+      return res.status(400).json({ success: false, error: 'from and to must be version numbers' });
+    }
+
+    const supabaseService = new SupabaseService();
+    const markupUrl = await supabaseService.getProjectMarkupUrl(req.params.id);
+    if (!markupUrl) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    const newer = await supabaseService.getProjectVersion(markupUrl, to);
+    if (!newer) {
+      return res.status(404).json({ success: false, error: to ? `Version ${to} not found` : 'Project has no versions yet' });
+    }
+
+    const fromVersion = from ?? newer.version - 1;
+    if (fromVersion < 1) {
+      return res.status(400).json({ success: false, error: 'Version 1 has no previous version to compare with' });
+    }
+    const older = await supabaseService.getProjectVersion(markupUrl, fromVersion);
+    if (!older) {
+      return res.status(404).json({ success: false, error: `Version ${fromVersion} not found` });
+    }
+
+    res.json({ success: true, projectId: req.params.id, data: supabaseService.diffProjectVersions(older, newer) });
+  } catch (error) {
+    console.error('Error in GET /projects/:id/versions/diff:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/projects/:id/versions/:version', requireScope('read'), async (req, res) => {
+  try {
+    const versionNumber = parseVersionNumber(req.params.version);
+    if (versionNumber === null) {
+      return res.status(400).json({ success: false, error: 'version must be a version number' });
+    }
+
+    const supabaseService = new SupabaseService();
+    const markupUrl = await supabaseService.getProjectMarkupUrl(req.params.id);
+    if (!markupUrl) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    const version = await supabaseService.getProjectVersion(markupUrl, versionNumber);
+    if (!version) {
+      return res.status(404).json({ success: false, error: `Version ${versionNumber} not found` });
+    }
+    res.json({ success: true, projectId: req.params.id, data: version });
+  } catch (error) {
+    console.error('Error in GET /projects/:id/versions/:version:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Trackers the sync ledger records deliveries for
+const SYNC_TARGETS = ['clickup'];
+
+// Record that comments/screenshots were delivered to an external task (for consumers posting to the task themselves)
+app.post('/projects/:id/syncs', requireScope('enqueue'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { taskId, target = 'clickup', commentIds = [], imageHashes = [] } = req.body;
+
+    if (!taskId) {
+      return res.status(400).json({ success: false, error: 'Missing required parameter: taskId' });
+    }
+    if (!SYNC_TARGETS.includes(target)) {
+      return res.status(400).json({ success: false, error: `target must be one of: ${SYNC_TARGETS.join(', ')}` });
+    }
+    if (!Array.isArray(commentIds) || !Array.isArray(imageHashes)) {
+      return res.status(400).json({ success: false, error: 'commentIds and imageHashes must be arrays' });
+    }
+
+    const syncRun = await new SupabaseService().recordSyncRun(id, { taskId, target, commentIds, imageHashes });
+
+    res.status(201).json({
+      success: true,
+      syncId: syncRun.id,
+      data: syncRun
+    });
+
+  } catch (error) {
+    console.error('Error in /projects/:id/syncs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get job status by ID (for monitoring queue jobs)
+app.get('/queue/job/:jobId', requireScope('read'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const status = await getJobStatus(jobId);
+    
+    if (!status.success) {
+      return res.status(404).json(status);
+    }
+    
+    res.json({
+      success: true,
+      data: status,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching job status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delivery attempts of the result callbacks registered on a job
+app.get('/queue/job/:jobId/callbacks', requireScope('read'), async (req, res) => {
+  try {
+    const deliveries = await new SupabaseService().getCallbackDeliveries(req.params.jobId);
+    res.json({ success: true, jobId: req.params.jobId, count: deliveries.length, data: deliveries });
+  } catch (error) {
+    console.error('Error in /queue/job/:jobId/callbacks:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Stream a job's progress as Server-Sent Events until it completes or fails
+const SSE_HEARTBEAT_MS = 15000;
+
+app.get('/queue/job/:jobId/events', requireScope('read', { allowQueryKey: true }), async (req, res) => {
+  const { jobId } = req.params;
+  let unsubscribe = null;
+  let heartbeat = null;
+
+  const cleanup = () => {
+    if (unsubscribe) unsubscribe();
+    if (heartbeat) clearInterval(heartbeat);
+    unsubscribe = null;
+    heartbeat = null;
+  };
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify({ jobId, ...data })}\n\n`);
+  };
+
+  try {
+    const status = await getJobStatus(jobId);
+    const localSchedule = status.success ? null : getLocalSchedule(jobId);
+
+    if (!status.success && !localSchedule) {
+      return res.status(404).json(status);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    if (status.success) {
+      send('state', { state: status.state, progress: status.progress, attemptsMade: status.attemptsMade });
+    } else {
+      send('state', { state: 'scheduled', willProcessAt: localSchedule.willProcessAt });
+    }
+
+    if (status.state === 'completed' || status.state === 'failed') {
+      send(status.state, status.state === 'completed'
+        ? { returnvalue: status.returnvalue }
+        : { failedReason: status.failedReason });
+      return res.end();
+    }
+
+    unsubscribe = subscribeToJobEvents(jobId, (event, args) => {
+      switch (event) {
+        case 'progress':
+          send('progress', typeof args.data === 'object' ? args.data : { percent: args.data });
+          break;
+        case 'completed':
+          send('completed', { returnvalue: args.returnvalue });
+          break;
+        case 'failed':
+          // Attempts that will be retried are followed by 'delayed'; only the final failure ends the stream
+          send('failed', { failedReason: args.failedReason });
+          getJobStatus(jobId)
+            .then(latest => {
+              if (!latest.success || latest.state === 'failed') {
+                cleanup();
+                res.end();
+              }
+            })
+            .catch(() => {});
+          break;
+        default:
+          send('state', { state: event });
+      }
+
+      if (event === 'completed' || event === 'removed') {
+        cleanup();
+        res.end();
+      }
+    });
+
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+    req.on('close', cleanup);
+  } catch (error) {
+    cleanup();
+    console.error('Error in /queue/job/:jobId/events:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ success: false, error: error.message });
+    }
+    send('error', { error: error.message });
+    res.end();
+  }
+});
+
+// ============================================================================
+// QUEUE ADMIN
+// ============================================================================
+
+const MAX_JOBS_PAGE_SIZE = 100;
+const MAX_BULK_JOBS = 500;
+
+// ?queue= selects markup-scraper (default), clickup-sync, comment-translation or job-callbacks
+function getAdminQueueName(req, res) {
+  const queueName = req.query.queue || req.body?.queue || undefined;
+  if (!getManagedQueue(queueName)) {
+    res.status(400).json({ success: false, error: `Unknown queue "${queueName}"` });
+    return null;
+  }
+  return queueName;
+}
+
+app.get('/queue/stats', requireScope('admin'), async (req, res) => {
+  try {
+    const queueName = getAdminQueueName(req, res);
+    if (queueName === null) return;
+
+    const stats = await getQueueStats(queueName);
+    res.json({ success: true, data: stats, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Error in /queue/stats:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List jobs in a state, paginated with ?start=0&limit=20 (or the older ?start=0&end=19)
+app.get('/queue/jobs/:state', requireScope('admin'), async (req, res) => {
+  try {
+    const { state } = req.params;
+    if (!JOB_STATES.includes(state)) {
+      return res.status(400).json({ success: false, error: `state must be one of: ${JOB_STATES.join(', ')}` });
+    }
+
+    const queueName = getAdminQueueName(req, res);
+    if (queueName === null) return;
+
+    const start = Math.max(parseInt(req.query.start, 10) || 0, 0);
+    const requestedLimit = req.query.end !== undefined
+      ? parseInt(req.query.end, 10) - start + 1
+      : parseInt(req.query.limit, 10);
+    const limit = Math.min(Math.max(requestedLimit || 20, 1), MAX_JOBS_PAGE_SIZE);
+
+    const { jobs, ...pagination } = await getJobsPage(state, { start, limit, queueName });
+    res.json({ success: true, state, count: jobs.length, ...pagination, data: jobs });
+  } catch (error) {
+    console.error('Error in /queue/jobs/:state:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Retry several jobs: { "jobIds": [...] }, or every failed job: { "all": true }
+app.post('/queue/jobs/retry', requireScope('admin'), async (req, res) => {
+  try {
+    const queueName = getAdminQueueName(req, res);
+    if (queueName === null) return;
+
+    const { jobIds, all } = req.body || {};
+    if (all === true) {
+      const result = await retryAllJobs('failed', queueName);
+      return res.json({ success: true, data: result });
+    }
+
+    if (!Array.isArray(jobIds) || jobIds.length === 0 || jobIds.length > MAX_BULK_JOBS) {
+      return res.status(400).json({ success: false, error: `Provide "all": true or 1-${MAX_BULK_JOBS} jobIds` });
+    }
+
+    const result = await bulkJobAction('retry', jobIds.map(String), queueName);
+    res.json({ success: result.failed === 0, data: result });
+  } catch (error) {
+    console.error('Error in /queue/jobs/retry:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Remove several jobs: { "jobIds": [...] }
+app.post('/queue/jobs/remove', requireScope('admin'), async (req, res) => {
+  try {
+    const queueName = getAdminQueueName(req, res);
+    if (queueName === null) return;
+
+    const { jobIds } = req.body || {};
+    if (!Array.isArray(jobIds) || jobIds.length === 0 || jobIds.length > MAX_BULK_JOBS) {
+      return res.status(400).json({ success: false, error: `Provide 1-${MAX_BULK_JOBS} jobIds` });
+    }
+
+    const result = await bulkJobAction('remove', jobIds.map(String), queueName);
+    res.json({ success: result.failed === 0, data: result });
+  } catch (error) {
+    console.error('Error in /queue/jobs/remove:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Failure reason and stack traces of a job
+app.get('/queue/job/:jobId/failure', requireScope('admin'), async (req, res) => {
+  try {
+    const queueName = getAdminQueueName(req, res);
+    if (queueName === null) return;
+
+    const failure = await getJobFailure(req.params.jobId, queueName);
+    if (!failure.success) return res.status(404).json(failure);
+    res.json({ success: true, data: failure });
+  } catch (error) {
+    console.error('Error in /queue/job/:jobId/failure:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/queue/job/:jobId/retry', requireScope('admin'), async (req, res) => {
+  try {
+    const queueName = getAdminQueueName(req, res);
+    if (queueName === null) return;
+
+    const result = await retryJob(req.params.jobId, queueName);
+    if (!result.success) {
+      return res.status(result.error === 'Job not found' ? 404 : 409).json(result);
+    }
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/queue/job/:jobId', requireScope('admin'), async (req, res) => {
+  try {
+    const queueName = getAdminQueueName(req, res);
+    if (queueName === null) return;
+
+    const result = await removeJob(req.params.jobId, queueName);
+    if (!result.success) {
+      return res.status(result.error === 'Job not found' ? 404 : 409).json(result);
+    }
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error removing job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List delayed jobs (admin/debug)
+app.get('/queue/delayed', requireScope('admin'), async (req, res) => {
+  try {
+    const jobs = await getJobs('delayed', 0, 100);
+    res.json({ success: true, count: jobs.length, data: jobs });
+  } catch (error) {
+    console.error('Error fetching delayed jobs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Promote a delayed job to waiting (admin)
+app.post('/queue/promote/:jobId', requireScope('admin'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const result = await promoteJob(jobId);
+    if (!result.success) return res.status(400).json(result);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error promoting job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/queue/pause', requireScope('admin'), async (req, res) => {
+  try {
+    const queueName = getAdminQueueName(req, res);
+    if (queueName === null) return;
+
+    res.json(await pauseQueue(queueName));
+  } catch (error) {
+    console.error('Error pausing queue:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/queue/resume', requireScope('admin'), async (req, res) => {
+  try {
+    const queueName = getAdminQueueName(req, res);
+    if (queueName === null) return;
+
+    res.json(await resumeQueue(queueName));
+  } catch (error) {
+    console.error('Error resuming queue:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Remove finished jobs: { "grace": ms, "failedGrace": ms, "states": ["completed", "failed"], "limit": 1000 }
+app.post('/queue/clean', requireScope('admin'), async (req, res) => {
+  try {
+    const queueName = getAdminQueueName(req, res);
+    if (queueName === null) return;
+
+    const { grace, failedGrace, states, limit } = req.body || {};
+    const isDuration = value => value === undefined || (Number.isInteger(value) && value >= 0);
+    if (!isDuration(grace) || !isDuration(failedGrace) || !isDuration(limit)) {
+      return res.status(400).json({ success: false, error: 'grace, failedGrace and limit must be non-negative integers' });
+    }
+    if (states !== undefined && (!Array.isArray(states) || states.length === 0
+      || !states.every(state => ['completed', 'failed', 'waiting', 'delayed', 'paused'].includes(state)))) {
+      return res.status(400).json({ success: false, error: 'states must be a list of completed, failed, waiting, delayed or paused' });
+    }
+
+    const result = await cleanQueue(grace, {
+      ...(states && { states }),
+      ...(failedGrace !== undefined && { failedGrace }),
+      ...(limit !== undefined && { limit }),
+      queueName
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Error cleaning queue:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// API KEYS
+// ============================================================================
+
+// Issue a key. The plaintext key is only returned in this response.
+app.post('/api-keys', requireScope('admin'), async (req, res) => {
+  try {
+    const { name, scopes = ['read'], rateLimitPerMinute, expiresAt } = req.body || {};
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ success: false, error: 'name is required' });
+    }
+    const scopeError = validateScopes(scopes);
+    if (scopeError) {
+      return res.status(400).json({ success: false, error: scopeError });
+    }
+    if (rateLimitPerMinute !== undefined && rateLimitPerMinute !== null
+      && (!Number.isInteger(rateLimitPerMinute) || rateLimitPerMinute < 0)) {
+      return res.status(400).json({ success: false, error: 'rateLimitPerMinute must be a non-negative integer (0 = unlimited)' });
+    }
+    if (expiresAt !== undefined && expiresAt !== null && Number.isNaN(Date.parse(expiresAt))) {
+      return res.status(400).json({ success: false, error: 'expiresAt must be an ISO date' });
+    }
+
+    const { key, keyPrefix, keyHash } = generateApiKey();
+    const apiKey = await new SupabaseService().createApiKey({
+      name: name.trim(),
+      keyPrefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      rateLimitPerMinute,
+      expiresAt
+    });
+
+    console.log(`🔑 API key "${apiKey.name}" (${keyPrefix}) created with scopes: ${apiKey.scopes.join(', ')}`);
+    res.status(201).json({
+      success: true,
+      data: { ...apiKey, key },
+      message: 'Store this key now - it cannot be shown again'
+    });
+  } catch (error) {
+    console.error('Error in POST /api-keys:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api-keys', requireScope('admin'), async (req, res) => {
+  try {
+    const apiKeys = await new SupabaseService().listApiKeys();
+    res.json({ success: true, count: apiKeys.length, data: apiKeys });
+  } catch (error) {
+    console.error('Error in GET /api-keys:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Audit trail of state-changing requests, filterable by ?keyId= and ?jobId=
+app.get('/api-keys/audit', requireScope('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const entries = await new SupabaseService().getApiAuditLog({
+      apiKeyId: req.query.keyId || null,
+      jobId: req.query.jobId || null,
+      limit
+    });
+    res.json({ success: true, count: entries.length, data: entries });
+  } catch (error) {
+    console.error('Error in GET /api-keys/audit:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api-keys/:keyId', requireScope('admin'), async (req, res) => {
+  try {
+    const revoked = await new SupabaseService().revokeApiKey(req.params.keyId);
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'API key not found or already revoked' });
+    }
+    console.log(`🔒 API key ${req.params.keyId} revoked`);
+    res.json({ success: true, message: 'API key revoked (takes effect within a minute)' });
+  } catch (error) {
+    console.error('Error in DELETE /api-keys/:keyId:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// DASHBOARD (server-rendered HTML; browsers log in with Basic auth, API key as password)
+// ============================================================================
+
+const DASHBOARD_REALM = 'Markup dashboard';
+const DASHBOARD_PAGE_SIZE = 25;
+
+// Browsers send Basic credentials automatically, so form posts must come from the dashboard itself
+function isSameOriginRequest(req) {
+  const source = req.get('Origin') || req.get('Referer');
+  if (!source) return false;
+  try {
+    return new URL(source).host === req.get('Host');
+  } catch {
+    return false;
+  }
+}
+
+app.get('/dashboard', requireScope('read', { realm: DASHBOARD_REALM }), async (req, res) => {
+  try {
+    const search = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const { projects, total } = await new SupabaseService().listProjects({
+      search: search || null,
+      limit: DASHBOARD_PAGE_SIZE,
+      offset: (page - 1) * DASHBOARD_PAGE_SIZE
+    });
+
+    res.type('html').send(renderProjectList({ projects, total, page, pageSize: DASHBOARD_PAGE_SIZE, search }));
+  } catch (error) {
+    console.error('Error in /dashboard:', error);
+    res.status(500).type('html').send(renderError(500, error.message));
+  }
+});
+
+app.get('/dashboard/projects/:id', requireScope('read', { realm: DASHBOARD_REALM }), async (req, res) => {
+  try {
+    const supabaseService = new SupabaseService();
+    const project = await supabaseService.getProjectById(req.params.id);
+    if (!project) {
+      return res.status(404).type('html').send(renderError(404, 'Project not found'));
+    }
+
+    const jobId = getScrapeJobId(project.url);
+    const [scrapeStatus, jobStatus] = await Promise.all([
+      supabaseService.getScrapeStatus(project.url),
+      getJobStatus(jobId).catch(() => ({ success: false })) // Redis down: show the page without queue state
+    ]);
+    const localSchedule = getLocalSchedule(jobId);
+    const job = jobStatus.success
+      ? { state: jobStatus.state, progress: jobStatus.progress }
+      : (localSchedule ? { state: 'scheduled', willProcessAt: localSchedule.willProcessAt } : null);
+
+    res.type('html').send(renderProjectDetail({
+      project,
+      scrapeStatus,
+      job,
+      notice: req.query.queued ? 'Re-scrape queued. Refresh this page to follow its progress.' : null
+    }));
+  } catch (error) {
+    console.error('Error in /dashboard/projects/:id:', error);
+    res.status(500).type('html').send(renderError(500, error.message));
+  }
+});
+
+app.post('/dashboard/projects/:id/rescrape', requireScope('enqueue', { realm: DASHBOARD_REALM }), async (req, res) => {
+  try {
+    if (!isSameOriginRequest(req)) {
+      return res.status(403).type('html').send(renderError(403, 'Re-scrapes can only be triggered from the dashboard'));
+    }
+
+    const project = await new SupabaseService().getProjectById(req.params.id);
+    if (!project) {
+      return res.status(404).type('html').send(renderError(404, 'Project not found'));
+    }
+
+    const jobInfo = await addScrapingJob(project.url, {
+      screenshotQuality: 90,
+      debugMode: process.env.SCRAPER_DEBUG_MODE === 'true' || false
+    });
+    res.locals.auditJobId = jobInfo.jobId;
+    console.log(`🖥️  Dashboard re-scrape queued for "${project.projectName}" (${jobInfo.jobId})`);
+
+    res.redirect(303, `/dashboard/projects/${encodeURIComponent(project.id)}?queued=1`);
+  } catch (error) {
+    console.error('Error in /dashboard/projects/:id/rescrape:', error);
+    res.status(500).type('html').send(renderError(500, error.message));
+  }
+});
+
+// ============================================================================
+// TRANSLATION
+// ============================================================================
+
+// Characters sent to the translation provider this month vs. the configured budget
+app.get('/translation/usage', requireScope('read'), async (req, res) => {
+  try {
+    const usage = await getUsageReport(getTranslationProvider());
+    res.json({ success: true, data: usage });
+  } catch (error) {
+    console.error('Error in /translation/usage:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// WEBHOOKS
+// ============================================================================
+
+// ClickUp webhook: sync Markup feedback when a task moves "Waiting for Client" → "In Review"
+app.post('/webhooks/clickup', async (req, res) => {
+  try {
+    const secret = process.env.CLICKUP_WEBHOOK_SECRET;
+    if (!secret) {
+      console.error('❌ CLICKUP_WEBHOOK_SECRET not set - rejecting ClickUp webhook');
+      return res.status(500).json({ success: false, error: 'ClickUp webhook is not configured' });
+    }
+
+    if (!verifyHmacSignature(req.rawBody, req.get('X-Signature'), secret)) {
+      return res.status(401).json({ success: false, error: 'Invalid webhook signature' });
+    }
+
+    const { task_id: taskId } = req.body;
+    const statusChange = getClickUpStatusChange(req.body);
+    const fromStatus = normalizeStatus(process.env.CLICKUP_TRIGGER_FROM_STATUS || 'Waiting for Client');
+    const toStatus = normalizeStatus(process.env.CLICKUP_TRIGGER_TO_STATUS || 'In Review');
+
+    // Always acknowledge events we don't act on, otherwise ClickUp keeps redelivering them
+    if (!statusChange || !taskId) {
+      return res.json({ success: true, ignored: true, reason: 'Not a task status change' });
+    }
+    if (statusChange.from !== fromStatus || statusChange.to !== toStatus) {
+      return res.json({
+        success: true,
+        ignored: true,
+        reason: `Status change "${statusChange.from}" → "${statusChange.to}" does not trigger a sync`
+      });
+    }
+
+    const task = await new ClickUpService().getTask(taskId);
+    console.log(`📥 ClickUp task "${task.name}" (${taskId}) moved to "${statusChange.to}"`);
+
+    // A confirmed project link wins; otherwise the task name is matched (and remembered as an unconfirmed link)
+    const resolution = await resolveProjectForTask({
+      target: 'clickup',
+      externalTaskId: taskId,
+      name: task.name,
+      strategy: process.env.CLICKUP_PROJECT_MATCH_STRATEGY || DEFAULT_STRATEGY
+    });
+    if (resolution.status === 'not_found') {
+      console.warn(`⚠️  No Markup project matches ClickUp task "${task.name}"`);
+      return res.json({
+        success: true,
+        ignored: true,
+        reason: 'No project found matching the task name',
+        taskName: task.name
+      });
+    }
+
+    // Never guess between clients: tell the task's assignees instead (acknowledged, so no redelivery)
+    if (resolution.status === 'ambiguous') {
+      const names = resolution.candidates.map(candidate => `"${candidate.projectName}"`).join(', ');
+      console.error(`❌ ClickUp task "${task.name}" matches several Markup projects equally well: ${names}`);
+      try {
+        await new ClickUpService().postComment(taskId,
+          `⚠️ Markup feedback was not synced: this task name matches several Markup projects (${names}). ` +
+          'Rename the task to match exactly one project, then move it to review again.');
+      } catch (commentError) {
+        console.error('❌ Could not post ambiguity notice to ClickUp:', commentError.message);
+      }
+      return res.json({
+        success: true,
+        ignored: true,
+        reason: 'Several projects match the task name equally well',
+        taskName: task.name,
+        candidates: resolution.candidates
+      });
+    }
+
+    // Only a loose match (e.g. a similar spelling): suggest it, but let someone link the task by hand
+    if (resolution.status === 'needs_confirmation') {
+      const suggestions = resolution.candidates.slice(0, 3)
+        .map(candidate => `"${candidate.projectName}" (${candidate.url})`).join(', ');
+      console.warn(`⚠️  ClickUp task "${task.name}" only loosely matches: ${suggestions}`);
+      try {
+        await new ClickUpService().postComment(taskId,
+          `⚠️ Markup feedback was not synced: no Markup project matches this task name closely enough. ` +
+          `Closest: ${suggestions}. Link the right project to this task (POST /projects/:id/links), ` +
+          'then move it to review again.');
+      } catch (commentError) {
+        console.error('❌ Could not post match notice to ClickUp:', commentError.message);
+      }
+      return res.json({
+        success: true,
+        ignored: true,
+        reason: 'No project matches the task name closely enough',
+        taskName: task.name,
+        candidates: resolution.candidates
+      });
+    }
+
+    const project = resolution.project;
+    if (resolution.status === 'linked') {
+      console.log(`🔗 Task ${taskId} is linked to "${project.projectName}"${resolution.link.confirmed ? '' : ' (unconfirmed link)'}`);
+    } else {
+      console.log(`🔗 Matched "${task.name}" to "${project.projectName}" (${resolution.match.matchType}, score ${resolution.match.score})`);
+    }
+
+    const jobInfo = await addClickUpSyncJob({
+      taskId: taskId,
+      taskName: task.name,
+      projectId: project.id,
+      url: project.url,
+      eventId: statusChange.id
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Syncing "${project.projectName}" to ClickUp task`,
+      job: jobInfo,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in /webhooks/clickup:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Markup.io webhook: queue a re-scrape whenever a comment is created
+// Bursts of events for one project are coalesced by the 3-minute debounce in addScrapingJob
+app.post('/webhooks/markup', async (req, res) => {
+  try {
+    const secret = process.env.MARKUP_WEBHOOK_SECRET;
+    if (!secret) {
+      console.error('❌ MARKUP_WEBHOOK_SECRET not set - rejecting Markup webhook');
+      return res.status(500).json({ success: false, error: 'Markup webhook is not configured' });
+    }
+
+    // Markup webhooks can't always send custom headers, so the secret may also come as ?secret=
+    const providedSecret = req.get('X-Webhook-Secret') || req.query.secret;
+    if (!safeCompare(providedSecret, secret)) {
+      return res.status(401).json({ success: false, error: 'Invalid webhook secret' });
+    }
+
+    const url = extractMarkupUrl(req.body);
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        error: 'Could not find a Markup URL or ID in the webhook payload'
+      });
+    }
+
+    const event = req.body.event || req.body.type || 'unknown';
+    console.log(`📥 Markup webhook "${event}" for: ${url}`);
+
+    const jobInfo = await addScrapingJob(url, {
+      screenshotQuality: 90,
+      debugMode: process.env.SCRAPER_DEBUG_MODE === 'true' || false
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Scrape queued. Further events for this project within 3 minutes reset the timer.',
+      event: event,
+      job: jobInfo,
+      checkStatus: `/queue/job/${jobInfo.jobId}`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in /webhooks/markup:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ============================================================================
+// ROOT ENDPOINT & ERROR HANDLERS
+// ============================================================================
+
+app.get('/', (req, res) => {
+  const docs = {
+    service: 'Markup.io Screenshot & Payload Extractor API',
+    version: '4.0.0 - Simplified',
+    authentication: API_AUTH_ENABLED
+      ? `API key as "Authorization: Bearer <key>" or X-API-Key. Scopes: ${SCOPES.join(', ')} (admin implies all). /health, / and webhooks are public.`
+      : 'Disabled (API_AUTH_ENABLED=false)',
+    endpoints: {
+      'GET /health': 'Health check with queue stats and translation cache hit/miss counters',
+      'POST /complete-payload': 'Queue scraping job (3-minute debounce)',
+      'GET /project-by-name?name=&strategy=': 'Get the best-matching project (strategy: exact, prefix, contains (default), substring, fuzzy); 409 with candidates when ambiguous or only loosely matching',
+      'GET /search?q=': 'Full-text search across all comments (filters: projectId, user, from, to, hasAttachments; page, pageSize)',
+      'GET /queue/job/:jobId': 'Get job status and payload',
+      'GET /queue/job/:jobId/callbacks': 'Delivery log of the job\'s result callbacks',
+      'GET /queue/job/:jobId/events': 'Server-Sent Events stream of job progress stages',
+      'GET /queue/stats': 'Admin: job counts per state (?queue= selects the queue)',
+      'GET /queue/jobs/:state?start=0&limit=20': 'Admin: paginated jobs in any state',
+      'GET /queue/job/:jobId/failure': 'Admin: failure reason and stack traces of a job',
+      'POST /queue/job/:jobId/retry': 'Admin: retry a failed job',
+      'DELETE /queue/job/:jobId': 'Admin: remove a job',
+      'POST /queue/jobs/retry': 'Admin: retry jobs by ID ({ jobIds }) or all failed jobs ({ all: true })',
+      'POST /queue/jobs/remove': 'Admin: remove jobs by ID ({ jobIds })',
+      'POST /queue/pause': 'Admin: pause a queue',
+      'POST /queue/resume': 'Admin: resume a queue',
+      'POST /queue/clean': 'Admin: remove finished jobs ({ grace, failedGrace, states, limit })',
+      'POST /api-keys': 'Admin: issue an API key ({ name, scopes, rateLimitPerMinute, expiresAt })',
+      'GET /api-keys': 'Admin: list API keys (without the keys themselves)',
+      'DELETE /api-keys/:keyId': 'Admin: revoke an API key',
+      'GET /api-keys/audit?keyId=&jobId=': 'Admin: which key made which request and queued which job',
+      'GET /projects/:id/changes?since=<syncId>': 'Get comments/screenshots not yet delivered to a task',
+      'POST /projects/:id/syncs': 'Record delivered comments/screenshots in the sync ledger ({ taskId, target: clickup, commentIds, imageHashes })',
+      'PATCH /projects/:id': 'Update project settings ({ targetLanguage })',
+      'POST /projects/:id/translate': 'Queue translation of comments saved untranslated',
+      'GET /projects/:id/glossary': 'List the project\'s translation glossary',
+      'POST /projects/:id/glossary': 'Add a glossary term ({ sourceTerm, targetTerm, sourceLang, targetLang, caseSensitive })',
+      'PATCH /projects/:id/glossary/:termId': 'Update a glossary term',
+      'DELETE /projects/:id/glossary/:termId': 'Remove a glossary term',
+      'GET /projects/:id/links': 'External tasks linked to the project',
+      'POST /projects/:id/links': 'Link an external task ({ externalTaskId, target, externalTaskName })',
+      'GET /project-links?confirmed=false': 'All project links (filters: target, externalTaskId, confirmed)',
+      'PATCH /project-links/:linkId': 'Confirm a link or point it at another project ({ confirmed, projectId })',
+      'DELETE /project-links/:linkId': 'Remove a project link',
+      'GET /projects/:id/versions': 'Saved scrapes of the project, newest first (limit, offset)',
+      'GET /projects/:id/versions/:version': 'Threads, comments and screenshots as of one version',
+      'GET /projects/:id/versions/diff?from=&to=': 'New/removed threads and new/edited/removed comments between two versions',
+      'GET /translation/usage': 'Translation characters used this month and remaining budget',
+      'GET /dashboard': 'HTML dashboard: projects, screenshots, comments and re-scrape (Basic auth, API key as password)',
+      'POST /webhooks/clickup': 'ClickUp webhook: sync feedback to task on status change',
+      'POST /webhooks/markup': 'Markup.io webhook: queue scrape on new comment (3-minute debounce)'
+    },
+    usage: {
+      'Submit scraping job': {
+        method: 'POST',
+        endpoint: '/complete-payload',
+        body: { url: 'https://app.markup.io/markup/YOUR_ID' },
+        response: 'Returns jobId and checkStatus URL'
+      },
+      'Submit scraping job with result callback': {
+        method: 'POST',
+        endpoint: '/complete-payload',
+        body: { url: 'https://app.markup.io/markup/YOUR_ID', callbackUrl: 'https://example.com/hook', callbackSecret: 'optional' },
+        response: 'Job result is POSTed to callbackUrl (public hosts only, signed in X-Signature when a secret is given)'
+      },
+      'Search comments': {
+        method: 'GET',
+        endpoint: '/search?q="bigger logo" -footer&hasAttachments=true&page=1',
+        response: 'Ranked comments with project/thread context and <mark>-highlighted snippets'
+      },
+      'Get project by name': {
+        method: 'GET',
+        endpoint: '/project-by-name?name=partialName&strategy=contains',
+        response: 'Returns the project with threads and comments, its match score and the other candidates (409 when ambiguous or only loosely matching)'
+      },
+      'Check job status': {
+        method: 'GET',
+        endpoint: '/queue/job/:jobId',
+        response: 'Returns job state and payload when completed'
+      },
+      'Queue admin': {
+        headers: { Authorization: 'Bearer <admin API key or ADMIN_API_TOKEN>' },
+        endpoint: '/queue/jobs/failed?queue=markup-scraper&start=0&limit=20',
+        response: 'Returns 401 without a key, 403 without the admin scope'
+      },
+      'Issue an API key': {
+        method: 'POST',
+        endpoint: '/api-keys',
+        body: { name: 'client-portal', scopes: ['read', 'enqueue'], rateLimitPerMinute: 120 },
+        response: 'Returns the key once; only its hash is stored'
+      }
+    },
+    features: [
+      'Queue-based processing with 3-minute debouncing',
+      'Automatic retries (3 attempts, 10-min delay)',
+      'Translation with source language detection and per-project target language',
+      'Batched, cached translation in a separate queue stage',
+      'Result callbacks with retries and a delivery log',
+      'Token-protected queue admin API',
+      'Hashed API keys with scopes, per-key rate limits and an audit trail',
+      'Web dashboard with screenshots, comments and one-click re-scrape',
+      'Normalized database storage'
+    ]
+  };
+
+  res.json(docs);
+});
+
+app.use((err, req, res, next) => {
+  console.error('Unhandled error:', err);
+  res.status(500).json({
+    success: false,
+    error: 'Internal Server Error',
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.use((req, res) => {
+  res.status(404).json({
+    success: false,
+    error: 'Not Found',
+    message: `Endpoint ${req.method} ${req.path} not found`,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🚀 Server running on port ${PORT}`);
+  console.log(`📋 API Documentation: http://localhost:${PORT}/`);
+  console.log(`💚 Health check: http://localhost:${PORT}/health`);
+  console.log(`🖥️  Dashboard: http://localhost:${PORT}/dashboard`);
+  if (!API_AUTH_ENABLED) {
+    console.warn('⚠️  API_AUTH_ENABLED=false - every endpoint is reachable without an API key');
+  }
   console.log('');
   console.log('✅ ACTIVE ENDPOINTS:');
   console.log(`   POST /complete-payload - Queue scraping job`);
   console.log(`   GET  /project-by-name?name= - Get project by name`);
   console.log(`   GET  /queue/job/:jobId - Check job status`);
+  console.log(`   GET  /projects/:id/changes - Undelivered comments since a sync`);
+  console.log(`   POST /webhooks/clickup - ClickUp status change webhook`);
+  console.log(`   POST /webhooks/markup - Markup.io comment webhook`);
   console.log('');
   console.log('✅ FEATURES:');
   console.log('   • Queue-based processing (3-minute debouncing)');
-  console.log('   • German → English translation');
+  console.log('   • Translation (auto-detected source → project target language)');
   console.log('   • Rate limit handling (auto-retry)');
   console.log('   • Sequential processing (1 job at a time)');
 });
@@ -1,7 +1,11 @@
 const { createClient } = require('@supabase/supabase-js');
+const crypto = require('crypto');
 const path = require('path');
 require('dotenv').config();
 
+// Saved versions kept per Markup URL; older ones are deleted with the screenshots only they showed
+const VERSION_RETENTION = parseInt(process.env.PROJECT_VERSION_RETENTION ?? '20') || 0; // 0 = keep every version
+
 class SupabaseService {
   constructor() {
     this.supabaseUrl = process.env.SUPABASE_URL;
@@ -73,6 +77,38 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Leave out screenshots that a saved project version still shows, so version snapshots
+   * never point at deleted files (they are deleted when their last version is pruned, see
+   * pruneProjectVersions). Without the project_versions table (migration 015) every path may
+   * be deleted; if the lookup fails otherwise, nothing is.
+   * @param {string} markupUrl
+   * @param {Array<string>} imagePaths - Screenshots no longer used by the current scrape
+   * @returns {Promise<Array<string>>} The paths that can be deleted
+   */
+  async filterUnversionedImages(markupUrl, imagePaths) {
+    if (imagePaths.length === 0) return [];
+
+    const { data, error } = await this.supabase
+      .from('project_versions')
+      .select('image_paths')
+      .eq('markup_url', markupUrl)
+      .overlaps('image_paths', imagePaths);
+
+    if (error) {
+      if (['42P01', 'PGRST205'].includes(error.code)) return imagePaths; // No versions table
+      console.warn(`⚠️  Could not check project versions, keeping old screenshots: ${error.message}`);
+      return [];
+    }
+
+    const versioned = new Set((data || []).flatMap(row => row.image_paths || []));
+    const deletable = imagePaths.filter(imagePath => !versioned.has(imagePath));
+    if (deletable.length < imagePaths.length) {
+      console.log(`🗂️  Keeping ${imagePaths.length - deletable.length} replaced screenshots used by earlier versions`);
+    }
+    return deletable;
+  }
+
   async deleteImagesFromStorage(imagePaths) {
     if (!imagePaths || imagePaths.length === 0) {
       return { success: true, deleted: [] };
@@ -181,6 +217,7 @@ class SupabaseService {
 
       let resultData;
       let operation;
+      let oldImagesDeleted = 0;
 
       if (existingRecord) {
         const { data: updatedData, error } = await this.supabase
@@ -198,9 +235,11 @@ class SupabaseService {
         resultData = updatedData;
         operation = 'updated';
 
-        if (oldImagePaths.length > 0) {
-          console.log(`Deleting ${oldImagePaths.length} old images from storage...`);
-          const deleteResult = await this.deleteImagesFromStorage(oldImagePaths);
+        const imagesToDelete = await this.filterUnversionedImages(data.url, oldImagePaths);
+        oldImagesDeleted = imagesToDelete.length;
+        if (imagesToDelete.length > 0) {
+          console.log(`Deleting ${imagesToDelete.length} old images from storage...`);
+          const deleteResult = await this.deleteImagesFromStorage(imagesToDelete);
           if (deleteResult.success) {
             console.log(`Successfully deleted ${deleteResult.deleted.length} old images`);
           } else {
@@ -229,7 +268,7 @@ class SupabaseService {
         ...resultData,
         uploadedUrls: uploadedPaths,
         operation: operation,
-        oldImagesDeleted: oldImagePaths.length
+        oldImagesDeleted: oldImagesDeleted
       };
     } catch (error) {
       await this.log('error', 'Error in saveScrapedData method', { error: error.message });
@@ -266,34 +305,56 @@ class SupabaseService {
         }
       }
 
+      // Screenshots already in storage, keyed by content hash, so unchanged images can be reused
+      const existingImagesByHash = await this.getExistingImagesByHash(existingProject, oldImagePaths);
+
       // Upload screenshots first
       console.log('📸 Uploading screenshots...');
       const uploadedPaths = [];
+      const screenshotPaths = [];
       const threadsWithUrls = [];
+      let reusedImages = 0;
       
       if (payloadData.threads && Array.isArray(payloadData.threads)) {
         for (let i = 0; i < payloadData.threads.length; i++) {
           const thread = payloadData.threads[i];
-          let uploadedUrl = '';
+          let imageUrl = '';
+          let imageHash = null;
           
           if (thread.screenshotBuffer) {
-            const filename = thread.imageFilename || `thread_${i + 1}.jpg`;
-            uploadedUrl = await this.uploadScreenshot(
-              thread.screenshotBuffer,
-              filename,
-              'image/jpeg'
-            );
-            uploadedPaths.push(uploadedUrl);
+            imageHash = this.hashBuffer(thread.screenshotBuffer);
+
+            if (existingImagesByHash.has(imageHash)) {
+              imageUrl = existingImagesByHash.get(imageHash);
+              reusedImages++;
+            } else {
+              const filename = thread.imageFilename || `thread_${i + 1}.jpg`;
+              imageUrl = await this.uploadScreenshot(
+                thread.screenshotBuffer,
+                filename,
+                'image/jpeg'
+              );
+              uploadedPaths.push(imageUrl);
+              existingImagesByHash.set(imageHash, imageUrl);
+            }
+
+            if (!screenshotPaths.includes(imageUrl)) screenshotPaths.push(imageUrl);
           }
           
           threadsWithUrls.push({
             ...thread,
-            imagePath: uploadedUrl
+            imagePath: imageUrl,
+            imageHash: imageHash
           });
         }
       }
 
-      console.log(`✅ Uploaded ${uploadedPaths.length} screenshots`);
+      console.log(`✅ Uploaded ${uploadedPaths.length} screenshots, reused ${reusedImages} unchanged`);
+
+      // Only images no longer referenced by any thread or saved version are removed from storage
+      const imagesToDelete = existingRecord
+        ? await this.filterUnversionedImages(payloadData.url, oldImagePaths.filter(oldPath => !screenshotPaths.includes(oldPath)))
+        : [];
 
       // Save or update scraped_data record first
       let scrapedDataId;
@@ -303,12 +364,15 @@ class SupabaseService {
         session_id: this.currentSessionId,
         url: payloadData.url,
         title: payloadData.projectName || 'Unknown Project',
-        number_of_images: uploadedPaths.length,
-        screenshot_metadata: uploadedPaths.map((url, idx) => ({
-          filename: threadsWithUrls[idx].imageFilename,
-          url: url
-        })),
-        screenshots_paths: uploadedPaths,
+        number_of_images: screenshotPaths.length,
+        screenshot_metadata: threadsWithUrls
+          .filter(thread => thread.imagePath)
+          .map(thread => ({
+            filename: thread.imageFilename,
+            url: thread.imagePath,
+            hash: thread.imageHash
+          })),
+        screenshots_paths: screenshotPaths,
         success: payloadData.success !== false,
         options: {
           type: 'complete_payload_normalized',
@@ -331,10 +395,10 @@ class SupabaseService {
         scrapedDataId = updatedData.id;
         operation = 'updated';
         
-        // Delete old images after successful update
-        if (oldImagePaths.length > 0) {
-          console.log(`🗑️ Deleting ${oldImagePaths.length} old images...`);
-          await this.deleteImagesFromStorage(oldImagePaths);
+        // Delete replaced images after successful update
+        if (imagesToDelete.length > 0) {
+          console.log(`🗑️ Deleting ${imagesToDelete.length} replaced images...`);
+          await this.deleteImagesFromStorage(imagesToDelete);
         }
       } else {
         const { data: insertedData, error } = await this.supabase
@@ -351,19 +415,22 @@ class SupabaseService {
 
       console.log(`✅ Scraped data ${operation}: ${scrapedDataId}`);
 
-      // If updating, delete existing project/threads/comments first
-      if (existingProject) {
+      const saveMode = payloadData.saveMode || process.env.PAYLOAD_SAVE_MODE || 'incremental';
+      const incremental = existingProject && saveMode === 'incremental';
+
+      // In replace mode, delete existing project/threads/comments first
+      if (existingProject && !incremental) {
         console.log('🗑️ Deleting existing project and related data...');
         const { error: deleteError } = await this.supabase
           .from('markup_projects')
           .delete()
           .eq('id', existingProject.id);
         
+        // Inserting anyway would leave the old project next to the new one
         if (deleteError) {
-          console.warn('Warning: Failed to delete existing project:', deleteError);
-        } else {
-          console.log('✅ Existing project deleted (cascading to threads and comments)');
+          throw new Error(`Failed to delete existing project: ${deleteError.message}`);
         }
+        console.log('✅ Existing project deleted (cascading to threads and comments)');
       }
 
       // Prepare payload for PostgreSQL function
@@ -372,38 +439,90 @@ class SupabaseService {
           projectName: payloadData.projectName || 'Unknown Project',
           url: payloadData.url,
           totalThreads: threadsWithUrls.length,
-          totalScreenshots: uploadedPaths.length,
+          totalScreenshots: screenshotPaths.length,
           timestamp: new Date().toISOString(),
+          targetLanguage: payloadData.targetLanguage || null,
           threads: threadsWithUrls.map((thread, threadIdx) => ({
             threadName: thread.threadName,
             imageIndex: threadIdx + 1,
             imagePath: thread.imagePath,
             imageFilename: thread.imageFilename || `thread_${threadIdx + 1}.jpg`,
+            imageHash: thread.imageHash,
             comments: (thread.comments || []).map(comment => ({
               id: comment.id || this.generateUUID(),
               index: comment.index || comment.pinNumber || 0,
               pinNumber: comment.pinNumber || comment.index || 0,
               content: comment.content || '',
               user: comment.user || 'Unknown',
-              attachments: comment.attachments || []
+              attachments: comment.attachments || [],
+              sourceLanguage: comment.sourceLanguage || null,
+              originalContent: comment.originalContent ?? comment.content ?? '',
+              translatedContent: comment.translatedContent || null,
+              translationProvider: comment.translationProvider || null,
+              translatedAt: comment.translatedAt || null,
+              translationDeferred: comment.translationDeferred || false,
+              postedAt: comment.postedAt || null,
+              resolved: comment.resolved || false,
+              parentCommentId: comment.parentCommentId || null
             }))
           }))
         }
       };
 
-      // Call PostgreSQL function to insert normalized data
-      console.log('💾 Saving to normalized tables using PostgreSQL function...');
-      const { data: projectId, error: functionError } = await this.supabase
-        .rpc('insert_markup_payload', {
-          p_payload: functionPayload,
-          p_scraped_data_id: scrapedDataId
-        });
+      let projectId;
+      let changes;
+
+      if (incremental) {
+        console.log('💾 Diffing against existing project (incremental mode)...');
+        projectId = existingProject.id;
+        changes = await this.syncProjectIncremental(projectId, functionPayload.data);
+      } else {
+        // Call PostgreSQL function to insert normalized data
+        console.log('💾 Saving to normalized tables using PostgreSQL function...');
+        const { data: insertedProjectId, error: functionError } = await this.supabase
+          .rpc('insert_markup_payload', {
+            p_payload: functionPayload,
+            p_scraped_data_id: scrapedDataId
+          });
+
+        if (functionError) {
+          throw new Error(`Failed to insert normalized data: ${functionError.message}`);
+        }
 
-      if (functionError) {
-        throw new Error(`Failed to insert normalized data: ${functionError.message}`);
+        projectId = insertedProjectId;
+        const totalComments = functionPayload.data.threads.reduce((sum, t) => sum + t.comments.length, 0);
+        changes = {
+          threads: { added: functionPayload.data.threads.length, updated: 0, removed: 0 },
+          comments: { added: totalComments, edited: 0, removed: 0, unchanged: 0 }
+        };
       }
 
       console.log(`✅ Project saved with ID: ${projectId}`);
+      console.log(`📊 Changes: threads +${changes.threads.added} ~${changes.threads.updated} -${changes.threads.removed}, comments +${changes.comments.added} ~${changes.comments.edited} -${changes.comments.removed}`);
+
+      // The history is a record of the save, not part of it: a failure here only costs the version
+      let version = null;
+      try {
+        version = await this.saveProjectVersion({
+          markupUrl: payloadData.url,
+          projectId,
+          scrapedDataId,
+          data: functionPayload.data,
+          changes
+        });
+        console.log(`🗂️  Saved as version ${version.version}`);
+      } catch (versionError) {
+        console.warn(`⚠️  Could not save project version: ${versionError.message}`);
+      }
+
+      let prunedVersions = { versionsDeleted: 0, imagesDeleted: 0 };
+      if (version && VERSION_RETENTION > 0) {
+        try {
+          prunedVersions = await this.pruneProjectVersions(payloadData.url, VERSION_RETENTION, screenshotPaths);
+        } catch (pruneError) {
+          console.warn(`⚠️  Could not prune old project versions: ${pruneError.message}`);
+        }
+      }
 
       return {
         success: true,
@@ -411,9 +530,12 @@ class SupabaseService {
         scrapedDataId: scrapedDataId,
         projectId: projectId,
         uploadedUrls: uploadedPaths,
-        oldImagesDeleted: oldImagePaths.length,
+        reusedImages: reusedImages,
+        oldImagesDeleted: imagesToDelete.length + prunedVersions.imagesDeleted,
         totalThreads: threadsWithUrls.length,
-        totalComments: threadsWithUrls.reduce((sum, t) => sum + (t.comments?.length || 0), 0)
+        totalComments: threadsWithUrls.reduce((sum, t) => sum + (t.comments?.length || 0), 0),
+        changes: changes,
+        version: version ? version.version : null
       };
 
     } catch (error) {
@@ -422,6 +544,291 @@ class SupabaseService {
     }
   }
 
+  /**
+   * SHA-256 hex digest of a screenshot buffer
+   */
+  hashBuffer(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Collect hash → image_path for the existing project's screenshots.
+   * Only paths still listed in scraped_data.screenshots_paths are returned,
+   * since anything else has already been removed from storage.
+   *
+   * @returns {Promise<Map<string, string>>}
+   */
+  async getExistingImagesByHash(existingProject, storedImagePaths) {
+    const imagesByHash = new Map();
+    if (!existingProject || storedImagePaths.length === 0) return imagesByHash;
+
+    const { data: threads, error } = await this.supabase
+      .from('markup_threads')
+      .select('image_path, image_hash')
+      .eq('project_id', existingProject.id)
+      .not('image_hash', 'is', null);
+
+    if (error) {
+      console.warn('⚠️  Could not load existing screenshot hashes, re-uploading all:', error.message);
+      return imagesByHash;
+    }
+
+    for (const thread of threads || []) {
+      if (thread.image_path && storedImagePaths.includes(thread.image_path)) {
+        imagesByHash.set(thread.image_hash, thread.image_path);
+      }
+    }
+    return imagesByHash;
+  }
+
+  /**
+   * Map a payload comment to a markup_comments row
+   */
+  toCommentRow(comment, threadId) {
+    return {
+      id: comment.id,
+      thread_id: threadId,
+      comment_index: comment.index,
+      pin_number: comment.pinNumber,
+      content: comment.content,
+      user_name: comment.user,
+      attachments: comment.attachments || [],
+      source_language: comment.sourceLanguage || null,
+      original_content: comment.originalContent,
+      translated_content: comment.translatedContent,
+      translation_provider: comment.translationProvider,
+      translated_at: comment.translatedAt,
+      translation_deferred: comment.translationDeferred || false,
+      posted_at: comment.postedAt || null,
+      resolved: comment.resolved || false,
+      parent_comment_id: comment.parentCommentId || null
+    };
+  }
+
+  /**
+   * Check whether an existing markup_comments row differs from the freshly scraped one.
+   * Text is compared on the original wording so a differently worded translation is not an edit
+   * (rows saved before original_content existed fall back to content).
+   * A comment whose translation was deferred counts as changed once it has been translated;
+   * an untranslated (queued) scrape of an already translated comment does not.
+   * Resolving or reopening a thread changes its comments as well.
+   */
+  hasCommentChanged(existingRow, newRow) {
+    const existing = { ...existingRow, original_content: existingRow.original_content ?? existingRow.content };
+    if (existing.translation_deferred && !newRow.translation_deferred) return true;
+
+    // Postgres returns timestamps in its own format, so posted_at is compared as a point in time
+    const postedAt = value => (value ? new Date(value).getTime() : null);
+    if (postedAt(existing.posted_at) !== postedAt(newRow.posted_at)) return true;
+
+    return ['thread_id', 'comment_index', 'pin_number', 'original_content', 'user_name', 'attachments', 'resolved', 'parent_comment_id']
+      .some(field => JSON.stringify(existing[field] ?? null) !== JSON.stringify(newRow[field] ?? null));
+  }
+
+  /**
+   * Diff a freshly scraped payload against an existing project and apply only the changes.
+   * Threads are matched by name, comments by their Markup data-thread-id. New rows are inserted,
+   * changed rows updated, and rows missing from the scrape are soft-deleted (deleted_at).
+   *
+   * @param {string} projectId - Existing markup_projects.id
+   * @param {object} data - The `data` part of the insert_markup_payload payload
+   * @returns {Promise<object>} Change summary { threads: {...}, comments: {...} }
+   */
+  async syncProjectIncremental(projectId, data) {
+    const now = new Date().toISOString();
+    const changes = {
+      threads: { added: 0, updated: 0, removed: 0 },
+      comments: { added: 0, edited: 0, removed: 0, unchanged: 0 }
+    };
+
+    const { error: projectError } = await this.supabase
+      .from('markup_projects')
+      .update({
+        project_name: data.projectName,
+        markup_url: data.url,
+        total_threads: data.totalThreads,
+        total_screenshots: data.totalScreenshots,
+        extraction_timestamp: data.timestamp,
+        target_language: data.targetLanguage
+      })
+      .eq('id', projectId);
+
+    if (projectError) throw new Error(`Failed to update project: ${projectError.message}`);
+
+    const { data: existingThreads, error: threadsError } = await this.supabase
+      .from('markup_threads')
+      .select('*, markup_comments (*)')
+      .eq('project_id', projectId);
+
+    if (threadsError) throw new Error(`Failed to load existing threads: ${threadsError.message}`);
+
+    // Prefer active threads when a name exists more than once (e.g. deleted and re-created)
+    const threadsByName = new Map();
+    const commentsById = new Map();
+    for (const thread of existingThreads || []) {
+      const current = threadsByName.get(thread.thread_name);
+      if (!current || (current.deleted_at && !thread.deleted_at)) {
+        threadsByName.set(thread.thread_name, thread);
+      }
+      for (const comment of thread.markup_comments || []) {
+        commentsById.set(comment.id, comment);
+      }
+    }
+
+    const seenThreadIds = new Set();
+    const seenCommentIds = new Set();
+
+    for (const thread of data.threads) {
+      const hasAttachments = thread.comments.some(c => c.attachments && c.attachments.length > 0);
+      const threadRow = {
+        thread_name: thread.threadName,
+        image_index: thread.imageIndex,
+        image_path: thread.imagePath,
+        image_filename: thread.imageFilename,
+        image_hash: thread.imageHash || null,
+        has_attachments: hasAttachments,
+        deleted_at: null
+      };
+
+      let threadId;
+      const existingThread = threadsByName.get(thread.threadName);
+
+      if (existingThread) {
+        threadId = existingThread.id;
+        const { error } = await this.supabase
+          .from('markup_threads')
+          .update(threadRow)
+          .eq('id', threadId);
+
+        if (error) throw new Error(`Failed to update thread "${thread.threadName}": ${error.message}`);
+        changes.threads.updated++;
+      } else {
+        const { data: insertedThread, error } = await this.supabase
+          .from('markup_threads')
+          .insert([{ ...threadRow, project_id: projectId }])
+          .select('id')
+          .single();
+
+        if (error) throw new Error(`Failed to insert thread "${thread.threadName}": ${error.message}`);
+        threadId = insertedThread.id;
+        changes.threads.added++;
+      }
+      seenThreadIds.add(threadId);
+
+      const newRows = [];
+      for (const comment of thread.comments) {
+        const row = this.toCommentRow(comment, threadId);
+        seenCommentIds.add(row.id);
+        const existingComment = commentsById.get(row.id);
+
+        if (!existingComment) {
+          newRows.push(row);
+          continue;
+        }
+
+        if (!existingComment.deleted_at && !this.hasCommentChanged(existingComment, row)) {
+          changes.comments.unchanged++;
+          continue;
+        }
+
+        const { id, ...updates } = row;
+        const { error } = await this.supabase
+          .from('markup_comments')
+          .update({ ...updates, deleted_at: null })
+          .eq('id', id);
+
+        if (error) throw new Error(`Failed to update comment ${id}: ${error.message}`);
+        changes.comments.edited++;
+      }
+
+      if (newRows.length > 0) {
+        const { error } = await this.supabase.from('markup_comments').insert(newRows);
+        if (error) throw new Error(`Failed to insert comments for "${thread.threadName}": ${error.message}`);
+        changes.comments.added += newRows.length;
+      }
+    }
+
+    // Soft-delete everything that no longer exists in Markup
+    const removedCommentIds = [...commentsById.values()]
+      .filter(c => !c.deleted_at && !seenCommentIds.has(c.id))
+      .map(c => c.id);
+
+    if (removedCommentIds.length > 0) {
+      const { error } = await this.supabase
+        .from('markup_comments')
+        .update({ deleted_at: now })
+        .in('id', removedCommentIds);
+
+      if (error) throw new Error(`Failed to mark removed comments: ${error.message}`);
+      changes.comments.removed = removedCommentIds.length;
+    }
+
+    const removedThreadIds = (existingThreads || [])
+      .filter(t => !t.deleted_at && !seenThreadIds.has(t.id))
+      .map(t => t.id);
+
+    if (removedThreadIds.length > 0) {
+      const { error } = await this.supabase
+        .from('markup_threads')
+        .update({ deleted_at: now })
+        .in('id', removedThreadIds);
+
+      if (error) throw new Error(`Failed to mark removed threads: ${error.message}`);
+      changes.threads.removed = removedThreadIds.length;
+    }
+
+    return changes;
+  }
+
+  /**
+   * Order comments by pin, each followed by its replies (oldest first)
+   */
+  compareCommentRows(a, b) {
+    const postedAt = row => (row.posted_at ? new Date(row.posted_at).getTime() : Infinity);
+    return (a.comment_index || 0) - (b.comment_index || 0)
+      || Number(Boolean(a.parent_comment_id)) - Number(Boolean(b.parent_comment_id))
+      || postedAt(a) - postedAt(b)
+      || 0;
+  }
+
+  /**
+   * Format markup_threads rows (with nested markup_comments) for API responses.
+   * Soft-deleted threads and comments are left out.
+   */
+  formatThreads(markupThreads) {
+    return (markupThreads || [])
+      .filter(thread => !thread.deleted_at)
+      .sort((a, b) => (a.image_index || 0) - (b.image_index || 0))
+      .map(thread => ({
+        threadName: thread.thread_name,
+        imageIndex: thread.image_index,
+        imagePath: thread.image_path,
+        imageFilename: thread.image_filename,
+        imageHash: thread.image_hash || null,
+        hasAttachments: thread.has_attachments || false,
+        comments: (thread.markup_comments || [])
+          .filter(comment => !comment.deleted_at)
+          .sort((a, b) => this.compareCommentRows(a, b))
+          .map(comment => ({
+            id: comment.id,
+            index: comment.comment_index,
+            pinNumber: comment.pin_number,
+            content: comment.content,
+            user: comment.user_name,
+            attachments: comment.attachments || [],
+            sourceLanguage: comment.source_language || null,
+            originalContent: comment.original_content ?? comment.content,
+            translatedContent: comment.translated_content || null,
+            translationProvider: comment.translation_provider || null,
+            translatedAt: comment.translated_at || null,
+            translationDeferred: comment.translation_deferred || false,
+            postedAt: comment.posted_at || null,
+            resolved: comment.resolved || false,
+            parentCommentId: comment.parent_comment_id || null
+          }))
+      }));
+  }
+
   /**
    * Fetch complete project data from normalized tables
    */
@@ -460,21 +867,7 @@ class SupabaseService {
       }
 
       // Format threads with attachment info
-      const threads = (project.markup_threads || []).map(thread => ({
-        threadName: thread.thread_name,
-        imageIndex: thread.image_index,
-        imagePath: thread.image_path,
-        imageFilename: thread.image_filename,
-        hasAttachments: thread.has_attachments || false,
-        comments: (thread.markup_comments || []).map(comment => ({
-          id: comment.id,
-          index: comment.comment_index,
-          pinNumber: comment.pin_number,
-          content: comment.content,
-          user: comment.user_name,
-          attachments: comment.attachments || []
-        }))
-      }));
+      const threads = this.formatThreads(project.markup_threads);
       
       // Check if ANY thread has attachments
       const hasAttachments = threads.some(thread => thread.hasAttachments);
@@ -482,11 +875,13 @@ class SupabaseService {
       // Format response
       return {
         success: true,
+        id: project.id,
         url: scrapedData.url,
         projectName: project.project_name,
         totalThreads: project.total_threads,
         totalScreenshots: project.total_screenshots,
         timestamp: project.extraction_timestamp,
+        targetLanguage: project.target_language || null,
         hasAttachments: hasAttachments,
         threads: threads
       };
@@ -497,6 +892,1163 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Get the translation target language stored for the project scraped from this URL
+   * @returns {Promise<string|null>} null if the project is new or has no language set
+   */
+  async getProjectTargetLanguage(url) {
+    try {
+      const existingRecord = await this.findExistingRecord(url);
+      if (!existingRecord) return null;
+
+      const { data: project, error } = await this.supabase
+        .from('markup_projects')
+        .select('target_language')
+        .eq('scraped_data_id', existingRecord.id)
+        .limit(1)
+        .single();
+
+      if (error || !project) return null;
+      return project.target_language || null;
+    } catch (error) {
+      console.error('Error fetching project target language:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Set the translation target language of a project (applied from the next scrape on)
+   */
+  async setProjectTargetLanguage(projectId, targetLanguage) {
+    const { data, error } = await this.supabase
+      .from('markup_projects')
+      .update({ target_language: targetLanguage })
+      .eq('id', projectId)
+      .select('id, project_name, target_language')
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to update target language: ${error.message}`);
+    }
+    return data || null;
+  }
+
+  /**
+   * Fetch complete project data by markup_projects.id
+   */
+  async getProjectById(projectId) {
+    try {
+      const { data: project, error } = await this.supabase
+        .from('markup_projects')
+        .select(`
+          *,
+          scraped_data (url, scraping_timestamp),
+          markup_threads (
+            *,
+            markup_comments (*)
+          )
+        `)
+        .eq('id', projectId)
+        .single();
+
+      if (error || !project) {
+        return null;
+      }
+
+      const threads = this.formatThreads(project.markup_threads);
+
+      return {
+        success: true,
+        id: project.id,
+        url: project.scraped_data?.url || project.markup_url,
+        projectName: project.project_name,
+        totalThreads: project.total_threads,
+        totalScreenshots: project.total_screenshots,
+        timestamp: project.extraction_timestamp,
+        targetLanguage: project.target_language || null,
+        hasAttachments: threads.some(thread => thread.hasAttachments),
+        threads: threads
+      };
+
+    } catch (error) {
+      console.error('Error fetching project by ID:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Projects for the dashboard, most recently scraped first
+   * @param {object} options - { search, limit, offset }
+   * @returns {Promise<object>} { projects, total }
+   */
+  async listProjects({ search = null, limit = 50, offset = 0 } = {}) {
+    let query = this.supabase
+      .from('markup_projects')
+      .select('id, project_name, markup_url, total_threads, total_screenshots, extraction_timestamp, scraped_data (url, scraping_timestamp, success)', { count: 'exact' })
+      .order('extraction_timestamp', { ascending: false, nullsFirst: false })
+      .range(offset, offset + limit - 1);
+
+    if (search) {
+      query = query.ilike('project_name', `%${search.replace(/[%_\\]/g, '\\$&')}%`);
+    }
+
+    const { data, error, count } = await query;
+    if (error) throw new Error(`Failed to fetch projects: ${error.message}`);
+
+    return {
+      total: count ?? (data || []).length,
+      projects: (data || []).map(project => ({
+        id: project.id,
+        projectName: project.project_name,
+        url: project.scraped_data?.url || project.markup_url,
+        totalThreads: project.total_threads,
+        totalScreenshots: project.total_screenshots,
+        timestamp: project.extraction_timestamp,
+        lastScrapedAt: project.scraped_data?.scraping_timestamp || null,
+        lastScrapeSucceeded: project.scraped_data ? project.scraped_data.success !== false : null
+      }))
+    };
+  }
+
+  /**
+   * Last scrape of a URL and the most recent failure logged for it
+   * @returns {Promise<object>} { lastScrapedAt, success, durationSeconds, lastFailure }
+   */
+  async getScrapeStatus(url) {
+    const [scrapes, failures] = await Promise.all([
+      this.supabase
+        .from('scraped_data')
+        .select('scraping_timestamp, success, duration_seconds')
+        .eq('url', url)
+        .order('scraping_timestamp', { ascending: false })
+        .limit(1),
+      this.supabase
+        .from('scraping_error_logs')
+        .select('failed_at, error_message, status, retry_count')
+        .eq('url', url)
+        .order('failed_at', { ascending: false })
+        .limit(1)
+    ]);
+
+    if (scrapes.error) throw new Error(`Failed to fetch scrape status: ${scrapes.error.message}`);
+
+    const scrape = scrapes.data?.[0] || null;
+    const failure = failures.data?.[0] || null; // The error log is optional, ignore its errors
+    return {
+      lastScrapedAt: scrape?.scraping_timestamp || null,
+      success: scrape ? scrape.success !== false : null,
+      durationSeconds: scrape?.duration_seconds ?? null,
+      lastFailure: failure ? {
+        failedAt: failure.failed_at,
+        errorMessage: failure.error_message,
+        status: failure.status,
+        retryCount: failure.retry_count
+      } : null
+    };
+  }
+
+  // ==========================================================================
+  // SEARCH (full-text search over comments, see migrations/013_comment_search.sql)
+  // ==========================================================================
+
+  /**
+   * Turn a search_comments() snippet into HTML: text is escaped, matches are wrapped in <mark>
+   * @param {string|null} snippet - Matches delimited by \u0002 ... \u0003
+   * @returns {string|null}
+   */
+  toHighlightedSnippet(snippet) {
+    if (!snippet) return null;
+    return snippet
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/\u0002/g, '<mark>')
+      .replace(/\u0003/g, '</mark>');
+  }
+
+  /**
+   * Ranked full-text search across the comments of all projects
+   * @param {object} search - { query, projectId, user, from, to, hasAttachments, limit, offset }
+   * @returns {Promise<object>} { results, total }
+   */
+  async searchComments({ query, projectId = null, user = null, from = null, to = null, hasAttachments = null, limit = 20, offset = 0 }) {
+    const { data, error } = await this.supabase.rpc('search_comments', {
+      p_query: query,
+      p_project_id: projectId,
+      p_user_name: user ? user.replace(/[%_\\]/g, '\\$&') : null,
+      p_from: from,
+      p_to: to,
+      p_has_attachments: hasAttachments,
+      p_limit: limit,
+      p_offset: offset
+    });
+
+    if (error) throw new Error(`Comment search failed: ${error.message}`);
+
+    const rows = data || [];
+    return {
+      total: rows.length > 0 ? Number(rows[0].total_count) : 0,
+      results: rows.map(row => ({
+        commentId: row.comment_id,
+        project: { id: row.project_id, name: row.project_name, url: row.markup_url },
+        thread: { id: row.thread_id, name: row.thread_name, imagePath: row.image_path },
+        pinNumber: row.pin_number,
+        user: row.user_name,
+        content: row.content,
+        originalContent: row.original_content ?? row.content,
+        attachments: row.attachments || [],
+        createdAt: row.created_at,
+        postedAt: row.posted_at ?? row.created_at, // Before 017 the function has no posted_at
+        rank: row.rank,
+        highlights: {
+          content: this.toHighlightedSnippet(row.content_snippet),
+          originalContent: this.toHighlightedSnippet(row.original_snippet),
+          threadName: this.toHighlightedSnippet(row.thread_snippet)
+        }
+      }))
+    };
+  }
+
+  // ==========================================================================
+  // SYNC LEDGER (what has already been delivered to which external task)
+  // ==========================================================================
+
+  async getSyncRun(syncId) {
+    const { data, error } = await this.supabase
+      .from('sync_runs')
+      .select('*')
+      .eq('id', syncId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to fetch sync run: ${error.message}`);
+    }
+    return data || null;
+  }
+
+  /**
+   * Return the project reduced to items not yet delivered to an external task.
+   * With `sinceSyncId`, everything delivered up to and including that run counts as
+   * delivered (task and target are taken from the run). With only `taskId`, the whole
+   * ledger for that task is used. With neither, everything is returned.
+   * `holdUntranslated` leaves out comments still flagged for the translation queue
+   * and reports how many were held back (untranslatedHeld).
+   *
+   * @param {string} projectId - markup_projects.id
+   * @param {object} options - { taskId, target, sinceSyncId, holdUntranslated }
+   * @returns {Promise<object|null>} null if the project does not exist
+   */
+  async getUndeliveredChanges(projectId, { taskId = null, target = 'clickup', sinceSyncId = null, holdUntranslated = false } = {}) {
+    const project = await this.getProjectById(projectId);
+    if (!project) return null;
+
+    if (sinceSyncId) {
+      const syncRun = await this.getSyncRun(sinceSyncId);
+      if (!syncRun) throw new Error(`Sync run ${sinceSyncId} not found`);
+      if (syncRun.project_id !== projectId) throw new Error(`Sync run ${sinceSyncId} belongs to a different project`);
+      taskId = syncRun.external_task_id;
+      target = syncRun.target;
+    }
+
+    const deliveredComments = new Set();
+    const deliveredScreenshots = new Set();
+
+    if (taskId) {
+      let query = this.supabase
+        .from('sync_deliveries')
+        .select('item_type, item_key')
+        .eq('target', target)
+        .eq('external_task_id', taskId);
+
+      if (sinceSyncId) query = query.lte('sync_run_id', sinceSyncId);
+
+      const { data: deliveries, error } = await query;
+      if (error) throw new Error(`Failed to fetch sync deliveries: ${error.message}`);
+
+      for (const delivery of deliveries || []) {
+        if (delivery.item_type === 'comment') deliveredComments.add(delivery.item_key);
+        else deliveredScreenshots.add(delivery.item_key);
+      }
+    }
+
+    // Comments still waiting for the translation queue are held back until they are translated
+    let untranslatedHeld = 0;
+    const isHeld = comment => {
+      const held = holdUntranslated && comment.translationDeferred;
+      if (held) untranslatedHeld++;
+      return held;
+    };
+
+    const threads = project.threads
+      .map(thread => ({
+        ...thread,
+        screenshotDelivered: Boolean(thread.imageHash && deliveredScreenshots.has(thread.imageHash)),
+        comments: thread.comments.filter(comment => !deliveredComments.has(comment.id) && !isHeld(comment))
+      }))
+      .filter(thread => thread.comments.length > 0 || (thread.imagePath && !thread.screenshotDelivered));
+
+    return {
+      ...project,
+      target: target,
+      taskId: taskId,
+      sinceSyncId: sinceSyncId,
+      totalThreads: threads.length,
+      totalComments: threads.reduce((sum, t) => sum + t.comments.length, 0),
+      untranslatedHeld: untranslatedHeld,
+      threads: threads
+    };
+  }
+
+  /**
+   * Record a delivery run in the ledger. Items already delivered to the task are ignored.
+   *
+   * @param {string} projectId - markup_projects.id
+   * @param {object} delivery - { taskId, target, commentIds, imageHashes }
+   * @returns {Promise<object>} The created sync_runs row
+   */
+  async recordSyncRun(projectId, { taskId, target = 'clickup', commentIds = [], imageHashes = [] }) {
+    if (!taskId) throw new Error('External task ID is required');
+
+    const { data: syncRun, error: runError } = await this.supabase
+      .from('sync_runs')
+      .insert([{
+        project_id: projectId,
+        target: target,
+        external_task_id: taskId,
+        comments_delivered: commentIds.length,
+        screenshots_delivered: imageHashes.length
+      }])
+      .select()
+      .single();
+
+    if (runError) throw new Error(`Failed to record sync run: ${runError.message}`);
+
+    const deliveries = [
+      ...commentIds.map(id => ({ item_type: 'comment', item_key: id })),
+      ...imageHashes.map(hash => ({ item_type: 'screenshot', item_key: hash }))
+    ].map(item => ({
+      ...item,
+      sync_run_id: syncRun.id,
+      project_id: projectId,
+      target: target,
+      external_task_id: taskId
+    }));
+
+    if (deliveries.length > 0) {
+      const { error } = await this.supabase
+        .from('sync_deliveries')
+        .upsert(deliveries, { onConflict: 'target,external_task_id,item_type,item_key', ignoreDuplicates: true });
+
+      if (error) throw new Error(`Failed to record sync deliveries: ${error.message}`);
+    }
+
+    console.log(`📒 Sync run ${syncRun.id}: ${commentIds.length} comments, ${imageHashes.length} screenshots → ${target} task ${taskId}`);
+    return syncRun;
+  }
+
+  // ==========================================================================
+  // TRANSLATION QUEUE (comments saved untranslated, see translation_deferred)
+  // ==========================================================================
+
+  /**
+   * Comments of a project still waiting for translation
+   * @param {string} projectId - markup_projects.id
+   * @returns {Promise<object|null>} { markupUrl, targetLanguage, comments: [{ id, originalContent }] },
+   *                                 null if the project does not exist
+   */
+  async getPendingTranslations(projectId) {
+    const { data: project, error: projectError } = await this.supabase
+      .from('markup_projects')
+      .select('id, markup_url, target_language')
+      .eq('id', projectId)
+      .single();
+
+    if (projectError && projectError.code !== 'PGRST116') {
+      throw new Error(`Failed to fetch project: ${projectError.message}`);
+    }
+    if (!project) return null;
+
+    const { data: comments, error } = await this.supabase
+      .from('markup_comments')
+      .select('id, content, original_content, markup_threads!inner(project_id)')
+      .eq('markup_threads.project_id', projectId)
+      .eq('translation_deferred', true)
+      .is('deleted_at', null);
+
+    if (error) throw new Error(`Failed to fetch pending translations: ${error.message}`);
+
+    return {
+      markupUrl: project.markup_url,
+      targetLanguage: project.target_language || null,
+      comments: (comments || []).map(comment => ({
+        id: comment.id,
+        originalContent: comment.original_content ?? comment.content
+      }))
+    };
+  }
+
+  /**
+   * Number of comments of a project still waiting for translation
+   * @param {string} projectId - markup_projects.id
+   * @returns {Promise<number>}
+   */
+  async countPendingTranslations(projectId) {
+    const { count, error } = await this.supabase
+      .from('markup_comments')
+      .select('id, markup_threads!inner(project_id)', { count: 'exact', head: true })
+      .eq('markup_threads.project_id', projectId)
+      .eq('translation_deferred', true)
+      .is('deleted_at', null);
+
+    if (error) throw new Error(`Failed to count pending translations: ${error.message}`);
+    return count || 0;
+  }
+
+  /**
+   * Store finished translations and clear their pending flag
+   * @param {Array<object>} translations - [{ id, content, translatedContent, translationProvider, translatedAt, sourceLanguage }]
+   * @returns {Promise<number>} Number of comments updated
+   */
+  async saveCommentTranslations(translations) {
+    let updated = 0;
+
+    for (const translation of translations) {
+      const { error } = await this.supabase
+        .from('markup_comments')
+        .update({
+          content: translation.content,
+          translated_content: translation.translatedContent,
+          translation_provider: translation.translationProvider,
+          translated_at: translation.translatedAt,
+          source_language: translation.sourceLanguage,
+          translation_deferred: false
+        })
+        .eq('id', translation.id);
+
+      if (error) throw new Error(`Failed to save translation of comment ${translation.id}: ${error.message}`);
+      updated++;
+    }
+
+    return updated;
+  }
+
+  // ==========================================================================
+  // GLOSSARY (per-project translation terms, keyed by markup_url)
+  // ==========================================================================
+
+  toGlossaryTerm(row) {
+    return {
+      id: row.id,
+      sourceTerm: row.source_term,
+      targetTerm: row.target_term,
+      sourceLang: row.source_lang,
+      targetLang: row.target_lang,
+      caseSensitive: row.case_sensitive,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  toGlossaryRow(term) {
+    const row = {};
+    if (term.sourceTerm !== undefined) row.source_term = term.sourceTerm;
+    if (term.targetTerm !== undefined) row.target_term = term.targetTerm || null;
+    if (term.sourceLang !== undefined) row.source_lang = term.sourceLang ? term.sourceLang.toUpperCase() : null;
+    if (term.targetLang !== undefined) row.target_lang = term.targetLang ? term.targetLang.toUpperCase() : null;
+    if (term.caseSensitive !== undefined) row.case_sensitive = Boolean(term.caseSensitive);
+    return row;
+  }
+
+  async getProjectMarkupUrl(projectId) {
+    const { data, error } = await this.supabase
+      .from('markup_projects')
+      .select('markup_url')
+      .eq('id', projectId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to fetch project: ${error.message}`);
+    }
+    return data?.markup_url || null;
+  }
+
+  /**
+   * Glossary terms for the project scraped from this URL
+   * @returns {Promise<Array<object>>}
+   */
+  async getGlossaryByUrl(url) {
+    const { data, error } = await this.supabase
+      .from('project_glossary_terms')
+      .select('*')
+      .eq('markup_url', url)
+      .order('source_term', { ascending: true });
+
+    if (error) throw new Error(`Failed to fetch glossary: ${error.message}`);
+    return (data || []).map(row => this.toGlossaryTerm(row));
+  }
+
+  /**
+   * @returns {Promise<Array<object>|null>} null if the project does not exist
+   */
+  async getProjectGlossary(projectId) {
+    const markupUrl = await this.getProjectMarkupUrl(projectId);
+    if (!markupUrl) return null;
+    return await this.getGlossaryByUrl(markupUrl);
+  }
+
+  /**
+   * @param {string} projectId - markup_projects.id
+   * @param {object} term - { sourceTerm, targetTerm, sourceLang, targetLang, caseSensitive }
+   * @returns {Promise<object|null>} The created term, null if the project does not exist
+   */
+  async addGlossaryTerm(projectId, term) {
+    const markupUrl = await this.getProjectMarkupUrl(projectId);
+    if (!markupUrl) return null;
+
+    const { data, error } = await this.supabase
+      .from('project_glossary_terms')
+      .insert([{ ...this.toGlossaryRow(term), markup_url: markupUrl }])
+      .select()
+      .single();
+
+    if (error) {
+      const err = new Error(error.code === '23505'
+        ? `Glossary already contains "${term.sourceTerm}" for this language pair`
+        : `Failed to add glossary term: ${error.message}`);
+      err.code = error.code;
+      throw err;
+    }
+    return this.toGlossaryTerm(data);
+  }
+
+  /**
+   * @returns {Promise<object|null>} The updated term, null if project or term do not exist
+   */
+  async updateGlossaryTerm(projectId, termId, updates) {
+    const markupUrl = await this.getProjectMarkupUrl(projectId);
+    if (!markupUrl) return null;
+
+    const { data, error } = await this.supabase
+      .from('project_glossary_terms')
+      .update({ ...this.toGlossaryRow(updates), updated_at: new Date().toISOString() })
+      .eq('id', termId)
+      .eq('markup_url', markupUrl)
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      const err = new Error(error.code === '23505'
+        ? 'Glossary already contains this term for this language pair'
+        : `Failed to update glossary term: ${error.message}`);
+      err.code = error.code;
+      throw err;
+    }
+    return data ? this.toGlossaryTerm(data) : null;
+  }
+
+  /**
+   * @returns {Promise<boolean>} false if project or term do not exist
+   */
+  async deleteGlossaryTerm(projectId, termId) {
+    const markupUrl = await this.getProjectMarkupUrl(projectId);
+    if (!markupUrl) return false;
+
+    const { data, error } = await this.supabase
+      .from('project_glossary_terms')
+      .delete()
+      .eq('id', termId)
+      .eq('markup_url', markupUrl)
+      .select('id');
+
+    if (error) throw new Error(`Failed to delete glossary term: ${error.message}`);
+    return (data || []).length > 0;
+  }
+
+  // ==========================================================================
+  // PROJECT LINKS (Markup project ↔ external task, keyed by markup_url)
+  // ==========================================================================
+
+  /**
+   * Projects whose names best match a name, pre-ranked in the database (find_project_candidates(), migration 018)
+   * @param {string} name
+   * @param {number} limit
+   * @returns {Promise<Array<object>>} [{ id, project_name, url, updated_at, similarity }]
+   */
+  async findProjectNameCandidates(name, limit = 50) {
+    const { data, error } = await this.supabase.rpc('find_project_candidates', { p_name: name, p_limit: limit });
+    if (error) throw new Error(`Failed to fetch project candidates: ${error.message}`);
+    return data || [];
+  }
+
+  toProjectLink(row) {
+    return {
+      id: row.id,
+      markupUrl: row.markup_url,
+      target: row.target,
+      externalTaskId: row.external_task_id,
+      externalTaskName: row.external_task_name,
+      source: row.source,
+      matchScore: row.match_score === null ? null : Number(row.match_score),
+      confirmed: row.confirmed,
+      confirmedAt: row.confirmed_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * @returns {Promise<object|null>}
+   */
+  async getProjectLinkByTask(target, externalTaskId) {
+    const { data, error } = await this.supabase
+      .from('project_links')
+      .select('*')
+      .eq('target', target)
+      .eq('external_task_id', externalTaskId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to fetch project link: ${error.message}`);
+    }
+    return data ? this.toProjectLink(data) : null;
+  }
+
+  /**
+   * @param {object} filters - { markupUrl, target, confirmed, limit }
+   */
+  async listProjectLinks({ markupUrl = null, target = null, confirmed = null, limit = 100 } = {}) {
+    let query = this.supabase
+      .from('project_links')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (markupUrl) query = query.eq('markup_url', markupUrl);
+    if (target) query = query.eq('target', target);
+    if (confirmed !== null) query = query.eq('confirmed', confirmed);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to fetch project links: ${error.message}`);
+    return (data || []).map(row => this.toProjectLink(row));
+  }
+
+  /**
+   * @returns {Promise<Array<object>|null>} null if the project does not exist
+   */
+  async getProjectLinks(projectId) {
+    const markupUrl = await this.getProjectMarkupUrl(projectId);
+    if (!markupUrl) return null;
+    return await this.listProjectLinks({ markupUrl });
+  }
+
+  /**
+   * @param {object} link - { markupUrl, target, externalTaskId, externalTaskName, source, matchScore, confirmed }
+   * @returns {Promise<object>} The created link (err.code 23505 if the task is already linked)
+   */
+  async createProjectLink(link) {
+    const confirmed = Boolean(link.confirmed);
+    const { data, error } = await this.supabase
+      .from('project_links')
+      .insert([{
+        markup_url: link.markupUrl,
+        target: link.target || 'clickup',
+        external_task_id: link.externalTaskId,
+        external_task_name: link.externalTaskName || null,
+        source: link.source || 'manual',
+        match_score: link.matchScore ?? null,
+        confirmed,
+        confirmed_at: confirmed ? new Date().toISOString() : null
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      const err = new Error(error.code === '23505'
+        ? `Task ${link.externalTaskId} is already linked to a project`
+        : `Failed to create project link: ${error.message}`);
+      err.code = error.code;
+      throw err;
+    }
+    return this.toProjectLink(data);
+  }
+
+  /**
+   * @param {number} linkId
+   * @param {object} updates - { confirmed, markupUrl, externalTaskName, matchScore }
+   * @returns {Promise<object|null>} The updated link, null if it does not exist
+   */
+  async updateProjectLink(linkId, updates) {
+    const row = { updated_at: new Date().toISOString() };
+    if (updates.confirmed !== undefined) {
+      row.confirmed = Boolean(updates.confirmed);
+      row.confirmed_at = updates.confirmed ? new Date().toISOString() : null;
+    }
+    if (updates.markupUrl !== undefined) row.markup_url = updates.markupUrl;
+    if (updates.externalTaskName !== undefined) row.external_task_name = updates.externalTaskName || null;
+    if (updates.matchScore !== undefined) row.match_score = updates.matchScore;
+
+    const { data, error } = await this.supabase
+      .from('project_links')
+      .update(row)
+      .eq('id', linkId)
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to update project link: ${error.message}`);
+    }
+    return data ? this.toProjectLink(data) : null;
+  }
+
+  /**
+   * @returns {Promise<boolean>} false if the link does not exist
+   */
+  async deleteProjectLink(linkId) {
+    const { data, error } = await this.supabase
+      .from('project_links')
+      .delete()
+      .eq('id', linkId)
+      .select('id');
+
+    if (error) throw new Error(`Failed to delete project link: ${error.message}`);
+    return (data || []).length > 0;
+  }
+
+  // ==========================================================================
+  // PROJECT VERSIONS (immutable snapshot per saved scrape, keyed by markup_url)
+  // ==========================================================================
+
+  toProjectVersion(row) {
+    return {
+      version: row.version_number,
+      markupUrl: row.markup_url,
+      projectId: row.project_id,
+      scrapedDataId: row.scraped_data_id,
+      projectName: row.project_name,
+      totalThreads: row.total_threads,
+      totalComments: row.total_comments,
+      totalScreenshots: row.total_screenshots,
+      changes: row.changes || null,
+      scrapedAt: row.scraped_at,
+      ...(row.snapshot && { threads: row.snapshot.threads || [] })
+    };
+  }
+
+  /**
+   * Reduce a saved payload to what a version keeps: threads, comments and screenshot paths.
+   * Translations are left out, they can change without the client saying anything new.
+   * @param {object} data - The `data` part of the insert_markup_payload payload
+   */
+  buildVersionSnapshot(data) {
+    return {
+      threads: (data.threads || []).map(thread => ({
+        threadName: thread.threadName,
+        imageIndex: thread.imageIndex,
+        imagePath: thread.imagePath || null,
+        imageHash: thread.imageHash || null,
+        comments: (thread.comments || []).map(comment => ({
+          id: comment.id,
+          index: comment.index,
+          pinNumber: comment.pinNumber,
+          user: comment.user,
+          content: comment.originalContent ?? comment.content,
+          sourceLanguage: comment.sourceLanguage || null,
+          attachments: comment.attachments || [],
+          postedAt: comment.postedAt || null,
+          resolved: comment.resolved || false,
+          parentCommentId: comment.parentCommentId || null
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Store a saved scrape as the next version of its Markup URL
+   * @param {object} version - { markupUrl, projectId, scrapedDataId, data, changes }
+   * @returns {Promise<object>} The version without its snapshot
+   */
+  async saveProjectVersion({ markupUrl, projectId, scrapedDataId, data, changes = null }) {
+    const snapshot = this.buildVersionSnapshot(data);
+    const imagePaths = [...new Set(snapshot.threads.map(thread => thread.imagePath).filter(Boolean))];
+    const row = {
+      markup_url: markupUrl,
+      project_id: projectId,
+      scraped_data_id: scrapedDataId,
+      project_name: data.projectName,
+      total_threads: snapshot.threads.length,
+      total_comments: snapshot.threads.reduce((sum, thread) => sum + thread.comments.length, 0),
+      total_screenshots: data.totalScreenshots || 0,
+      changes,
+      snapshot,
+      image_paths: imagePaths,
+      scraped_at: data.timestamp || new Date().toISOString()
+    };
+
+    // Numbers are handed out per URL; retry once if another save took the same number
+    for (let attempt = 1; ; attempt++) {
+      const latest = await this.getLatestVersionNumber(markupUrl);
+      const { data: inserted, error } = await this.supabase
+        .from('project_versions')
+        .insert([{ ...row, version_number: latest + 1 }])
+        .select('id, markup_url, version_number, project_id, scraped_data_id, project_name, total_threads, total_comments, total_screenshots, changes, scraped_at')
+        .single();
+
+      if (!error) return this.toProjectVersion(inserted);
+      if (error.code !== '23505' || attempt >= 2) {
+        throw new Error(`Failed to save project version: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Keep the newest `keep` versions of a Markup URL. Older versions are deleted together with the
+   * screenshots that only they showed (not used by a kept version or by the current scrape).
+   * @param {string} markupUrl
+   * @param {number} keep - Versions to keep (at least 1)
+   * @param {Array<string>} currentPaths - Screenshots of the current scrape
+   * @returns {Promise<object>} { versionsDeleted, imagesDeleted }
+   */
+  async pruneProjectVersions(markupUrl, keep, currentPaths = []) {
+    const { data, error } = await this.supabase
+      .from('project_versions')
+      .select('version_number, image_paths')
+      .eq('markup_url', markupUrl)
+      .order('version_number', { ascending: false });
+
+    if (error) throw new Error(`Failed to fetch project versions: ${error.message}`);
+
+    const kept = (data || []).slice(0, Math.max(keep, 1));
+    const stale = (data || []).slice(kept.length);
+    if (stale.length === 0) return { versionsDeleted: 0, imagesDeleted: 0 };
+
+    const { error: deleteError } = await this.supabase
+      .from('project_versions')
+      .delete()
+      .eq('markup_url', markupUrl)
+      .lte('version_number', stale[0].version_number);
+
+    if (deleteError) throw new Error(`Failed to delete old project versions: ${deleteError.message}`);
+
+    const stillUsed = new Set([...currentPaths, ...kept.flatMap(row => row.image_paths || [])]);
+    const imagesToDelete = [...new Set(stale.flatMap(row => row.image_paths || []))]
+      .filter(imagePath => !stillUsed.has(imagePath));
+
+    console.log(`🗂️  Pruned ${stale.length} old versions (keeping ${kept.length}), deleting ${imagesToDelete.length} screenshots only they showed`);
+    if (imagesToDelete.length > 0) {
+      const deleteResult = await this.deleteImagesFromStorage(imagesToDelete);
+      if (!deleteResult.success) {
+        console.warn(`⚠️  Failed to delete some screenshots of pruned versions: ${deleteResult.error}`);
+      }
+    }
+
+    return { versionsDeleted: stale.length, imagesDeleted: imagesToDelete.length };
+  }
+
+  /**
+   * @returns {Promise<number>} 0 if the URL has no versions yet
+   */
+  async getLatestVersionNumber(markupUrl) {
+    const { data, error } = await this.supabase
+      .from('project_versions')
+      .select('version_number')
+      .eq('markup_url', markupUrl)
+      .order('version_number', { ascending: false })
+      .limit(1);
+
+    if (error) throw new Error(`Failed to fetch latest project version: ${error.message}`);
+    return data?.[0]?.version_number || 0;
+  }
+
+  /**
+   * Versions of a Markup URL without their snapshots, newest first
+   * @param {object} options - { limit, offset }
+   * @returns {Promise<object>} { versions, total }
+   */
+  async listProjectVersions(markupUrl, { limit = 50, offset = 0 } = {}) {
+    const { data, error, count } = await this.supabase
+      .from('project_versions')
+      .select('id, markup_url, version_number, project_id, scraped_data_id, project_name, total_threads, total_comments, total_screenshots, changes, scraped_at', { count: 'exact' })
+      .eq('markup_url', markupUrl)
+      .order('version_number', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw new Error(`Failed to fetch project versions: ${error.message}`);
+    return {
+      total: count ?? (data || []).length,
+      versions: (data || []).map(row => this.toProjectVersion(row))
+    };
+  }
+
+  /**
+   * A version with its threads and comments
+   * @param {string} markupUrl
+   * @param {number|null} versionNumber - null for the latest version
+   * @returns {Promise<object|null>}
+   */
+  async getProjectVersion(markupUrl, versionNumber = null) {
+    let query = this.supabase
+      .from('project_versions')
+      .select('*')
+      .eq('markup_url', markupUrl);
+
+    query = versionNumber === null
+      ? query.order('version_number', { ascending: false }).limit(1)
+      : query.eq('version_number', versionNumber);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to fetch project version: ${error.message}`);
+    return data?.[0] ? this.toProjectVersion(data[0]) : null;
+  }
+
+  /**
+   * Compare two versions: threads are matched by name, comments by their Markup ID.
+   * A comment counts as edited when its original wording, attachments, thread or resolved state changed.
+   * @param {object} older - Version with threads (see getProjectVersion)
+   * @param {object} newer
+   * @returns {object} { from, to, summary, threads: { added, removed, screenshotChanged }, comments: { added, removed, edited } }
+   */
+  diffProjectVersions(older, newer) {
+    const indexThreads = (version) => {
+      const threads = new Map();
+      const comments = new Map();
+      for (const thread of version.threads || []) {
+        threads.set(thread.threadName, thread);
+        for (const comment of thread.comments || []) {
+          comments.set(comment.id, { ...comment, threadName: thread.threadName });
+        }
+      }
+      return { threads, comments };
+    };
+    const describe = ({ id, threadName, pinNumber, user, content, attachments, resolved = false, parentCommentId = null }) =>
+      ({ id, threadName, pinNumber, user, content, attachments, resolved, parentCommentId });
+
+    const before = indexThreads(older);
+    const after = indexThreads(newer);
+
+    const threads = { added: [], removed: [], screenshotChanged: [] };
+    for (const [name, thread] of after.threads) {
+      const previous = before.threads.get(name);
+      if (!previous) {
+        threads.added.push({ threadName: name, imagePath: thread.imagePath, comments: thread.comments.length });
+      } else if ((previous.imageHash || previous.imagePath) !== (thread.imageHash || thread.imagePath)) {
+        threads.screenshotChanged.push({ threadName: name, before: previous.imagePath, after: thread.imagePath });
+      }
+    }
+    for (const [name, thread] of before.threads) {
+      if (!after.threads.has(name)) {
+        threads.removed.push({ threadName: name, imagePath: thread.imagePath, comments: thread.comments.length });
+      }
+    }
+
+    const comments = { added: [], removed: [], edited: [] };
+    for (const [id, comment] of after.comments) {
+      const previous = before.comments.get(id);
+      if (!previous) {
+        comments.added.push(describe(comment));
+        continue;
+      }
+
+      const changedFields = [];
+      if (previous.content !== comment.content) changedFields.push('content');
+      if (JSON.stringify(previous.attachments || []) !== JSON.stringify(comment.attachments || [])) changedFields.push('attachments');
+      if (previous.threadName !== comment.threadName) changedFields.push('thread');
+      if (Boolean(previous.resolved) !== Boolean(comment.resolved)) changedFields.push('resolved');
+      if (changedFields.length > 0) {
+        comments.edited.push({ ...describe(comment), changedFields, before: describe(previous) });
+      }
+    }
+    for (const [id, comment] of before.comments) {
+      if (!after.comments.has(id)) comments.removed.push(describe(comment));
+    }
+
+    return {
+      from: older.version,
+      to: newer.version,
+      summary: {
+        threads: { added: threads.added.length, removed: threads.removed.length, screenshotChanged: threads.screenshotChanged.length },
+        comments: { added: comments.added.length, removed: comments.removed.length, edited: comments.edited.length }
+      },
+      threads,
+      comments
+    };
+  }
+
+  // ==========================================================================
+  // CALLBACK DELIVERIES (job result webhooks sent to callers)
+  // ==========================================================================
+
+  /**
+   * Record one delivery attempt. Never throws - a broken log must not trigger a redelivery.
+   * @param {object} delivery - { jobId, callbackUrl, event, attempt, statusCode, success, error, durationMs }
+   */
+  async logCallbackDelivery(delivery) {
+    try {
+      const { error } = await this.supabase
+        .from('callback_deliveries')
+        .insert([{
+          job_id: delivery.jobId,
+          callback_url: delivery.callbackUrl,
+          event: delivery.event,
+          attempt: delivery.attempt,
+          status_code: delivery.statusCode || null,
+          success: delivery.success,
+          error: delivery.error || null,
+          duration_ms: delivery.durationMs ?? null
+        }]);
+
+      if (error) console.error('Failed to log callback delivery:', error.message);
+    } catch (err) {
+      console.error('Error logging callback delivery:', err.message);
+    }
+  }
+
+  async getCallbackDeliveries(jobId, limit = 50) {
+    const { data, error } = await this.supabase
+      .from('callback_deliveries')
+      .select('*')
+      .eq('job_id', jobId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw new Error(`Failed to fetch callback deliveries: ${error.message}`);
+    return data || [];
+  }
+
+  // ==========================================================================
+  // API KEYS & AUDIT LOG (see api_auth.js)
+  // ==========================================================================
+
+  toApiKey(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      keyPrefix: row.key_prefix,
+      scopes: row.scopes || [],
+      rateLimitPerMinute: row.rate_limit_per_minute,
+      expiresAt: row.expires_at,
+      revokedAt: row.revoked_at,
+      lastUsedAt: row.last_used_at,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * @param {string} keyHash - SHA-256 (hex) of the presented key
+   * @returns {Promise<object|null>} The key, including revoked/expired ones
+   */
+  async getApiKeyByHash(keyHash) {
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .select('*')
+      .eq('key_hash', keyHash)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to look up API key: ${error.message}`);
+    }
+    return data ? this.toApiKey(data) : null;
+  }
+
+  /**
+   * @param {object} apiKey - { name, keyPrefix, keyHash, scopes, rateLimitPerMinute, expiresAt }
+   * @returns {Promise<object>} The stored key (without the hash)
+   */
+  async createApiKey(apiKey) {
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .insert([{
+        name: apiKey.name,
+        key_prefix: apiKey.keyPrefix,
+        key_hash: apiKey.keyHash,
+        scopes: apiKey.scopes,
+        rate_limit_per_minute: apiKey.rateLimitPerMinute ?? null,
+        expires_at: apiKey.expiresAt || null
+      }])
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to create API key: ${error.message}`);
+    return this.toApiKey(data);
+  }
+
+  async listApiKeys() {
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (error) throw new Error(`Failed to fetch API keys: ${error.message}`);
+    return (data || []).map(row => this.toApiKey(row));
+  }
+
+  /**
+   * @returns {Promise<boolean>} false if the key does not exist or was already revoked
+   */
+  async revokeApiKey(keyId) {
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', keyId)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) throw new Error(`Failed to revoke API key: ${error.message}`);
+    return (data || []).length > 0;
+  }
+
+  async touchApiKey(keyId) {
+    const { error } = await this.supabase
+      .from('api_keys')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', keyId);
+
+    if (error) console.error('Failed to update API key last_used_at:', error.message);
+  }
+
+  /**
+   * Record one authenticated request. Never throws - auditing must not fail the request.
+   * @param {object} entry - { apiKeyId, keyName, method, path, statusCode, jobId, projectId, ip }
+   */
+  async logApiAudit(entry) {
+    try {
+      const { error } = await this.supabase
+        .from('api_audit_log')
+        .insert([{
+          api_key_id: entry.apiKeyId || null,
+          key_name: entry.keyName || null,
+          method: entry.method,
+          path: entry.path,
+          status_code: entry.statusCode || null,
+          job_id: entry.jobId || null,
+          project_id: entry.projectId || null,
+          ip: entry.ip || null
+        }]);
+
+      if (error) console.error('Failed to write API audit log:', error.message);
+    } catch (err) {
+      console.error('Error writing API audit log:', err.message);
+    }
+  }
+
+  /**
+   * @param {object} filters - { apiKeyId, jobId, limit }
+   */
+  async getApiAuditLog({ apiKeyId = null, jobId = null, limit = 100 } = {}) {
+    let query = this.supabase
+      .from('api_audit_log')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (apiKeyId) query = query.eq('api_key_id', apiKeyId);
+    if (jobId) query = query.eq('job_id', jobId);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to fetch API audit log: ${error.message}`);
+    return data || [];
+  }
+
   // Keep legacy methods for backward compatibility
   async saveCompletePayload(payloadData) {
     // Redirect to normalized version
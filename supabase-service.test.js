@@ -0,0 +1,150 @@
+// Tests for supabase-service.js change detection, version diffs and screenshot cleanup (run with `npm test`)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SupabaseService = require('./supabase-service.js');
+
+/**
+ * Service without a Supabase client; `versions` stands in for the rows of project_versions
+ * ({ version_number, image_paths }) and `removed` collects the screenshots deleted from storage
+ */
+function createService({ versions = [], versionsError = null } = {}) {
+  const service = Object.create(SupabaseService.prototype);
+  service.bucketName = 'screenshots';
+  service.versions = versions;
+  service.removed = [];
+  service.supabase = {
+    from(table) {
+      assert.equal(table, 'project_versions');
+      let rows = service.versions;
+      let deleting = false;
+      const query = {
+        select: () => query,
+        eq: () => query,
+        order: () => query,
+        delete() {
+          deleting = true;
+          return query;
+        },
+        overlaps(column, values) {
+          rows = rows.filter(row => row[column].some(value => values.includes(value)));
+          return query;
+        },
+        lte(column, value) {
+          rows = rows.filter(row => row[column] <= value);
+          return query;
+        },
+        then(resolve, reject) {
+          if (versionsError) return Promise.resolve({ data: null, error: versionsError }).then(resolve, reject);
+          if (deleting) service.versions = service.versions.filter(row => !rows.includes(row));
+          const data = [...rows].sort((a, b) => b.version_number - a.version_number);
+          return Promise.resolve({ data, error: null }).then(resolve, reject);
+        }
+      };
+      return query;
+    }
+  };
+  service.supabase.storage = {
+    from: () => ({
+      remove: async (paths) => {
+        service.removed.push(...paths);
+        return { data: paths, error: null };
+      }
+    })
+  };
+  return service;
+}
+
+const row = (overrides = {}) => ({
+  thread_id: 't1',
+  comment_index: 1,
+  pin_number: 1,
+  content: 'Logo bigger',
+  original_content: 'Logo größer',
+  user_name: 'Anna',
+  attachments: [],
+  translation_deferred: false,
+  posted_at: '2026-10-01T08:00:00.000Z',
+  resolved: false,
+  parent_comment_id: null,
+  ...overrides
+});
+
+test('hasCommentChanged ignores new translations and timestamp formatting', () => {
+  const service = createService();
+  assert.equal(service.hasCommentChanged(row(), row({ content: 'Make the logo bigger' })), false);
+  assert.equal(service.hasCommentChanged(row({ posted_at: '2026-10-01 08:00:00+00' }), row()), false);
+  assert.equal(service.hasCommentChanged(row({ original_content: null, content: 'Logo größer' }), row()), false);
+});
+
+test('hasCommentChanged detects edits, moves, resolving and finished translations', () => {
+  const service = createService();
+  assert.equal(service.hasCommentChanged(row(), row({ original_content: 'Logo kleiner' })), true);
+  assert.equal(service.hasCommentChanged(row(), row({ pin_number: 2 })), true);
+  assert.equal(service.hasCommentChanged(row(), row({ resolved: true })), true);
+  assert.equal(service.hasCommentChanged(row(), row({ attachments: ['https://example.com/a.png'] })), true);
+  assert.equal(service.hasCommentChanged(row({ translation_deferred: true }), row()), true);
+  assert.equal(service.hasCommentChanged(row(), row({ translation_deferred: true })), false);
+});
+
+test('diffProjectVersions reports thread, screenshot and comment changes', () => {
+  const comment = (id, content, extra = {}) => ({ id, pinNumber: 1, user: 'Anna', content, attachments: [], ...extra });
+  const older = {
+    version: 1,
+    threads: [
+      { threadName: 'Start', imagePath: 'a.jpg', imageHash: 'h1', comments: [comment('c1', 'Logo größer'), comment('c2', 'Farbe')] },
+      { threadName: 'Kontakt', imagePath: 'k.jpg', imageHash: 'h2', comments: [comment('c3', 'Karte')] }
+    ]
+  };
+  const newer = {
+    version: 2,
+    threads: [
+      { threadName: 'Start', imagePath: 'b.jpg', imageHash: 'h3', comments: [comment('c1', 'Logo kleiner'), comment('c2', 'Farbe', { resolved: true })] },
+      { threadName: 'Team', imagePath: 't.jpg', imageHash: 'h4', comments: [comment('c4', 'Fotos')] }
+    ]
+  };
+
+  const diff = createService().diffProjectVersions(older, newer);
+  assert.equal(diff.from, 1);
+  assert.equal(diff.to, 2);
+  assert.deepEqual(diff.summary, {
+    threads: { added: 1, removed: 1, screenshotChanged: 1 },
+    comments: { added: 1, removed: 1, edited: 2 }
+  });
+  assert.deepEqual(diff.threads.screenshotChanged, [{ threadName: 'Start', before: 'a.jpg', after: 'b.jpg' }]);
+
+  const edited = Object.fromEntries(diff.comments.edited.map(c => [c.id, c.changedFields]));
+  assert.deepEqual(edited, { c1: ['content'], c2: ['resolved'] });
+  assert.equal(diff.comments.edited.find(c => c.id === 'c1').before.content, 'Logo größer');
+});
+
+test('replaced screenshots still shown by a saved version are not deleted', async () => {
+  const service = createService({ versions: [{ version_number: 1, image_paths: ['old-1.jpg', 'a.jpg'] }] });
+  assert.deepEqual(await service.filterUnversionedImages('https://app.markup.io/markup/x', ['old-1.jpg', 'old-2.jpg']), ['old-2.jpg']);
+});
+
+test('screenshots are kept when the version lookup fails, deleted when there is no versions table', async () => {
+  const failing = createService({ versionsError: { code: '57014', message: 'timeout' } });
+  assert.deepEqual(await failing.filterUnversionedImages('u', ['old-1.jpg']), []);
+
+  const unmigrated = createService({ versionsError: { code: '42P01', message: 'relation "project_versions" does not exist' } });
+  assert.deepEqual(await unmigrated.filterUnversionedImages('u', ['old-1.jpg']), ['old-1.jpg']);
+});
+
+test('pruning old versions deletes the screenshots only they showed', async () => {
+  const service = createService({
+    versions: [
+      { version_number: 1, image_paths: ['a1.jpg', 'shared.jpg'] },
+      { version_number: 2, image_paths: ['a2.jpg', 'shared.jpg', 'reused.jpg'] },
+      { version_number: 3, image_paths: ['a3.jpg', 'shared.jpg'] },
+      { version_number: 4, image_paths: ['a4.jpg', 'shared.jpg'] }
+    ]
+  });
+
+  const result = await service.pruneProjectVersions('u', 2, ['a4.jpg', 'shared.jpg', 'reused.jpg']);
+  assert.deepEqual(result, { versionsDeleted: 2, imagesDeleted: 2 });
+  assert.deepEqual(service.versions.map(row => row.version_number), [3, 4]);
+  assert.deepEqual(service.removed.sort(), ['a1.jpg', 'a2.jpg']);
+
+  assert.deepEqual(await service.pruneProjectVersions('u', 2, []), { versionsDeleted: 0, imagesDeleted: 0 });
+});
@@ -0,0 +1,97 @@
+// translation_cache.js
+// Redis-backed cache of provider translations so repeated comments are not re-sent on every scrape.
+// Keys: translation-cache:<provider>:<source|auto>:<target>:<sha256 of source text>
+// Hit/miss counters are kept in Redis as well so they survive restarts (see GET /health).
+
+const crypto = require('crypto');
+const { getRedisConnection, isRedisReady } = require('./redis_client');
+require('dotenv').config();
+
+const CACHE_ENABLED = process.env.TRANSLATION_CACHE_ENABLED !== 'false'; // Enable by default
+const CACHE_TTL_SECONDS = (parseInt(process.env.TRANSLATION_CACHE_TTL_DAYS) || 90) * 24 * 3600;
+const KEY_PREFIX = 'translation-cache';
+const STATS_KEY = `${KEY_PREFIX}:stats`;
+
+/**
+ * Build the cache key for a source text and language pair.
+ * A project glossary changes the translation, so its terms are part of the hashed input.
+ * @param {string} text - Original comment text
+ * @param {object} options - { provider, sourceLang, targetLang, glossary }
+ * @returns {string}
+ */
+function buildCacheKey(text, { provider, sourceLang = null, targetLang, glossary = [] }) {
+  const hashInput = glossary && glossary.length > 0
+    ? `${text}\n${JSON.stringify(glossary.map(t => [t.sourceTerm, t.targetTerm, t.sourceLang, t.targetLang, t.caseSensitive]))}`
+    : text;
+  const hash = crypto.createHash('sha256').update(hashInput).digest('hex');
+  return `${KEY_PREFIX}:${provider}:${(sourceLang || 'auto').toUpperCase()}:${targetLang.toUpperCase()}:${hash}`;
+}
+
+/**
+ * Look up several translations at once.
+ * Returns an array of cached results (or null) in input order; every lookup counts as a hit or miss.
+ * When the cache is disabled or Redis is unavailable everything is a miss and nothing is counted.
+ * @param {Array<string>} keys - Keys from buildCacheKey
+ * @returns {Promise<Array<object|null>>}
+ */
+async function getCachedTranslations(keys) {
+  if (!CACHE_ENABLED || keys.length === 0 || !isRedisReady()) {
+    return keys.map(() => null);
+  }
+
+  try {
+    const values = await getRedisConnection().mget(keys);
+    const results = values.map(value => (value ? JSON.parse(value) : null));
+    const hits = results.filter(Boolean).length;
+
+    await getRedisConnection().multi()
+      .hincrby(STATS_KEY, 'hits', hits)
+      .hincrby(STATS_KEY, 'misses', keys.length - hits)
+      .exec();
+
+    return results;
+  } catch (error) {
+    console.warn(`⚠️  Translation cache lookup failed: ${error.message}`);
+    return keys.map(() => null);
+  }
+}
+
+/**
+ * Store translations in the cache
+ * @param {Array<{key: string, value: object}>} entries - value is the translation result to return on a hit
+ * @returns {Promise<void>}
+ */
+async function cacheTranslations(entries) {
+  if (!CACHE_ENABLED || entries.length === 0 || !isRedisReady()) return;
+
+  try {
+    const pipeline = getRedisConnection().multi();
+    entries.forEach(({ key, value }) => pipeline.set(key, JSON.stringify(value), 'EX', CACHE_TTL_SECONDS));
+    await pipeline.exec();
+  } catch (error) {
+    console.warn(`⚠️  Translation cache write failed: ${error.message}`);
+  }
+}
+
+/**
+ * Cache counters for the health endpoint
+ * @returns {Promise<object>} - { enabled, available, hits, misses, hitRate }
+ */
+async function getCacheStats() {
+  const stats = { enabled: CACHE_ENABLED, available: isRedisReady(), hits: 0, misses: 0, hitRate: null };
+  if (!CACHE_ENABLED || !stats.available) return stats;
+
+  const counters = await getRedisConnection().hgetall(STATS_KEY);
+  stats.hits = parseInt(counters.hits) || 0;
+  stats.misses = parseInt(counters.misses) || 0;
+  const total = stats.hits + stats.misses;
+  stats.hitRate = total > 0 ? Math.round((stats.hits / total) * 1000) / 1000 : null;
+  return stats;
+}
+
+module.exports = {
+  buildCacheKey,
+  getCachedTranslations,
+  cacheTranslations,
+  getCacheStats
+};
@@ -0,0 +1,310 @@
+// translation_providers.js
+// Translation backends used by translator.js. Select one with TRANSLATION_PROVIDER:
+//   deepl (default)  - DeepL API (free or pro endpoint via DEEPL_API_URL)
+//   libretranslate   - Any LibreTranslate-compatible server (LIBRETRANSLATE_URL)
+//   none             - Passthrough, returns the text unchanged
+//
+// Every provider implements:
+//   name                                   - identifier stored alongside translations
+//   metered                                - optional; true if characters are billed, which gives the
+//                                           provider a default monthly budget (translation_usage.js)
+//   passthrough                            - optional; true if the provider translates nothing, so
+//                                           translator.js neither calls nor counts it
+//   isConfigured()                         - false if required credentials/URLs are missing
+//   translate(text, { sourceLang, targetLang }) - resolves to { text, detectedSourceLanguage };
+//                                           sourceLang null/undefined means auto-detect
+//   translateMany(texts, options)          - optional; one request for several texts,
+//                                           resolves to an array in the same order
+//   getUsage()                             - optional; resolves to { characterCount, characterLimit }
+//                                           for the current billing period
+//   createGlossary(terms, sourceLang, targetLang) - optional; resolves to a glossary ID that
+//                                           translateMany accepts as options.glossaryId
+
+const crypto = require('crypto');
+require('dotenv').config();
+// Note: Using native fetch API (available in Node.js 18+)
+
+// Rate limiting configuration
+const MAX_RETRIES = 3;
+const BASE_DELAY = 2000; // 2 seconds base delay
+const MAX_DELAY = 30000; // 30 seconds max delay
+const REQUEST_TIMEOUT = 15000; // 15 seconds per request
+
+/**
+ * Sleep utility for rate limiting
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Calculate exponential backoff delay
+ * @param {number} attempt - Current attempt number (0-indexed)
+ * @returns {number} - Delay in milliseconds
+ */
+function getBackoffDelay(attempt) {
+  const delay = BASE_DELAY * Math.pow(2, attempt);
+  return Math.min(delay, MAX_DELAY);
+}
+
+/**
+ * POST to a translation API with automatic retry and exponential backoff on 429.
+ * Errors are normalized to messages prefixed with the provider label.
+ * @param {string} url - Endpoint URL
+ * @param {object} init - fetch options (headers, body)
+ * @param {string} label - Provider label used in error messages (e.g. "DeepL")
+ * @param {string} rateLimitHint - Extra hint appended to the rate limit error
+ * @returns {Promise<object>} - Parsed JSON response
+ */
+async function postWithBackoff(url, init, label, rateLimitHint = '') {
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        ...init,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+      });
+
+      // Handle rate limiting (429)
+      if (response.status === 429) {
+        const retryAfter = response.headers.get('Retry-After');
+        const delay = retryAfter ? parseInt(retryAfter) * 1000 : getBackoffDelay(attempt);
+
+        if (attempt < MAX_RETRIES - 1) {
+          console.warn(`⏳ Rate limited (429). Waiting ${delay/1000}s before retry ${attempt + 1}/${MAX_RETRIES}...`);
+          await sleep(delay);
+          continue; // Retry
+        } else {
+          throw new Error(`${label} API rate limit exceeded. Please wait before retrying.${rateLimitHint}`);
+        }
+      }
+
+      if (!response.ok) {
+        const err = await response.text();
+        throw new Error(`${label} API error: ${response.status} ${err}`);
+      }
+
+      return await response.json();
+
+    } catch (err) {
+      // Only retry on rate limit errors
+      if (err.message.includes('rate limit') && attempt < MAX_RETRIES - 1) {
+        continue;
+      }
+
+      // Re-throw other errors
+      if (err.name === 'AbortError' || err.name === 'TimeoutError') {
+        throw new Error(`Translation timeout: ${label} API took longer than ${REQUEST_TIMEOUT / 1000} seconds`);
+      } else if (err.cause?.code === 'UND_ERR_CONNECT_TIMEOUT') {
+        throw new Error(`Cannot reach ${label} API: Connection timeout`);
+      } else if (err.message.includes(`${label} API`)) {
+        throw err; // Re-throw provider-specific errors
+      } else {
+        throw new Error(`Translation failed: ${err.message}`);
+      }
+    }
+  }
+
+  // Should not reach here, but just in case
+  throw new Error('Translation failed after maximum retries');
+}
+
+class DeepLProvider {
+  constructor(options = {}) {
+    this.name = 'deepl';
+    this.metered = true;
+    this.apiKey = options.apiKey || process.env.DEEPL_API_KEY;
+    this.apiUrl = options.apiUrl || process.env.DEEPL_API_URL || 'https://api-free.deepl.com/v2/translate';
+    this.glossaryIds = new Map(); // glossary name -> DeepL glossary_id
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async translate(text, options = {}) {
+    const [result] = await this.translateMany([text], options);
+    return result;
+  }
+
+  async translateMany(texts, { sourceLang = null, targetLang = 'EN', glossaryId = null } = {}) {
+    const params = new URLSearchParams();
+    params.append('auth_key', this.apiKey);
+    texts.forEach(text => params.append('text', text)); // DeepL accepts the text param repeatedly
+    if (sourceLang) params.append('source_lang', sourceLang.toUpperCase()); // Omitted = DeepL detects it
+    params.append('target_lang', targetLang.toUpperCase());
+    if (glossaryId) params.append('glossary_id', glossaryId); // Requires source_lang
+
+    const data = await postWithBackoff(this.apiUrl, {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: params
+    }, 'DeepL', ' (Free tier: 500,000 chars/month)');
+
+    if (data && Array.isArray(data.translations) && data.translations.length === texts.length
+      && data.translations.every(t => typeof t.text === 'string')) {
+      return data.translations.map(t => ({
+        text: t.text,
+        detectedSourceLanguage: t.detected_source_language || sourceLang || null
+      }));
+    }
+    throw new Error('DeepL API: Unexpected response format');
+  }
+
+  /**
+   * Get (or create) a DeepL glossary for these terms. Glossaries are immutable, so the name
+   * is derived from the content and an existing glossary with that name is reused.
+   * @param {Array<object>} terms - Glossary terms with a targetTerm
+   * @returns {Promise<string>} glossary_id
+   */
+  async createGlossary(terms, sourceLang, targetLang) {
+    const source = sourceLang.split('-')[0].toLowerCase();
+    const target = targetLang.split('-')[0].toLowerCase();
+
+    // One entry per source term; tabs and newlines would break the TSV format
+    const entries = new Map();
+    terms.forEach(term => {
+      const clean = value => value.replace(/\s+/g, ' ').trim();
+      if (!entries.has(clean(term.sourceTerm))) entries.set(clean(term.sourceTerm), clean(term.targetTerm));
+    });
+    const tsv = [...entries].map(([from, to]) => `${from}\t${to}`).join('\n');
+    const name = `markup-${source}-${target}-${crypto.createHash('sha256').update(tsv).digest('hex').slice(0, 16)}`;
+
+    if (this.glossaryIds.has(name)) return this.glossaryIds.get(name);
+
+    const baseUrl = this.apiUrl.replace(/\/translate\/?$/, '');
+    const headers = { Authorization: `DeepL-Auth-Key ${this.apiKey}` };
+
+    const listResponse = await fetch(`${baseUrl}/glossaries`, { headers, signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+    if (listResponse.ok) {
+      const { glossaries = [] } = await listResponse.json();
+      const existing = glossaries.find(glossary => glossary.name === name && glossary.ready !== false);
+      if (existing) {
+        this.glossaryIds.set(name, existing.glossary_id);
+        return existing.glossary_id;
+      }
+    }
+
+    const data = await postWithBackoff(`${baseUrl}/glossaries`, {
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, source_lang: source, target_lang: target, entries: tsv, entries_format: 'tsv' })
+    }, 'DeepL');
+
+    if (!data || !data.glossary_id) {
+      throw new Error('DeepL API: Unexpected response format');
+    }
+
+    console.log(`📖 Created DeepL glossary ${name} (${entries.size} terms)`);
+    this.glossaryIds.set(name, data.glossary_id);
+    return data.glossary_id;
+  }
+
+  async getUsage() {
+    const usageUrl = this.apiUrl.replace(/\/translate\/?$/, '/usage');
+    const response = await fetch(usageUrl, {
+      headers: { Authorization: `DeepL-Auth-Key ${this.apiKey}` },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+
+    if (!response.ok) {
+      throw new Error(`DeepL API error: ${response.status} ${await response.text()}`);
+    }
+
+    const data = await response.json();
+    return {
+      characterCount: data.character_count ?? null,
+      characterLimit: data.character_limit ?? null
+    };
+  }
+}
+
+class LibreTranslateProvider {
+  constructor(options = {}) {
+    this.name = 'libretranslate';
+    this.baseUrl = (options.baseUrl || process.env.LIBRETRANSLATE_URL || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.LIBRETRANSLATE_API_KEY || null;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  async translate(text, options = {}) {
+    const [result] = await this.translateMany([text], options);
+    return result;
+  }
+
+  async translateMany(texts, { sourceLang = null, targetLang = 'EN' } = {}) {
+    const body = {
+      q: texts, // LibreTranslate accepts an array and answers with arrays
+      source: sourceLang ? sourceLang.toLowerCase() : 'auto',
+      target: targetLang.toLowerCase(),
+      format: 'text'
+    };
+    if (this.apiKey) body.api_key = this.apiKey;
+
+    const data = await postWithBackoff(`${this.baseUrl}/translate`, {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }, 'LibreTranslate');
+
+    const translated = Array.isArray(data?.translatedText) ? data.translatedText : [data?.translatedText];
+    const detected = Array.isArray(data?.detectedLanguage) ? data.detectedLanguage : [data?.detectedLanguage];
+
+    if (translated.length === texts.length && translated.every(t => typeof t === 'string')) {
+      return translated.map((text, i) => ({
+        text,
+        detectedSourceLanguage: detected[i]?.language || sourceLang || null
+      }));
+    }
+    throw new Error('LibreTranslate API: Unexpected response format');
+  }
+}
+
+class PassthroughProvider {
+  constructor() {
+    this.name = 'none';
+    this.passthrough = true;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async translate(text, { sourceLang = null } = {}) {
+    return { text, detectedSourceLanguage: sourceLang };
+  }
+
+  async translateMany(texts, options = {}) {
+    return Promise.all(texts.map(text => this.translate(text, options)));
+  }
+}
+
+const PROVIDERS = {
+  deepl: DeepLProvider,
+  libretranslate: LibreTranslateProvider,
+  none: PassthroughProvider
+};
+
+/**
+ * Create a translation provider by name
+ * @param {string} name - deepl | libretranslate | none (defaults to TRANSLATION_PROVIDER or deepl)
+ * @param {object} options - Provider-specific overrides (apiKey, apiUrl, baseUrl)
+ * @returns {object} - Provider instance
+ */
+function createTranslationProvider(name = process.env.TRANSLATION_PROVIDER || 'deepl', options = {}) {
+  const Provider = PROVIDERS[name.toLowerCase()];
+  if (!Provider) {
+    throw new Error(`Unknown translation provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+module.exports = {
+  createTranslationProvider,
+  postWithBackoff,
+  DeepLProvider,
+  LibreTranslateProvider,
+  PassthroughProvider
+};
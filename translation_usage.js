@@ -0,0 +1,161 @@
+// translation_usage.js
+// Tracks characters sent to the translation provider per calendar month and guards a monthly budget.
+// Counters live in Redis (translation-usage:<YYYY-MM>) with an in-process fallback while Redis is down.
+// DeepL's own /usage figures are fetched on demand and take precedence when they are higher.
+
+const { getRedisConnection, isRedisReady } = require('./redis_client');
+require('dotenv').config();
+
+// Unset: 500,000 characters per month (DeepL free tier) for metered providers, no budget for
+// self-hosted or passthrough ones. A configured value applies to every provider; 0 disables the guard.
+const DEFAULT_METERED_BUDGET = 500000;
+const CONFIGURED_BUDGET = process.env.TRANSLATION_MONTHLY_CHAR_BUDGET
+  ? parseInt(process.env.TRANSLATION_MONTHLY_CHAR_BUDGET) || 0
+  : null;
+const PROVIDER_USAGE_TTL = 5 * 60 * 1000; // Re-query the provider at most every 5 minutes
+const KEY_PREFIX = 'translation-usage';
+
+const localCounters = new Map(); // month -> { total, providers: { name: chars } }
+let providerUsageCache = null; // { provider, fetchedAt, usage }
+
+/**
+ * Current month as YYYY-MM (UTC)
+ * @returns {string}
+ */
+function getCurrentMonth() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+/**
+ * Add characters sent to a provider to this month's counter
+ * @param {number} characters
+ * @param {string} providerName
+ * @returns {Promise<void>}
+ */
+async function recordCharacters(characters, providerName) {
+  if (!characters) return;
+  const month = getCurrentMonth();
+
+  const local = localCounters.get(month) || { total: 0, providers: {} };
+  local.total += characters;
+  local.providers[providerName] = (local.providers[providerName] || 0) + characters;
+  localCounters.set(month, local);
+
+  if (!isRedisReady()) return;
+  try {
+    const key = `${KEY_PREFIX}:${month}`;
+    await getRedisConnection().multi()
+      .hincrby(key, 'total', characters)
+      .hincrby(key, providerName, characters)
+      .expire(key, 400 * 24 * 3600) // Keep about a year of history
+      .exec();
+  } catch (error) {
+    console.warn(`⚠️  Failed to record translation usage: ${error.message}`);
+  }
+}
+
+/**
+ * Characters sent this month according to our own counters
+ * @returns {Promise<object>} - { month, total, providers }
+ */
+async function getTrackedUsage() {
+  const month = getCurrentMonth();
+  const local = localCounters.get(month) || { total: 0, providers: {} };
+
+  if (isRedisReady()) {
+    try {
+      const counters = await getRedisConnection().hgetall(`${KEY_PREFIX}:${month}`);
+      const { total, ...providers } = counters;
+      return {
+        month,
+        total: Math.max(parseInt(total) || 0, local.total),
+        providers: Object.fromEntries(Object.entries(providers).map(([name, chars]) => [name, parseInt(chars) || 0]))
+      };
+    } catch (error) {
+      console.warn(`⚠️  Failed to read translation usage: ${error.message}`);
+    }
+  }
+
+  return { month, ...local };
+}
+
+/**
+ * Usage as reported by the provider itself (only providers with getUsage(), e.g. DeepL)
+ * @param {object} provider - Translation provider instance
+ * @param {object} options - { refresh } to bypass the short-lived cache
+ * @returns {Promise<object|null>} - { characterCount, characterLimit } or null
+ */
+async function getProviderUsage(provider, { refresh = false } = {}) {
+  if (!provider || typeof provider.getUsage !== 'function' || !provider.isConfigured()) return null;
+
+  const fresh = providerUsageCache
+    && providerUsageCache.provider === provider.name
+    && Date.now() - providerUsageCache.fetchedAt < PROVIDER_USAGE_TTL;
+  if (fresh && !refresh) return providerUsageCache.usage;
+
+  try {
+    const usage = await provider.getUsage();
+    providerUsageCache = { provider: provider.name, fetchedAt: Date.now(), usage };
+    return usage;
+  } catch (error) {
+    console.warn(`⚠️  Could not fetch ${provider.name} usage: ${error.message}`);
+    return providerUsageCache?.provider === provider.name ? providerUsageCache.usage : null;
+  }
+}
+
+/**
+ * Monthly character budget for a provider (0 = none)
+ * @param {object} provider - Translation provider instance (`metered` for billed providers)
+ * @returns {number}
+ */
+function getMonthlyBudget(provider) {
+  if (CONFIGURED_BUDGET !== null) return CONFIGURED_BUDGET;
+  return provider?.metered ? DEFAULT_METERED_BUDGET : 0;
+}
+
+/**
+ * How many characters may still be sent this month.
+ * Uses the higher of our own counter and the provider's figure, and also respects the provider's hard limit.
+ * @param {object} provider - Translation provider instance
+ * @returns {Promise<number>} - Remaining characters (Infinity when no budget applies)
+ */
+async function getRemainingCharacters(provider) {
+  const tracked = await getTrackedUsage();
+  const providerUsage = await getProviderUsage(provider);
+
+  const used = Math.max(tracked.total, providerUsage?.characterCount || 0);
+  const limits = [getMonthlyBudget(provider), providerUsage?.characterLimit].filter(limit => limit > 0);
+  if (limits.length === 0) return Infinity;
+
+  return Math.max(Math.min(...limits) - used, 0);
+}
+
+/**
+ * Full usage report for GET /translation/usage
+ * @param {object} provider - Translation provider instance
+ * @returns {Promise<object>}
+ */
+async function getUsageReport(provider) {
+  const tracked = await getTrackedUsage();
+  const providerUsage = await getProviderUsage(provider, { refresh: true });
+  const remaining = await getRemainingCharacters(provider);
+
+  return {
+    month: tracked.month,
+    provider: provider?.name || null,
+    budget: getMonthlyBudget(provider) || null,
+    tracked: { total: tracked.total, byProvider: tracked.providers },
+    providerReported: providerUsage,
+    remaining: Number.isFinite(remaining) ? remaining : null,
+    budgetReached: remaining === 0
+  };
+}
+
+module.exports = {
+  recordCharacters,
+  getTrackedUsage,
+  getProviderUsage,
+  getMonthlyBudget,
+  getRemainingCharacters,
+  getUsageReport
+};
@@ -0,0 +1,23 @@
+// Tests for translation_usage.js monthly budgets (run with `npm test`)
+
+delete process.env.TRANSLATION_MONTHLY_CHAR_BUDGET;
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { getMonthlyBudget, getRemainingCharacters } = require('./translation_usage.js');
+const { createTranslationProvider } = require('./translation_providers.js');
+const { closeRedisConnection } = require('./redis_client');
+
+after(() => closeRedisConnection());
+
+test('only metered providers get the default monthly budget', async () => {
+  const deepl = createTranslationProvider('deepl', { apiKey: '' }); // Not configured: no /usage request
+  assert.equal(getMonthlyBudget(deepl), 500000);
+  assert.equal(await getRemainingCharacters(deepl), 500000);
+
+  for (const name of ['libretranslate', 'none']) {
+    const provider = createTranslationProvider(name);
+    assert.equal(getMonthlyBudget(provider), 0);
+    assert.equal(await getRemainingCharacters(provider), Infinity);
+  }
+});
@@ -1,162 +1,580 @@
 // translator.js
-// Translates German comments to English using DeepL API (no library required)
-// Usage: await translateCommentToEnglish(commentText)
+// Translates comments through a configurable provider (see translation_providers.js)
+// Usage: await translateComment(commentText, { targetLang: 'EN' })
+//        await translateCommentToEnglish(commentText)
 
 require('dotenv').config();
-// Note: Using native fetch API (available in Node.js 18+)
+const { createTranslationProvider } = require('./translation_providers.js');
+const { buildCacheKey, getCachedTranslations, cacheTranslations } = require('./translation_cache.js');
+const { recordCharacters, getRemainingCharacters } = require('./translation_usage.js');
 
-const DEEPL_API_KEY = process.env.DEEPL_API_KEY;
-const DEEPL_API_URL = 'https://api-free.deepl.com/v2/translate';
 const TRANSLATION_ENABLED = process.env.ENABLE_TRANSLATION !== 'false'; // Enable by default
+const DEFAULT_TARGET_LANG = process.env.TRANSLATION_TARGET_LANG || 'EN';
 
-// Rate limiting configuration
-const MAX_RETRIES = 3;
-const BASE_DELAY = 2000; // 2 seconds base delay
-const MAX_DELAY = 30000; // 30 seconds max delay
+// Batch limits: DeepL accepts up to 50 texts and 128 KiB per request
+const BATCH_MAX_TEXTS = parseInt(process.env.TRANSLATION_BATCH_MAX_TEXTS) || 50;
+const BATCH_MAX_CHARS = parseInt(process.env.TRANSLATION_BATCH_MAX_CHARS) || 30000;
+
+// Common function words per language for the local detection heuristic
+const STOPWORDS = {
+  DE: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'bitte', 'mit', 'auf', 'für', 'ein', 'eine', 'zu', 'den', 'dem', 'ich', 'wir', 'sie', 'hier', 'noch', 'auch', 'wie', 'oder', 'aber', 'siehe', 'größer', 'kleiner', 'sollte', 'bei'],
+  EN: ['the', 'and', 'is', 'not', 'please', 'with', 'on', 'for', 'a', 'an', 'to', 'of', 'this', 'that', 'we', 'it', 'here', 'still', 'also', 'like', 'or', 'but', 'see', 'bigger', 'smaller', 'should', 'can', 'be', 'in'],
+  NL: ['de', 'het', 'een', 'en', 'is', 'niet', 'graag', 'met', 'op', 'voor', 'van', 'dit', 'dat', 'wij', 'we', 'hier', 'nog', 'ook', 'zoals', 'maar', 'zie', 'groter', 'kleiner', 'moet', 'kan', 'bij', 'naar'],
+  FR: ['le', 'la', 'les', 'et', 'est', 'pas', 'merci', 'avec', 'sur', 'pour', 'un', 'une', 'des', 'du', 'ce', 'cette', 'nous', 'ici', 'encore', 'aussi', 'comme', 'ou', 'mais', 'voir', 'plus', 'petit', 'doit', 'peut']
+};
+
+let provider = null;
 
 /**
- * Extract quoted strings and replace with placeholders
- * @param {string} text - The text containing quoted strings
- * @returns {Object} - { processedText, quotedStrings }
+ * Get the configured translation provider (created once per process)
+ * @returns {object} - Provider instance
+ */
+function getTranslationProvider() {
+  if (!provider) {
+    provider = createTranslationProvider();
+  }
+  return provider;
+}
+
+/**
+ * Replace the active translation provider (e.g. to point at a stub server)
+ * @param {object|string} newProvider - Provider instance or provider name
+ */
+function setTranslationProvider(newProvider) {
+  provider = typeof newProvider === 'string' ? createTranslationProvider(newProvider) : newProvider;
+}
+
+// ============================================================================
+// TOKEN PROTECTION
+// ============================================================================
+// Parts of a comment that must reach the reader exactly as written are swapped for
+// __TOKEN_n__ placeholders before translation and put back afterwards. Matchers run in
+// order on the text left over by the previous ones, so a URL containing a file name is
+// protected as one URL. Add project-specific classes with registerTokenMatcher().
+
+const PLACEHOLDER_PATTERN = /_{1,2}\s*TOKEN\s*_?\s*(\d+)\s*_{1,2}/gi; // Tolerates spacing the provider may add
+
+const FILE_EXTENSIONS = 'jpe?g|png|gif|webp|svg|heic|tiff?|pdf|docx?|xlsx?|pptx?|dwg|dxf|zip|mp4|mov';
+const MEASUREMENT_UNITS = 'mm|cm|dm|m|km|m²|m2|m³|m3|qm|px|pt|em|rem|vh|vw|%|°|kg|g|ft'; // No "in": too common as a word
+
+const tokenMatchers = [
+  // "..." or '...' (handles escaped quotes)
+  { name: 'quoted', pattern: /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g },
+  { name: 'url', pattern: /\b(?:https?:\/\/|www\.)[^\s<>"]*[^\s<>".,;:!?)\]]/gi },
+  { name: 'email', pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  // Either a name without spaces, or an indexed Markup file name with a few spaces
+  // ("01. 1234-56a TEST Folder.jpg"). Words in the spaced form need a digit or capital letter,
+  // so prose before a file name ("Seite 3 bitte wie in bild.jpg") is not swallowed.
+  // Case-sensitive on purpose: with the i flag \p{Lu} would match lower-case letters too.
+  {
+    name: 'filename',
+    pattern: new RegExp(`(?<![\\p{L}\\p{N}_])(?:\\d+\\. (?:[\\p{L}\\p{N}_.-]*[\\p{Lu}\\p{N}][\\p{L}\\p{N}_.-]* ){0,6}[\\p{L}\\p{N}_-][\\p{L}\\p{N}_.-]*|[\\p{L}\\p{N}_-][\\p{L}\\p{N}_.-]*)\\.(?:${FILE_EXTENSIONS}|${FILE_EXTENSIONS.toUpperCase()})(?![\\p{L}\\p{N}])`, 'gu')
+  },
+  { name: 'pinReference', pattern: /#\d+\b/g },
+  // 120mm, 2,5 m, 120 x 80 cm, 50%
+  {
+    name: 'measurement',
+    pattern: new RegExp(`(?<![\\p{L}\\p{N}_])\\d+(?:[.,]\\d+)?(?:\\s?[x×]\\s?\\d+(?:[.,]\\d+)?)*\\s?(?:${MEASUREMENT_UNITS})(?![\\p{L}\\p{N}])`, 'giu')
+  }
+];
+
+// Comma-separated matcher names to enable (default: all)
+const ENABLED_TOKEN_MATCHERS = process.env.TRANSLATION_PROTECTED_TOKENS
+  ? process.env.TRANSLATION_PROTECTED_TOKENS.split(',').map(name => name.trim()).filter(Boolean)
+  : null;
+
+/**
+ * Add a token class that must not be translated
+ * @param {object} matcher - { name, pattern } where pattern is a global RegExp
+ */
+function registerTokenMatcher(matcher) {
+  if (!matcher || !matcher.name || !(matcher.pattern instanceof RegExp) || !matcher.pattern.global) {
+    throw new Error('Token matcher needs a name and a global RegExp pattern');
+  }
+  tokenMatchers.push(matcher);
+}
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Replace every protected token with a placeholder.
+ * Glossary terms are protected the same way after the built-in matchers; their placeholder
+ * is restored with the term's fixed translation, or with the term as written when it has none.
+ * @param {string} text
+ * @param {object} options - { glossaryTerms } ({ sourceTerm, targetTerm, caseSensitive })
+ * @returns {Object} - { processedText, tokens } where tokens[n] replaces __TOKEN_n__
  */
-function extractQuotedStrings(text) {
-  const quotedStrings = [];
+function protectTokens(text, { glossaryTerms = [] } = {}) {
+  const tokens = [];
   let processedText = text;
-  
-  // Match both single and double quoted strings
-  // Regex matches: "..." or '...' (non-greedy, handles escaped quotes)
-  const quotePattern = /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g;
-  
-  processedText = text.replace(quotePattern, (match) => {
-    const index = quotedStrings.length;
-    quotedStrings.push(match);
-    return `__QUOTED_${index}__`;
+
+  const protect = (pattern, replacementFor) => {
+    processedText = processedText.replace(pattern, (match) => {
+      const index = tokens.length;
+      tokens.push(replacementFor(match));
+      return `__TOKEN_${index}__`;
+    });
+  };
+
+  tokenMatchers
+    .filter(matcher => !ENABLED_TOKEN_MATCHERS || ENABLED_TOKEN_MATCHERS.includes(matcher.name))
+    .forEach(matcher => protect(matcher.pattern, match => match));
+
+  // Longest terms first so "Wohnzimmer 2" wins over "Wohnzimmer"; whole words only
+  const terms = [...glossaryTerms].sort((a, b) => b.sourceTerm.length - a.sourceTerm.length);
+  for (const term of terms) {
+    const termPattern = new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(term.sourceTerm)}(?![\\p{L}\\p{N}_])`, term.caseSensitive ? 'gu' : 'giu');
+    protect(termPattern, match => term.targetTerm || match);
+  }
+
+  return { processedText, tokens };
+}
+
+/**
+ * Put protected tokens back and verify the round trip: every placeholder must come back
+ * from the provider, and no unknown placeholder may be left in the text.
+ * @param {string} text - Translated text with placeholders
+ * @param {Array<string>} tokens - From protectTokens
+ * @returns {string}
+ * @throws {Error} If a placeholder was lost or mangled beyond recognition
+ */
+function restoreTokens(text, tokens) {
+  const restored = new Set();
+  const unknown = [];
+
+  const restoredText = text.replace(PLACEHOLDER_PATTERN, (match, index) => {
+    const token = tokens[parseInt(index)];
+    if (token === undefined) {
+      unknown.push(match);
+      return match;
+    }
+    restored.add(parseInt(index));
+    return token;
   });
-  
-  return { processedText, quotedStrings };
+
+  const missing = tokens.map((token, index) => index).filter(index => !restored.has(index));
+  if (missing.length > 0 || unknown.length > 0) {
+    throw new Error(`Protected tokens lost in translation (missing: ${missing.map(i => `__TOKEN_${i}__`).join(', ') || 'none'}, unknown: ${unknown.join(', ') || 'none'})`);
+  }
+
+  return restoredText;
+}
+
+/**
+ * Extract quoted strings (and other protected tokens) and replace with placeholders.
+ * Kept for existing callers; see protectTokens.
+ * @param {string} text - The text containing quoted strings
+ * @param {Array<object>} glossaryTerms - Optional glossary terms
+ * @returns {Object} - { processedText, quotedStrings }
+ */
+function extractQuotedStrings(text, glossaryTerms = []) {
+  const { processedText, tokens } = protectTokens(text, { glossaryTerms });
+  return { processedText, quotedStrings: tokens };
 }
 
 /**
- * Restore quoted strings from placeholders
+ * Restore quoted strings from placeholders. Kept for existing callers; see restoreTokens.
  * @param {string} text - The translated text with placeholders
  * @param {Array<string>} quotedStrings - The original quoted strings
  * @returns {string} - Text with quoted strings restored
  */
 function restoreQuotedStrings(text, quotedStrings) {
-  let restoredText = text;
-  
-  quotedStrings.forEach((quotedStr, index) => {
-    const placeholder = `__QUOTED_${index}__`;
-    restoredText = restoredText.replace(placeholder, quotedStr);
-  });
-  
-  return restoredText;
+  return restoreTokens(text, quotedStrings);
 }
 
 /**
- * Sleep utility for rate limiting
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
+ * Normalize a language code for comparison ("en-gb" → "EN")
+ * @param {string} lang
+ * @returns {string|null}
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function normalizeLanguage(lang) {
+  if (!lang || typeof lang !== 'string') return null;
+  return lang.trim().split(/[-_]/)[0].toUpperCase() || null;
 }
 
 /**
- * Calculate exponential backoff delay
- * @param {number} attempt - Current attempt number (0-indexed)
- * @returns {number} - Delay in milliseconds
+ * Format a language code for the provider, keeping the region ("en_gb" → "EN-GB").
+ * Use normalizeLanguage for comparisons.
+ * @param {string} lang
+ * @returns {string|null}
  */
-function getBackoffDelay(attempt) {
-  const delay = BASE_DELAY * Math.pow(2, attempt);
-  return Math.min(delay, MAX_DELAY);
+function formatProviderLanguage(lang) {
+  if (!lang || typeof lang !== 'string') return null;
+  return lang.trim().replace(/_/g, '-').toUpperCase() || null;
 }
 
 /**
- * Translates a comment from German to English using DeepL API.
- * Preserves quoted strings by replacing them with placeholders before translation.
- * Includes automatic retry with exponential backoff for rate limiting (429 errors).
- * @param {string} text - The comment text in German.
- * @returns {Promise<string>} - The translated text in English.
+ * Guess the language of a text locally by counting common function words.
+ * Returns null when the text is too short or no language clearly wins.
+ * @param {string} text
+ * @returns {string|null} - Language code (DE, EN, NL, FR)
  */
-async function translateCommentToEnglish(text) {
+function detectLanguage(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const words = text.toLowerCase().match(/[a-zà-ÿß]+/g) || [];
+  if (words.length < 3) return null;
+
+  const scores = Object.entries(STOPWORDS).map(([lang, stopwords]) => ({
+    lang,
+    score: words.filter(word => stopwords.includes(word)).length + (lang === 'DE' ? (text.match(/[äöüß]/gi) || []).length : 0)
+  })).sort((a, b) => b.score - a.score);
+
+  // Require at least two hits and a clear lead over the runner-up
+  if (scores[0].score < 2 || scores[0].score <= scores[1].score) return null;
+  return scores[0].lang;
+}
+
+/**
+ * Glossary terms that apply to a text, split into terms the provider's own glossary can
+ * handle (fixed translation, known source language) and terms protected locally.
+ * A provider glossary forces the source language, so it is only used when the caller gave
+ * one: a language guessed from stopwords could be wrong and the text mistranslated.
+ * @param {Array<object>} glossary - Project glossary terms
+ * @param {object} context - { sourceLanguage, sourceLanguageKnown, target, useProviderGlossary }
+ * @returns {object} - { providerTerms, localTerms }
+ */
+function selectGlossaryTerms(glossary, { sourceLanguage, sourceLanguageKnown, target, useProviderGlossary }) {
+  const applicable = (glossary || []).filter(term =>
+    term.sourceTerm
+    && (!term.targetLang || normalizeLanguage(term.targetLang) === target)
+    && (!term.sourceLang || !sourceLanguage || normalizeLanguage(term.sourceLang) === sourceLanguage));
+
+  if (!useProviderGlossary || !sourceLanguage || !sourceLanguageKnown) {
+    return { providerTerms: [], localTerms: applicable };
+  }
+
+  return {
+    providerTerms: applicable.filter(term => term.targetTerm),
+    localTerms: applicable.filter(term => !term.targetTerm)
+  };
+}
+
+/**
+ * Decide whether a text needs the provider at all and prepare it for sending.
+ * @param {string} text - The comment text
+ * @param {object} options - { targetLang, sourceLang, glossary }
+ * @param {boolean} useProviderGlossary - Leave translatable glossary terms to the provider's glossary
+ * @returns {object} - { result } when no provider call is needed, otherwise
+ *                     { processedText, tokens, untranslated, target, providerTarget, glossarySource, providerTerms }
+ */
+function prepareTranslation(text, { targetLang = DEFAULT_TARGET_LANG, sourceLang = null, glossary = [] } = {}, useProviderGlossary = false) {
+  const target = normalizeLanguage(targetLang) || 'EN';
+  const providerTarget = formatProviderLanguage(targetLang) || 'EN'; // Keeps EN-GB / PT-BR for the provider
+  const knownLanguage = normalizeLanguage(sourceLang);
+  const guessedLanguage = knownLanguage || detectLanguage(text);
+  const untranslated = { text, translated: false, sourceLanguage: guessedLanguage, provider: null };
+
+  if (!text || typeof text !== 'string') return { result: untranslated };
+  if (guessedLanguage === target) return { result: untranslated };
+
+  const { providerTerms, localTerms } = selectGlossaryTerms(glossary, {
+    sourceLanguage: guessedLanguage,
+    sourceLanguageKnown: Boolean(knownLanguage),
+    target,
+    useProviderGlossary
+  });
+  const { processedText, tokens } = protectTokens(text, { glossaryTerms: localTerms });
+  // Nothing left to translate once the protected tokens are taken out; glossary terms
+  // with a fixed translation (e.g. a comment that is just "Wohnzimmer") still get it
+  if (!/\p{L}/u.test(processedText.replace(PLACEHOLDER_PATTERN, ''))) {
+    const glossaryText = restoreTokens(processedText, tokens);
+    return {
+      result: glossaryText === text
+        ? untranslated
+        : { ...untranslated, text: glossaryText, translated: true, provider: 'glossary' }
+    };
+  }
+
+  return {
+    processedText,
+    tokens,
+    untranslated,
+    target,
+    providerTarget,
+    glossarySource: providerTerms.length > 0 ? guessedLanguage : null,
+    providerTerms
+  };
+}
+
+/**
+ * Turn a provider response into the public translation result.
+ * If protected tokens cannot be restored the original text is kept and `error` is set.
+ * @param {object} prepared - Output of prepareTranslation
+ * @param {object} providerResult - { text, detectedSourceLanguage } from the provider
+ * @param {string} providerName
+ * @returns {object} - { text, translated, sourceLanguage, provider, error? }
+ */
+function finishTranslation(prepared, providerResult, providerName) {
+  const sourceLanguage = normalizeLanguage(providerResult.detectedSourceLanguage) || prepared.untranslated.sourceLanguage;
+
+  // The provider found it was already in the target language - keep the original wording
+  if (sourceLanguage === prepared.target) {
+    return { ...prepared.untranslated, sourceLanguage };
+  }
+
+  let restoredText;
+  try {
+    restoredText = restoreTokens(providerResult.text, prepared.tokens);
+  } catch (error) {
+    return { ...prepared.untranslated, sourceLanguage, error: error.message };
+  }
+
+  return {
+    text: restoredText,
+    translated: true,
+    sourceLanguage: sourceLanguage,
+    provider: providerName
+  };
+}
+
+/**
+ * Get the active provider if translation is enabled and configured, otherwise null
+ * @returns {object|null}
+ */
+function getActiveProvider() {
   // Check if translation is disabled
   if (!TRANSLATION_ENABLED) {
-    return text;
+    return null;
   }
-  
-  if (!DEEPL_API_KEY) {
-    console.warn('⚠️  DEEPL_API_KEY not set - skipping translation');
-    return text;
+
+  const activeProvider = getTranslationProvider();
+  // TRANSLATION_PROVIDER=none: comments stay as written, nothing is counted or marked translated
+  if (activeProvider.passthrough) {
+    return null;
+  }
+  if (!activeProvider.isConfigured()) {
+    console.warn(`⚠️  Translation provider "${activeProvider.name}" is not configured - skipping translation`);
+    return null;
+  }
+  return activeProvider;
+}
+
+/**
+ * Translate a comment into the target language.
+ * The source language is detected (locally first, then by the provider); comments already
+ * in the target language are returned unchanged without calling the provider.
+ * Protects quoted strings, URLs, e-mails, file names, pin references and measurements
+ * with placeholders (see protectTokens) and verifies they all come back.
+ * Rate limiting (429) is retried with exponential backoff by the provider.
+ *
+ * @param {string} text - The comment text
+ * @param {object} options - { targetLang, sourceLang } (sourceLang omitted = auto-detect)
+ * @returns {Promise<object>} - { text, translated, sourceLanguage, provider }
+ */
+async function translateComment(text, options = {}) {
+  const [result] = await translateBatch([text], options);
+  if (result.error) {
+    throw new Error(result.error);
   }
-  
-  if (!text || typeof text !== 'string') return text;
-  const { processedText, quotedStrings } = extractQuotedStrings(text);
-  if (processedText.trim() === '' || processedText.trim().match(/^__QUOTED_\d+__$/)) {
-    return text;
+  return result;
+}
+
+/**
+ * Split prepared items into chunks that respect the provider's per-request limits
+ * @param {Array<object>} items - Items with a processedText property
+ * @returns {Array<Array<object>>}
+ */
+function chunkForBatch(items) {
+  const chunks = [];
+  let current = [];
+  let currentChars = 0;
+
+  for (const item of items) {
+    const length = item.processedText.length;
+    if (current.length > 0 && (current.length >= BATCH_MAX_TEXTS || currentChars + length > BATCH_MAX_CHARS)) {
+      chunks.push(current);
+      current = [];
+      currentChars = 0;
+    }
+    current.push(item);
+    currentChars += length;
   }
 
-  const params = new URLSearchParams();
-  params.append('auth_key', DEEPL_API_KEY);
-  params.append('text', processedText);
-  params.append('source_lang', 'DE');
-  params.append('target_lang', 'EN');
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Send prepared items to the provider chunk by chunk, writing into `results`.
+ * If a whole chunk fails, its items are retried one by one, and an item that still
+ * fails comes back untranslated with an `error` message instead of failing the batch.
+ * Chunks that would exceed the monthly character budget are not sent; their items
+ * come back untranslated with `deferred: true`.
+ *
+ * @param {Array<object>} items - Prepared items (see prepareTranslation) with their input index
+ * @param {object} activeProvider
+ * @param {object} providerOptions - { sourceLang, targetLang, glossaryId }
+ * @param {Array<object>} results - Output array, indexed like the input texts
+ * @param {object} budget - { remaining } characters, shared across calls
+ */
+async function translateChunks(items, activeProvider, providerOptions, results, budget) {
+  for (const chunk of chunkForBatch(items)) {
+    const chunkCharacters = chunk.reduce((sum, item) => sum + item.processedText.length, 0);
+    if (chunkCharacters > budget.remaining) {
+      console.warn(`⚠️  Translation budget reached (${budget.remaining} chars left) - deferring ${chunk.length} texts`);
+      chunk.forEach(item => { results[item.index] = { ...item.untranslated, deferred: true }; });
+      continue;
+    }
 
-  // Retry loop with exponential backoff for rate limits
-  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
     try {
-      const response = await fetch(DEEPL_API_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: params,
-        signal: AbortSignal.timeout(15000) // 15 second timeout
+      const providerResults = typeof activeProvider.translateMany === 'function'
+        ? await activeProvider.translateMany(chunk.map(item => item.processedText), providerOptions)
+        : await Promise.all(chunk.map(item => activeProvider.translate(item.processedText, providerOptions)));
+
+      if (!Array.isArray(providerResults) || providerResults.length !== chunk.length) {
+        throw new Error(`${activeProvider.name} returned ${providerResults?.length} translations for ${chunk.length} texts`);
+      }
+
+      chunk.forEach((item, i) => {
+        results[item.index] = finishTranslation(item, providerResults[i], activeProvider.name);
       });
-      
-      // Handle rate limiting (429)
-      if (response.status === 429) {
-        const retryAfter = response.headers.get('Retry-After');
-        const delay = retryAfter ? parseInt(retryAfter) * 1000 : getBackoffDelay(attempt);
-        
-        if (attempt < MAX_RETRIES - 1) {
-          console.warn(`⏳ Rate limited (429). Waiting ${delay/1000}s before retry ${attempt + 1}/${MAX_RETRIES}...`);
-          await sleep(delay);
-          continue; // Retry
-        } else {
-          throw new Error(`DeepL API rate limit exceeded. Please wait before retrying. (Free tier: 500,000 chars/month)`);
+      budget.remaining -= chunkCharacters;
+      await recordCharacters(chunkCharacters, activeProvider.name);
+    } catch (batchError) {
+      console.warn(`⚠️  Batch of ${chunk.length} failed (${batchError.message}) - retrying one by one`);
+
+      for (const item of chunk) {
+        try {
+          const providerResult = await activeProvider.translate(item.processedText, providerOptions);
+          results[item.index] = finishTranslation(item, providerResult, activeProvider.name);
+          budget.remaining -= item.processedText.length;
+          await recordCharacters(item.processedText.length, activeProvider.name);
+        } catch (itemError) {
+          results[item.index] = { ...item.untranslated, error: itemError.message };
         }
       }
-      
-      if (!response.ok) {
-        const err = await response.text();
-        throw new Error(`DeepL API error: ${response.status} ${err}`);
-      }
-      
-      const data = await response.json();
-      if (data && data.translations && data.translations[0] && data.translations[0].text) {
-        const translatedText = data.translations[0].text;
-        return restoreQuotedStrings(translatedText, quotedStrings);
-      }
-      throw new Error('DeepL API: Unexpected response format');
-      
-    } catch (err) {
-      // Only retry on rate limit errors
-      if (err.message.includes('rate limit') && attempt < MAX_RETRIES - 1) {
-        continue;
-      }
-      
-      // Re-throw other errors
-      if (err.name === 'AbortError' || err.name === 'TimeoutError') {
-        throw new Error('Translation timeout: DeepL API took longer than 15 seconds');
-      } else if (err.cause?.code === 'UND_ERR_CONNECT_TIMEOUT') {
-        throw new Error('Cannot reach DeepL API: Connection timeout');
-      } else if (err.message.includes('DeepL API')) {
-        throw err; // Re-throw DeepL-specific errors
-      } else {
-        throw new Error(`Translation failed: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Translate many comments with as few provider requests as possible.
+ * Previously translated texts are served from the translation cache (see translation_cache.js);
+ * the rest are chunked by count and size, each keeping its own protected-token placeholders.
+ * Failures and the monthly budget are handled per item (see translateChunks).
+ *
+ * Glossary terms ({ sourceTerm, targetTerm, sourceLang, targetLang, caseSensitive }) are
+ * protected locally with placeholders. When the provider supports glossaries (DeepL) and the
+ * caller passes sourceLang, terms with a fixed translation go into a provider glossary instead;
+ * if creating it fails they fall back to local protection.
+ * The scraper and the translation queue auto-detect each comment's language and pass no
+ * sourceLang, so there the fixed translation is always substituted locally and the provider
+ * glossary is not used.
+ *
+ * @param {Array<string>} texts - Comment texts
+ * @param {object} options - { targetLang, sourceLang, glossary }
+ * @returns {Promise<Array<object>>} - One { text, translated, sourceLanguage, provider, error?, deferred? }
+ *                                     per input, same order
+ */
+async function translateBatch(texts, options = {}) {
+  const results = new Array(texts.length);
+  const pending = [];
+  const useProviderGlossary = TRANSLATION_ENABLED && typeof getTranslationProvider().createGlossary === 'function';
+
+  texts.forEach((text, index) => {
+    const prepared = prepareTranslation(text, options, useProviderGlossary);
+    if (prepared.result) {
+      results[index] = prepared.result;
+    } else {
+      pending.push({ ...prepared, index });
+    }
+  });
+
+  if (pending.length === 0) return results;
+
+  const activeProvider = getActiveProvider();
+  if (!activeProvider) {
+    pending.forEach(item => { results[item.index] = item.untranslated; });
+    return results;
+  }
+
+  const baseOptions = { sourceLang: options.sourceLang || null, targetLang: pending[0].providerTarget };
+
+  pending.forEach(item => {
+    item.cacheKey = buildCacheKey(texts[item.index], { ...baseOptions, provider: activeProvider.name, glossary: options.glossary });
+  });
+  const cached = await getCachedTranslations(pending.map(item => item.cacheKey));
+  const uncached = pending.filter((item, i) => {
+    if (cached[i]) results[item.index] = cached[i];
+    return !cached[i];
+  });
+
+  if (uncached.length < pending.length) {
+    console.log(`🗃️  ${pending.length - uncached.length}/${pending.length} translations served from cache`);
+  }
+  if (uncached.length === 0) return results;
+
+  console.log(`🌐 Translating ${uncached.length} texts via ${activeProvider.name}`);
+  const budget = { remaining: await getRemainingCharacters(activeProvider) };
+
+  // Texts using a provider glossary need an explicit source language, so group them by it
+  const groups = new Map();
+  uncached.forEach(item => {
+    if (!groups.has(item.glossarySource)) groups.set(item.glossarySource, []);
+    groups.get(item.glossarySource).push(item);
+  });
+
+  for (let [glossarySource, items] of groups) {
+    let providerOptions = baseOptions;
+
+    if (glossarySource) {
+      try {
+        const glossaryId = await activeProvider.createGlossary(items[0].providerTerms, glossarySource, baseOptions.targetLang);
+        providerOptions = { ...baseOptions, sourceLang: glossarySource, glossaryId };
+      } catch (error) {
+        console.warn(`⚠️  ${activeProvider.name} glossary unavailable (${error.message}) - protecting terms locally`);
+        items = items.flatMap(item => {
+          const prepared = prepareTranslation(texts[item.index], options, false);
+          // e.g. a comment made only of glossary terms: no provider call needed any more
+          if (prepared.result) {
+            results[item.index] = prepared.result;
+            return [];
+          }
+          return [{ ...prepared, index: item.index, cacheKey: item.cacheKey }];
+        });
       }
     }
+
+    await translateChunks(items, activeProvider, providerOptions, results, budget);
   }
-  
-  // Should not reach here, but just in case
-  throw new Error('Translation failed after maximum retries');
-}module.exports = { translateCommentToEnglish, extractQuotedStrings, restoreQuotedStrings };
+
+  await cacheTranslations(uncached
+    .filter(item => !results[item.index].error && !results[item.index].deferred)
+    .map(item => ({ key: item.cacheKey, value: results[item.index] })));
+
+  return results;
+}
+
+/**
+ * Translates a comment to English (source language is auto-detected).
+ * @param {string} text - The comment text.
+ * @returns {Promise<string>} - The translated text in English.
+ */
+async function translateCommentToEnglish(text) {
+  const result = await translateComment(text, { targetLang: 'EN' });
+  return result.text;
+}
+
+module.exports = {
+  translateComment,
+  translateBatch,
+  translateCommentToEnglish,
+  detectLanguage,
+  normalizeLanguage,
+  formatProviderLanguage,
+  protectTokens,
+  restoreTokens,
+  registerTokenMatcher,
+  extractQuotedStrings,
+  restoreQuotedStrings,
+  getTranslationProvider,
+  setTranslationProvider
+};
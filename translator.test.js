@@ -0,0 +1,155 @@
+// Tests for translator.js token protection and helpers (run with `npm test`)
+
+process.env.TRANSLATION_CACHE_ENABLED = 'false';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { protectTokens, restoreTokens, translateBatch, setTranslationProvider } = require('./translator.js');
+const { createTranslationProvider } = require('./translation_providers.js');
+const { getTrackedUsage } = require('./translation_usage.js');
+const { closeRedisConnection } = require('./redis_client');
+
+after(() => closeRedisConnection());
+
+/**
+ * Provider stand-in that records the options of every call and prefixes texts with "EN:"
+ */
+function createStubProvider({ withGlossary = false, glossaryError = null } = {}) {
+  const provider = {
+    name: 'stub',
+    calls: [],
+    glossaries: [],
+    isConfigured: () => true,
+    async translateMany(texts, options) {
+      provider.calls.push({ texts, options });
+      return texts.map(text => ({ text: `EN: ${text}`, detectedSourceLanguage: options.sourceLang || 'DE' }));
+    },
+    async translate(text, options) {
+      return (await provider.translateMany([text], options))[0];
+    }
+  };
+  if (withGlossary) {
+    provider.createGlossary = async (terms, sourceLang, targetLang) => {
+      if (glossaryError) throw glossaryError;
+      provider.glossaries.push({ terms, sourceLang, targetLang });
+      return 'glossary-1';
+    };
+  }
+  return provider;
+}
+
+test('protects an indexed Markup file name with spaces as one token', () => {
+  const { processedText, tokens } = protectTokens('Siehe 01. 1234-56a TEST Folder.jpg bitte');
+  assert.equal(processedText, 'Siehe __TOKEN_0__ bitte');
+  assert.deepEqual(tokens, ['01. 1234-56a TEST Folder.jpg']);
+});
+
+test('does not swallow prose before a file name', () => {
+  assert.deepEqual(protectTokens('Seite 3 bitte wie in bild.jpg').tokens, ['bild.jpg']);
+  assert.deepEqual(protectTokens('Bitte 2 Bilder im Ordner foto.jpg ersetzen').tokens, ['foto.jpg']);
+});
+
+test('matches upper-case extensions and keeps URLs whole', () => {
+  assert.deepEqual(protectTokens('Plan in grundriss_v2.PDF').tokens, ['grundriss_v2.PDF']);
+  assert.deepEqual(protectTokens('Siehe https://example.com/a/bild.jpg.').tokens, ['https://example.com/a/bild.jpg']);
+});
+
+test('protects quotes, pin references and measurements', () => {
+  const { processedText, tokens } = protectTokens('Text "Über uns" wie #3, Abstand 2,5 cm und 120 x 80 mm');
+  assert.equal(processedText, 'Text __TOKEN_0__ wie __TOKEN_1__, Abstand __TOKEN_2__ und __TOKEN_3__');
+  assert.deepEqual(tokens, ['"Über uns"', '#3', '2,5 cm', '120 x 80 mm']);
+});
+
+test('glossary terms are replaced by their fixed translation, longest first', () => {
+  const { processedText, tokens } = protectTokens('Wohnzimmer 2 und Wohnzimmer', {
+    glossaryTerms: [
+      { sourceTerm: 'Wohnzimmer', targetTerm: 'living room' },
+      { sourceTerm: 'Wohnzimmer 2', targetTerm: null }
+    ]
+  });
+  assert.equal(processedText, '__TOKEN_0__ und __TOKEN_1__');
+  assert.deepEqual(tokens, ['Wohnzimmer 2', 'living room']);
+});
+
+test('restoreTokens puts tokens back, tolerating provider spacing', () => {
+  const { processedText, tokens } = protectTokens('Bitte bild.jpg tauschen');
+  const translated = processedText.replace('Bitte', 'Please').replace('tauschen', 'replace').replace('__TOKEN_0__', '__ TOKEN_0 __');
+  assert.equal(restoreTokens(translated, tokens), 'Please bild.jpg replace');
+});
+
+test('restoreTokens fails when the provider drops a placeholder', () => {
+  assert.throws(() => restoreTokens('Please replace', ['bild.jpg']), /Protected tokens lost/);
+});
+
+test('sends the target language with its region to the provider', async () => {
+  const provider = createStubProvider();
+  setTranslationProvider(provider);
+
+  const [result] = await translateBatch(['Bitte das Logo größer machen'], { targetLang: 'en-gb' });
+  assert.equal(provider.calls[0].options.targetLang, 'EN-GB');
+  assert.equal(result.translated, true);
+  assert.equal(result.sourceLanguage, 'DE');
+
+  await translateBatch(['Bitte das Logo größer machen'], { targetLang: 'PT_BR' });
+  assert.equal(provider.calls[1].options.targetLang, 'PT-BR');
+});
+
+test('texts already in the target language are not sent, whatever the region', async () => {
+  const provider = createStubProvider();
+  setTranslationProvider(provider);
+
+  const [result] = await translateBatch(['Please make the logo bigger and move it'], { targetLang: 'EN-US' });
+  assert.equal(result.translated, false);
+  assert.equal(provider.calls.length, 0);
+});
+
+test('uses the provider glossary only when the source language is given', async () => {
+  const glossary = [{ sourceTerm: 'Wohnzimmer', targetTerm: 'living room' }];
+  const provider = createStubProvider({ withGlossary: true });
+  setTranslationProvider(provider);
+
+  // Guessed from stopwords only: terms are protected locally, DeepL detects the language itself
+  const [guessed] = await translateBatch(['Das Wohnzimmer bitte heller und die Wand weiß'], { targetLang: 'EN', glossary });
+  assert.equal(provider.glossaries.length, 0);
+  assert.equal(provider.calls[0].options.sourceLang, null);
+  assert.equal(provider.calls[0].options.glossaryId, undefined);
+  assert.equal(guessed.text, 'EN: Das living room bitte heller und die Wand weiß');
+
+  await translateBatch(['Das Wohnzimmer bitte heller'], { targetLang: 'EN', sourceLang: 'de', glossary });
+  assert.deepEqual(provider.glossaries[0], { terms: glossary, sourceLang: 'DE', targetLang: 'EN' });
+  assert.equal(provider.calls[1].options.sourceLang, 'DE');
+  assert.equal(provider.calls[1].options.glossaryId, 'glossary-1');
+});
+
+test('a comment that is only a glossary term gets its fixed translation without a provider call', async () => {
+  const provider = createStubProvider({ withGlossary: true });
+  setTranslationProvider(provider);
+
+  const [result] = await translateBatch(['Wohnzimmer'], { targetLang: 'EN', glossary: [{ sourceTerm: 'Wohnzimmer', targetTerm: 'living room' }] });
+  assert.deepEqual(result, { text: 'living room', translated: true, sourceLanguage: result.sourceLanguage, provider: 'glossary' });
+  assert.equal(provider.calls.length, 0);
+});
+
+test('falls back to local glossary terms when the provider glossary fails, including glossary-only comments', async () => {
+  const glossary = [{ sourceTerm: 'Wohnzimmer', targetTerm: 'living room' }];
+  const provider = createStubProvider({ withGlossary: true, glossaryError: new Error('glossary quota exceeded') });
+  setTranslationProvider(provider);
+
+  const results = await translateBatch(['Wohnzimmer', 'Das Wohnzimmer bitte heller'], { targetLang: 'EN', sourceLang: 'DE', glossary });
+  assert.equal(results[0].text, 'living room');
+  assert.equal(results[0].provider, 'glossary');
+  assert.equal(results[1].text, 'EN: Das living room bitte heller');
+  assert.equal(results[1].error, undefined);
+  assert.deepEqual(provider.calls.map(call => call.texts.length), [1]);
+});
+
+test('the passthrough provider leaves comments untranslated and uncounted', async () => {
+  setTranslationProvider(createTranslationProvider('none'));
+  const before = await getTrackedUsage();
+
+  const [result] = await translateBatch(['Das Wohnzimmer bitte heller'], { targetLang: 'EN' });
+  assert.equal(result.text, 'Das Wohnzimmer bitte heller');
+  assert.equal(result.translated, false);
+  assert.equal(result.provider, null);
+  assert.equal((await getTrackedUsage()).total, before.total);
+});
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+
+/**
+ * Constant-time comparison of two strings (avoids leaking secrets through timing)
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeCompare(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Verify a hex-encoded HMAC-SHA256 signature of the raw request body
+ * (ClickUp sends it in the X-Signature header)
+ * @param {Buffer|string} rawBody - The unparsed request body
+ * @param {string} signature - Signature received with the request
+ * @param {string} secret - Shared webhook secret
+ * @returns {boolean}
+ */
+function verifyHmacSignature(rawBody, signature, secret) {
+  if (!rawBody || !signature || !secret) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  return safeCompare(expected, signature.trim().toLowerCase());
+}
+
+/**
+ * Sign an outgoing request body (hex-encoded HMAC-SHA256, verifiable with verifyHmacSignature)
+ * @param {string} body - The exact body that is sent
+ * @param {string} secret - Secret shared with the receiver
+ * @returns {string}
+ */
+function signPayload(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+const CALLBACK_TIMEOUT = 15000; // 15 seconds per delivery attempt
+
+// Callbacks may not reach the server's own network: loopback, private, link-local (cloud metadata),
+// carrier-grade NAT, multicast and reserved ranges. BlockList checks IPv4-mapped IPv6 addresses
+// against the IPv4 ranges. CALLBACK_ALLOW_PRIVATE_URLS=true lifts this for local testing.
+const BLOCKED_CALLBACK_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_CALLBACK_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_CALLBACK_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address lies in a network callbacks may not reach
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  if (!type) return true;
+  return BLOCKED_CALLBACK_ADDRESSES.check(address, type);
+}
+
+/**
+ * Check that a callback URL is http(s) and resolves to public addresses only
+ * @param {string} callbackUrl
+ * @returns {Promise<void>}
+ * @throws {Error} When the URL is invalid or points to a private, loopback or link-local address
+ */
+async function assertPublicCallbackUrl(callbackUrl) {
+  let parsed;
+  try { parsed = new URL(callbackUrl); } catch (err) { /* handled below */ }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('callbackUrl must be an http(s) URL');
+  }
+  if (process.env.CALLBACK_ALLOW_PRIVATE_URLS === 'true') return;
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.lookup(hostname, { all: true });
+  } catch (err) {
+    throw new Error(`callbackUrl host cannot be resolved: ${hostname}`);
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error('callbackUrl must not point to a private, loopback or link-local address');
+  }
+}
+
+/**
+ * POST a JSON callback (job result) to a caller-supplied URL.
+ * With a secret the body is signed in the X-Signature header.
+ * Private and internal targets are refused (see assertPublicCallbackUrl) and redirects are not followed.
+ * @param {string} callbackUrl
+ * @param {object} payload - JSON body
+ * @param {object} options - { secret, event, deliveryId }
+ * @returns {Promise<object>} { statusCode, durationMs }
+ * @throws {Error} On network errors, timeouts and non-2xx responses (err.statusCode is set when known)
+ */
+async function sendCallback(callbackUrl, payload, { secret = null, event = null, deliveryId = null } = {}) {
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': 'markup-screenshot-payload-extractor' };
+  if (event) headers['X-Callback-Event'] = event;
+  if (deliveryId) headers['X-Callback-Id'] = deliveryId;
+  if (secret) headers['X-Signature'] = signPayload(body, secret);
+
+  // Checked again on every attempt, since DNS may have changed since the callback was registered
+  await assertPublicCallbackUrl(callbackUrl);
+
+  const startTime = Date.now();
+  let response;
+  try {
+    response = await fetch(callbackUrl, {
+      method: 'POST',
+      headers,
+      body,
+      redirect: 'error', // A redirect could lead to an internal address
+      signal: AbortSignal.timeout(CALLBACK_TIMEOUT)
+    });
+  } catch (err) {
+    if (err.name === 'AbortError' || err.name === 'TimeoutError') {
+      throw new Error(`Callback timeout: ${callbackUrl} took longer than ${CALLBACK_TIMEOUT / 1000} seconds`);
+    }
+    throw new Error(`Cannot reach callback URL: ${err.cause?.message || err.message}`);
+  }
+
+  const durationMs = Date.now() - startTime;
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    const error = new Error(`Callback returned ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    error.statusCode = response.status;
+    error.durationMs = durationMs;
+    throw error;
+  }
+
+  return { statusCode: response.status, durationMs };
+}
+
+/**
+ * Normalize a ClickUp status name for comparison ("Waiting for Client" === "waiting for client")
+ * @param {string} status
+ * @returns {string}
+ */
+function normalizeStatus(status) {
+  return (status || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Find the status change history item in a ClickUp taskStatusUpdated webhook payload
+ * @param {object} payload - Parsed webhook body
+ * @returns {object|null} { id, from, to } or null if the payload contains no status change
+ */
+function getClickUpStatusChange(payload) {
+  if (!payload || payload.event !== 'taskStatusUpdated') return null;
+
+  const historyItem = (payload.history_items || []).find(item => item.field === 'status');
+  if (!historyItem) return null;
+
+  return {
+    id: historyItem.id || null,
+    from: normalizeStatus(historyItem.before?.status),
+    to: normalizeStatus(historyItem.after?.status)
+  };
+}
+
+const MARKUP_BASE_URL = 'https://app.markup.io/markup';
+const MARKUP_URL_PATTERN = /https?:\/\/app\.markup\.io\/markup\/([A-Za-z0-9-]+)/;
+const MARKUP_ID_PATTERN = /^[A-Za-z0-9-]{8,}$/;
+
+/**
+ * Extract the canonical Markup URL from a Markup.io webhook payload.
+ * Checks the known URL/ID fields first, then falls back to scanning the whole payload.
+ * The result is always normalized (no query string or sub-path) so that every event
+ * for one project maps to the same queue job and gets debounced together.
+ *
+ * @param {object} payload - Parsed webhook body
+ * @returns {string|null} e.g. https://app.markup.io/markup/<id>
+ */
+function extractMarkupUrl(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+
+  const data = payload.data || payload.payload || payload;
+  const markup = data.markup || data.project || {};
+
+  const urlCandidates = [
+    markup.url, markup.link, markup.share_url,
+    data.markup_url, data.markupUrl, data.url,
+    payload.markup_url, payload.markupUrl, payload.url
+  ];
+  for (const candidate of urlCandidates) {
+    const match = typeof candidate === 'string' && candidate.match(MARKUP_URL_PATTERN);
+    if (match) return `${MARKUP_BASE_URL}/${match[1]}`;
+  }
+
+  const idCandidates = [
+    markup.id, markup.uuid,
+    data.markup_id, data.markupId,
+    payload.markup_id, payload.markupId
+  ];
+  for (const candidate of idCandidates) {
+    if (typeof candidate === 'string' && MARKUP_ID_PATTERN.test(candidate)) {
+      return `${MARKUP_BASE_URL}/${candidate}`;
+    }
+  }
+
+  const match = JSON.stringify(payload).match(MARKUP_URL_PATTERN);
+  return match ? `${MARKUP_BASE_URL}/${match[1]}` : null;
+}
+
+module.exports = {
+  safeCompare,
+  verifyHmacSignature,
+  signPayload,
+  isPrivateAddress,
+  assertPublicCallbackUrl,
+  sendCallback,
+  normalizeStatus,
+  getClickUpStatusChange,
+  extractMarkupUrl
+};
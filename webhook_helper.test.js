@@ -0,0 +1,60 @@
+// Tests for webhook_helper.js callback URL checks and signed delivery (run with `npm test`)
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { isPrivateAddress, assertPublicCallbackUrl, sendCallback, verifyHmacSignature } = require('./webhook_helper.js');
+
+let server;
+let baseUrl;
+let received = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+      res.writeHead(200);
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('private, loopback and link-local addresses are blocked', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.5.4', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fe80::1', 'fd12::1', '::ffff:7f00:1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('callback URLs must be public http(s) URLs', async () => {
+  await assert.rejects(assertPublicCallbackUrl('ftp://example.com/hook'), /http\(s\) URL/);
+  await assert.rejects(assertPublicCallbackUrl('http://169.254.169.254/latest/meta-data'), /private, loopback or link-local/);
+  await assert.rejects(assertPublicCallbackUrl('http://[::ffff:127.0.0.1]:3000/'), /private, loopback or link-local/);
+  await assert.rejects(assertPublicCallbackUrl('http://2130706433/'), /private, loopback or link-local/); // 127.0.0.1 as a number
+  await assertPublicCallbackUrl('https://8.8.8.8/hook');
+});
+
+test('sendCallback refuses internal targets unless explicitly allowed', async () => {
+  received = [];
+  await assert.rejects(sendCallback(`${baseUrl}/hook`, { ok: true }), /private, loopback or link-local/);
+  assert.equal(received.length, 0);
+
+  process.env.CALLBACK_ALLOW_PRIVATE_URLS = 'true';
+  try {
+    const { statusCode } = await sendCallback(`${baseUrl}/hook`, { ok: true }, { secret: 's3cret', event: 'job.completed' });
+    assert.equal(statusCode, 200);
+  } finally {
+    delete process.env.CALLBACK_ALLOW_PRIVATE_URLS;
+  }
+
+  assert.equal(received[0].headers['x-callback-event'], 'job.completed');
+  assert.ok(verifyHmacSignature(received[0].body, received[0].headers['x-signature'], 's3cret'));
+});